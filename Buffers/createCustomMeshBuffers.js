@@ -0,0 +1,25 @@
+import { createBuffer, createIndexBuffer } from '../webgl/webgl-utils.js';
+
+/**
+ * Creates vertex and index buffers for the meshes imported in place of the procedural gnomon
+ * and dial plate (`this.geometries.customMeshes`), one pair per 16-bit part, stored under the
+ * same keys in `this.buffers.customMeshes`; keys without an imported mesh are null.
+ *
+ * The buffers of the previous import are released.
+ */
+export function createCustomMeshBuffers() {
+    const gl = this.gl;
+
+    Object.values(this.buffers.customMeshes || {}).forEach(parts => (parts || []).forEach(part => {
+        gl.deleteBuffer(part.vertex);
+        gl.deleteBuffer(part.index);
+    }));
+    this.buffers.customMeshes = Object.fromEntries(Object.entries(this.geometries.customMeshes).map(([target, mesh]) => [
+        target,
+        mesh ? mesh.parts.map(part => ({
+            vertex: createBuffer(gl, part.vertices),
+            index: createIndexBuffer(gl, part.indices),
+            indexCount: part.indices.length
+        })) : null
+    ]));
+}
@@ -0,0 +1,23 @@
+import { createBuffer, createIndexBuffer } from '../webgl/webgl-utils.js';
+
+/**
+ * Creates vertex and index buffers for the optional dial face (e.g. the wall of a vertical dial).
+ * 
+ * When the current dial type draws directly on the ground, `this.geometries.dialFace` is null
+ * and `this.buffers.dialFace` is cleared so render passes can skip it.
+ * The buffers of the previous dial are released.
+ */
+export function createDialFaceBuffer() {
+    const gl = this.gl;
+    const face = this.geometries.dialFace;
+
+    if (this.buffers.dialFace) {
+        gl.deleteBuffer(this.buffers.dialFace.vertex);
+        gl.deleteBuffer(this.buffers.dialFace.index);
+    }
+
+    this.buffers.dialFace = face ? {
+        vertex: createBuffer(gl, face.vertices),    // Vertex buffer for the dial surface
+        index: createIndexBuffer(gl, face.indices)  // Index buffer for drawing
+    } : null;
+}
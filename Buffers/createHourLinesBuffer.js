@@ -12,10 +12,29 @@ import { createBuffer, createIndexBuffer } from '../webgl/webgl-utils.js';
  * 
  * Assumes that `this.geometries.hourLines` is an array of hour line objects,
  * each containing separate geometry for line and marker plus metadata like angle and hour label.
+ * The date lines and analemmas in `this.geometries.dateLines` and `this.geometries.analemmas`
+ * get their buffers in `this.buffers.dateLines` and `this.buffers.analemmas`, the historical
+ * hour lines in `this.buffers.historicalHourLines`, keyed by hour system.
+ *
+ * The dial is rebuilt whenever the location or its settings change, so the buffers of the
+ * previous build are released.
  */
 export function createHourLinesBuffer() {
     const gl = this.gl;
 
+    const deleteLineBuffers = (lines = []) => lines.forEach(line => {
+        gl.deleteBuffer(line.lineVertexBuffer);
+        gl.deleteBuffer(line.lineIndexBuffer);
+    });
+    (this.buffers.hourLines || []).forEach(line => {
+        gl.deleteBuffer(line.markerVertexBuffer);
+        gl.deleteBuffer(line.markerIndexBuffer);
+    });
+    deleteLineBuffers(this.buffers.hourLines);
+    deleteLineBuffers(this.buffers.dateLines);
+    deleteLineBuffers(this.buffers.analemmas);
+    Object.values(this.buffers.historicalHourLines || {}).forEach(deleteLineBuffers);
+
 this.buffers.hourLines = this.geometries.hourLines.map(line => ({
                 lineVertexBuffer: createBuffer(gl, line.lineVertices),          // Vertex buffer for main line
                 lineIndexBuffer: createIndexBuffer(gl, line.lineIndices),       // Index buffer for main line
@@ -24,5 +43,17 @@ this.buffers.hourLines = this.geometries.hourLines.map(line => ({
                 hour: line.hour,                                                // Numerical or string label for the hour (used in overlays/UI)
                 angle: line.angle                                               // Angle in radians from center (used for orientation and label placement)
             }));
+
+    const createCurveBuffers = (lines = []) => lines.map(line => ({
+        lineVertexBuffer: createBuffer(gl, line.lineVertices),
+        lineIndexBuffer: createIndexBuffer(gl, line.lineIndices),
+        indexCount: line.lineIndices.length
+    }));
+    this.buffers.dateLines = createCurveBuffers(this.geometries.dateLines);
+    this.buffers.analemmas = createCurveBuffers(this.geometries.analemmas);
+    this.buffers.historicalHourLines = {};
+    Object.entries(this.geometries.historicalHourLines).forEach(([system, lines]) => {
+        this.buffers.historicalHourLines[system] = createCurveBuffers(lines);
+    });
     }
      
\ No newline at end of file
@@ -0,0 +1,21 @@
+import { createBuffer, createIndexBuffer } from '../webgl/webgl-utils.js';
+
+/**
+ * Creates vertex and index buffers for the recorded shadow-tip traces in
+ * `this.geometries.shadowTraces`, stored in the same order in `this.buffers.shadowTraces`.
+ *
+ * The traces grow while the simulation runs, so the buffers of the previous build are released.
+ */
+export function createShadowTraceBuffer() {
+    const gl = this.gl;
+
+    (this.buffers.shadowTraces || []).forEach(trace => {
+        gl.deleteBuffer(trace.lineVertexBuffer);
+        gl.deleteBuffer(trace.lineIndexBuffer);
+    });
+    this.buffers.shadowTraces = this.geometries.shadowTraces.map(trace => ({
+        lineVertexBuffer: createBuffer(gl, trace.lineVertices),
+        lineIndexBuffer: createIndexBuffer(gl, trace.lineIndices),
+        indexCount: trace.lineIndices.length
+    }));
+}
@@ -0,0 +1,124 @@
+import { calculateShadowTime, calculateVerticalShadowTime, calculateEquatorialShadowTime, calculatePolarShadowTime, calculateAnalemmaticShadowTime, analemmaticGnomonOffset, solarDeclinationOnDay, polarAxisDirection, solveShadowTip } from '../utils/astronomy.js';
+import {
+    createHourLines, createStyleGnomon, createDeclinationLines, createHourAnalemmas, createHistoricalHourLines, horizontalDialShadowPlane, horizontalDialLayoutFrame,
+    createVerticalDialHourLines, createVerticalDialDeclinationLines, createVerticalDialAnalemmas, createVerticalDialHistoricalHourLines, createWall, createWallGnomon, verticalDialShadowPlane, verticalDialLayoutFrame, WALL_STYLE_ROOT_HEIGHT,
+    createEquatorialDialHourLines, createEquatorialDialPlate, createEquatorialGnomon,
+    createPolarDialHourLines, createPolarDialPlate, createPolarGnomon, POLAR_STYLE_HEIGHT,
+    createAnalemmaticHourPoints, createAnalemmaticDialFace, createAnalemmaticGnomon, ANALEMMATIC_SEMI_MAJOR, STYLE_LENGTH
+} from '../geometry/geometry.js';
+
+/**
+ * Length of the style set in the UI. The gnomon, the nodus of the date lines, analemmas and
+ * shadow trace, and the printed layouts all follow it.
+ * @param {Object} options - Dial settings.
+ * @returns {number}
+ */
+function styleLength(options) {
+    return (options.gnomon && options.gnomon.styleLength) || STYLE_LENGTH;
+}
+
+/**
+ * Distance of the analemmatic gnomon from the centre of the ellipse on the selected day.
+ * @param {Object} location - ObserverLocation.
+ * @param {Object} options - Dial settings.
+ * @returns {number}
+ */
+function analemmaticOffset(location, options) {
+    const declination = solarDeclinationOnDay(options.year, options.dayOfYear, options.solarModel);
+    return analemmaticGnomonOffset(declination, location.latitudeRad, ANALEMMATIC_SEMI_MAJOR);
+}
+
+/**
+ * Registry of the supported sundial types.
+ *
+ * Each entry builds the type-specific geometry and reads the time from the shadow:
+ * - `createGnomon(location, options)` → style geometry
+ * - `gnomonRoot(location, options)` → optional [x, y, z] point the gnomon stands on, where a gnomon
+ *   imported in its place is moved; the origin when missing
+ * - `createHourLines(location, options)` → hour lines in the `createHourLines` layout
+ * - `createDateLines(location, options)` → declination curves in the `createDeclinationLines` layout
+ *   (empty for dials without a nodus)
+ * - `createAnalemmas(location, options)` → hour figure-eights in the `createHourAnalemmas` layout
+ *   (empty for dials without a nodus)
+ * - `createHistoricalHourLines(location, options)` → Italic, Babylonian and temporary hour lines
+ *   keyed by hour system, in the `createHistoricalHourLines` layout (empty for dials without a nodus)
+ * - `createDialFace(location, options)` → extra dial surface (e.g. a wall), or null when the ground is the face
+ * - `readShadowTime(lightDirection, timeConversion, location, options)` → `DialReading` of the shadow
+ * - `solveShadowTip(tip, location, options)` → optional inverse reading: solar time and dates
+ *   putting the style tip's shadow on a ground point, as returned by `solveShadowTip`
+ * - `shadowTipPlane(location, options)` → optional nodus and dial plane, as returned by
+ *   `horizontalDialShadowPlane`, on which the shadow-tip trace is recorded (dials with a nodus)
+ * - `layoutFrame(location, options)` → optional drawing frame of a plane dial and its style, as
+ *   returned by `horizontalDialLayoutFrame`, for the printable layout exports
+ *
+ * Types with `followsDate` move their gnomon with the date: `options.year` and
+ * `options.dayOfYear` are then part of their settings.
+ *
+ * `location` is the shared ObserverLocation; `options` holds the dial settings from the UI
+ * (angles in radians). `options.gnomon` carries the shape, thickness and nodus settings of
+ * `createStyleGnomon` and the style length, used by the dials whose gnomon is a plate or rod
+ * standing on the face;
+ * `options.solarModel` is the key of `SOLAR_MODELS` for the analemmas and date positions.
+ */
+export const DIAL_TYPES = {
+    horizontal: {
+        createGnomon: (location, options) =>
+            createStyleGnomon(polarAxisDirection(location.latitudeRad), [0, 0, 0], [0, 1, 0], styleLength(options), options.gnomon),
+        createHourLines: (location) => createHourLines(location.latitudeRad),
+        createDateLines: (location, options) => createDeclinationLines(location.latitudeRad, styleLength(options)),
+        createAnalemmas: (location, options) => createHourAnalemmas(location.latitudeRad, options.solarModel, styleLength(options)),
+        createHistoricalHourLines: (location, options) => createHistoricalHourLines(location.latitudeRad, styleLength(options)),
+        shadowTipPlane: (location, options) => horizontalDialShadowPlane(location.latitudeRad, styleLength(options)),
+        layoutFrame: (location, options) => horizontalDialLayoutFrame(location.latitudeRad, styleLength(options)),
+        createDialFace: () => null,
+        readShadowTime: (lightDirection, timeConversion, location) =>
+            calculateShadowTime(lightDirection, timeConversion, location.latitudeRad),
+        solveShadowTip: (tip, location, options) =>
+            solveShadowTip(tip, styleLength(options) * Math.abs(Math.sin(location.latitudeRad)), location.latitudeRad, options.year, options.solarModel)
+    },
+    vertical: {
+        gnomonRoot: () => [0, WALL_STYLE_ROOT_HEIGHT, 0],
+        createGnomon: (location, options) => createWallGnomon(location.latitudeRad, options.wallDeclination, options.gnomon, styleLength(options)),
+        createHourLines: (location, options) => createVerticalDialHourLines(location.latitudeRad, options.wallDeclination),
+        createDateLines: (location, options) => createVerticalDialDeclinationLines(location.latitudeRad, options.wallDeclination, styleLength(options)),
+        createAnalemmas: (location, options) => createVerticalDialAnalemmas(location.latitudeRad, options.wallDeclination, options.solarModel, styleLength(options)),
+        createHistoricalHourLines: (location, options) => createVerticalDialHistoricalHourLines(location.latitudeRad, options.wallDeclination, styleLength(options)),
+        shadowTipPlane: (location, options) => verticalDialShadowPlane(location.latitudeRad, options.wallDeclination, styleLength(options)),
+        layoutFrame: (location, options) => verticalDialLayoutFrame(location.latitudeRad, options.wallDeclination, styleLength(options)),
+        createDialFace: (location, options) => createWall(location.latitudeRad, options.wallDeclination),
+        readShadowTime: (lightDirection, timeConversion, location, options) =>
+            calculateVerticalShadowTime(lightDirection, timeConversion, location.latitudeRad, options.wallDeclination)
+    },
+    equatorial: {
+        createGnomon: (location) => createEquatorialGnomon(location.latitudeRad),
+        createHourLines: (location) => createEquatorialDialHourLines(location.latitudeRad),
+        createDateLines: () => [],
+        createAnalemmas: () => [],
+        createHistoricalHourLines: () => ({}),
+        createDialFace: (location) => createEquatorialDialPlate(location.latitudeRad),
+        readShadowTime: (lightDirection, timeConversion, location) =>
+            calculateEquatorialShadowTime(lightDirection, timeConversion, location.latitudeRad)
+    },
+    polar: {
+        createGnomon: (location) => createPolarGnomon(location.latitudeRad),
+        createHourLines: (location) => createPolarDialHourLines(location.latitudeRad),
+        createDateLines: () => [],
+        createAnalemmas: () => [],
+        createHistoricalHourLines: () => ({}),
+        createDialFace: (location) => createPolarDialPlate(location.latitudeRad),
+        readShadowTime: (lightDirection, timeConversion, location) =>
+            calculatePolarShadowTime(lightDirection, timeConversion, location.latitudeRad, POLAR_STYLE_HEIGHT)
+    },
+    analemmatic: {
+        followsDate: true,
+        createGnomon: (location, options) => createAnalemmaticGnomon(location.latitudeRad, options.year, options.dayOfYear, options.solarModel),
+        gnomonRoot: (location, options) => [0, 0, analemmaticOffset(location, options)],
+        createHourLines: (location) => createAnalemmaticHourPoints(location.latitudeRad),
+        createDateLines: () => [],
+        createAnalemmas: () => [],
+        createHistoricalHourLines: () => ({}),
+        createDialFace: (location, options) => createAnalemmaticDialFace(location.latitudeRad, options.solarModel),
+        readShadowTime: (lightDirection, timeConversion, location, options) =>
+            calculateAnalemmaticShadowTime(lightDirection, timeConversion, location.latitudeRad, ANALEMMATIC_SEMI_MAJOR, analemmaticOffset(location, options))
+    }
+};
@@ -0,0 +1,47 @@
+import { mat4, identity, multiply } from '../utils/math-utils.js';
+
+/**
+ * Renders the dial face of dial types that do not use the ground (e.g. the wall of a vertical dial),
+ * or the dial plate imported by the user in its place.
+ * 
+ * The geometry is already in world space, so an identity model matrix is used. It is drawn
+ * with the default lit material, which samples the shadow map so the style's shadow shows on it.
+ * 
+ * @param {Float32Array} viewMatrix - Camera view matrix.
+ * @param {Float32Array} projectionMatrix - Projection matrix.
+ * @param {Float32Array} lightDirection - Direction of the light source.
+ * @param {Object} values - Rendering flags (e.g., shadows, quality settings).
+ */
+export function renderDialFace(viewMatrix, projectionMatrix, lightDirection, values) {
+    // An imported dial plate replaces the procedural face
+    const parts = this.buffers.customMeshes.dial || (this.buffers.dialFace ? [{
+        vertex: this.buffers.dialFace.vertex,
+        index: this.buffers.dialFace.index,
+        indexCount: this.geometries.dialFace.indices.length
+    }] : []);
+    if (!parts.length) return;
+
+    const modelMatrix = mat4();
+    identity(modelMatrix);
+    // Build MVP = Projection * View * Model
+    const mvpMatrix = mat4();
+    multiply(mvpMatrix, projectionMatrix, viewMatrix);
+    multiply(mvpMatrix, mvpMatrix, modelMatrix);
+
+    this.renderer.setUniforms(
+        lightDirection,
+        mvpMatrix,
+        modelMatrix, // model matrix
+        modelMatrix, // normal matrix (identity)
+        values.enableShadows,
+        values.lowQuality
+    );
+    // Draw the dial face with a light plaster color
+    parts.forEach(part => this.renderer.drawObject(
+        part.vertex,
+        part.index,
+        part.indexCount,
+        [0.85, 0.8, 0.7], // Plaster
+        false, false, false, false
+    ));
+}
@@ -1,10 +1,11 @@
 import { mat4, identity } from '../utils/math-utils.js';
 /**
- * Renders scene objects (grass blades and gnomon) to the shadow map.
+ * Renders scene objects (grass blades, gnomon and dial face, or the meshes imported in their
+ * place) to the shadow map.
  * 
  * This function uses a specific shader program for shadow rendering (`shadowProgram`).
  * For each grass blade, it calculates a wind-influenced transformation and renders it.
- * A static object (gnomon) is also rendered with an identity model matrix.
+ * Static objects (gnomon, dial face) are also rendered with an identity model matrix.
  * 
  * The internal `renderer.drawShadowObject` method is called to draw each object using
  * its vertex and index buffers along with the computed model matrix.
@@ -51,19 +52,41 @@ export function renderForShadowMap() {
             model
         );
     }
-    // === GNOMON ===
+    // === GNOMON (the imported mesh when there is one) ===
 {
     const modelMatrix = mat4();
     identity(modelMatrix);// No transformation, static object
+    // ...except an imported gnomon, moved to the point the dial's gnomon stands on
+    if (this.buffers.customMeshes.gnomon) modelMatrix.set(this.geometries.gnomonRoot, 12);
+    const parts = this.buffers.customMeshes.gnomon || [{
+        vertex: this.buffers.gnomonVertex,
+        index: this.buffers.gnomonIndex,
+        indexCount: this.geometries.gnomon.indices.length
+    }];
     // Render the gnomon (scene reference marker) to the shadow map
-    this.renderer.drawShadowObject(
-        this.buffers.gnomonVertex,
-        this.buffers.gnomonIndex,
-        this.geometries.gnomon.indices.length,
+    parts.forEach(part => this.renderer.drawShadowObject(
+        part.vertex,
+        part.index,
+        part.indexCount,
         false,  // isGrass = false
         modelMatrix
-    );
+    ));
 }
-
-    
+    // === DIAL FACE (e.g. the wall of a vertical dial, or the imported dial plate) ===
+    const dialParts = this.buffers.customMeshes.dial || (this.buffers.dialFace ? [{
+        vertex: this.buffers.dialFace.vertex,
+        index: this.buffers.dialFace.index,
+        indexCount: this.geometries.dialFace.indices.length
+    }] : []);
+    dialParts.forEach(part => {
+        const modelMatrix = mat4();
+        identity(modelMatrix);
+        this.renderer.drawShadowObject(
+            part.vertex,
+            part.index,
+            part.indexCount,
+            false,  // isGrass = false
+            modelMatrix
+        );
+    });
 }
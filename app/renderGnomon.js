@@ -4,7 +4,8 @@ import { mat4, identity, multiply } from '../utils/math-utils.js';
  * Renders the gnomon (a visual scene reference axis) using given view and projection matrices.
  * 
  * It starts from the identity model matrix (no transformation), combines it with the view and projection
- * to compute the MVP matrix, sets shader uniforms, and draws the object.
+ * to compute the MVP matrix, sets shader uniforms, and draws the object: the mesh imported by the
+ * user when there is one, translated to the dial's gnomon root, the procedural gnomon otherwise.
  * 
  * @param {Float32Array} viewMatrix - The camera view matrix.
  * @param {Float32Array} projectionMatrix - The projection matrix.
@@ -14,6 +15,8 @@ import { mat4, identity, multiply } from '../utils/math-utils.js';
 export function renderGnomon(viewMatrix, projectionMatrix, lightDirection, values) {
     const modelMatrix = mat4();
     identity(modelMatrix);// Start from identity: no scaling, rotation, or translation
+    // An imported gnomon is modelled at the origin: move it to the point the dial's gnomon stands on
+    if (this.buffers.customMeshes.gnomon) modelMatrix.set(this.geometries.gnomonRoot, 12);
     // Compute MVP = projection * view * model (in that order)
     const mvpMatrix = mat4();
     multiply(mvpMatrix, projectionMatrix, viewMatrix);
@@ -24,20 +27,26 @@ export function renderGnomon(viewMatrix, projectionMatrix, lightDirection, value
         lightDirection,
         mvpMatrix,
         modelMatrix, // model
-        modelMatrix, // normal matrix (identity here)
+        modelMatrix, // normal matrix (no rotation, so the model matrix)
         values.enableShadows,
         values.lowQuality
     );
+    // An imported gnomon replaces the procedural one, part by part
+    const parts = this.buffers.customMeshes.gnomon || [{
+        vertex: this.buffers.gnomonVertex,
+        index: this.buffers.gnomonIndex,
+        indexCount: this.geometries.gnomon.indices.length
+    }];
     // Draw the gnomon with a dark red color
-    this.renderer.drawObject(
-        this.buffers.gnomonVertex,
-        this.buffers.gnomonIndex,
-        this.geometries.gnomon.indices.length,
+    parts.forEach(part => this.renderer.drawObject(
+        part.vertex,
+        part.index,
+        part.indexCount,
         [0.1, 0.0, 0.0], // RGB color
         false,  // isGrass
         true,   // isOpaque
         false,  // useInstancing
         false,  // isBillboard
         false   // isWireframe
-    );
+    ));
 }
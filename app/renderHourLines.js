@@ -1,9 +1,19 @@
 import { mat4, identity, multiply } from '../utils/math-utils.js';
+/** Line colours of the historical hour systems, matched by the label styles. */
+export const HOUR_SYSTEM_COLORS = {
+    italic: [0.1, 0.45, 0.2],     // Green
+    babylonian: [0.45, 0.2, 0.6], // Purple
+    temporary: [0.8, 0.5, 0.1]    // Ochre
+};
+
 /**
  * Renders hour lines and their markers on a horizontal plane (like on a sundial).
  * 
  * Each line and its marker are transformed using a shared model matrix (slightly lifted above the surface),
  * and rendered with distinct colors for visual clarity.
+ * The date (declination) lines and the hour analemmas follow with the default material,
+ * in blue and dark red respectively, then the historical hour lines enabled in
+ * `values.hourSystems`, each system in its own colour.
  * 
  * @param {Float32Array} viewMatrix - Camera view matrix.
  * @param {Float32Array} projectionMatrix - Projection matrix for screen space conversion.
@@ -50,4 +60,28 @@ export function renderHourLines(viewMatrix, projectionMatrix, lightDirection, va
             false, false, true,false, false
         );
     });
+
+    // Date lines are baked in world space: identity model matrix
+    const modelMatrix = mat4();
+    identity(modelMatrix);
+    const mvpMatrix = mat4();
+    multiply(mvpMatrix, projectionMatrix, viewMatrix);
+    this.renderer.setUniforms(lightDirection, mvpMatrix, modelMatrix, modelMatrix, values.enableShadows, values.lowQuality);
+
+    const drawCurves = (curves, color) => curves.forEach(lineData => {
+        if (lineData.indexCount === 0) return;
+        this.renderer.drawObject(
+            lineData.lineVertexBuffer,
+            lineData.lineIndexBuffer,
+            lineData.indexCount,
+            color,
+            false, false, false, false
+        );
+    });
+    drawCurves(this.buffers.dateLines, [0.15, 0.3, 0.7]); // Engraved blue
+    drawCurves(this.buffers.analemmas, [0.6, 0.12, 0.1]); // Dark red figure-eights
+
+    Object.entries(this.buffers.historicalHourLines).forEach(([system, curves]) => {
+        if (values.hourSystems[system]) drawCurves(curves, HOUR_SYSTEM_COLORS[system]);
+    });
 }
@@ -5,19 +5,24 @@ import { renderSun } from './renderSun.js';
 import { renderSky } from './renderSky.js';
 import { renderPlane } from './renderPlane.js';
 import { renderHourLines } from './renderHourLines.js';
+import { renderShadowTrace } from './renderShadowTrace.js';
 import { renderGrassBlades } from './renderGrassBlades.js';
 import { renderGnomon } from './renderGnomon.js';
+import { renderDialFace } from './renderDialFace.js';
 /**
  * Main render function for the scene. Sets up camera and projection, configures WebGL state,
- * and calls all rendering subsystems (sky, ground, grass, gnomon, hour lines, sun, clouds).
+ * and calls all rendering subsystems (sky, ground, dial face, grass, gnomon, hour lines, shadow trace,
+ * sun, clouds).
  * 
  * @param {Object} values - Rendering configuration, includes shadow toggle, quality, etc.
  * @param {Object} context - Scene-wide dynamic inputs.
  * @param {Float32Array} context.lightDirection - Directional vector of the sunlight.
  * @param {Float32Array} context.sunPosition - 3D position of the sun in world space.
- * @param {Float32Array} context.lightViewProjectionMatrix - Matrix used for shadow mapping.
+ * @param {import('../utils/shadowCascades.js').ShadowCascade[]} context.shadowCascades - Light
+ *        frustums of the shadow map cascades.
+ * @param {Object} context.sun - Sun position; its angular radius sizes the shadow penumbra.
  */
-export function renderMainScene(values, { lightDirection, sunPosition, lightViewProjectionMatrix }) {
+export function renderMainScene(values, { lightDirection, sunPosition, shadowCascades, sun }) {
     const gl = this.gl;
     // Setup depth testing, blending, culling, etc.
     setupWebGLState(gl);
@@ -52,16 +57,18 @@ export function renderMainScene(values, { lightDirection, sunPosition, lightView
     multiply(mvpMatrix, mvpMatrix, modelMatrix);
 
     // === Set Lighting Info in Shaders ===
-    this.setLightingUniforms(sunPosition, lightViewProjectionMatrix, values);
+    this.setLightingUniforms(sunPosition, shadowCascades, values, sun.angularRadius);
     // === Render Scene Elements ===
     renderPlane.call(this, mvpMatrix, modelMatrix, lightDirection, values);
+    renderDialFace.call(this, viewMatrix, projectionMatrix, lightDirection, values);
     renderGrassBlades.call(this, projectionMatrix, viewMatrix, lightDirection, values);
     renderGnomon.call(this, viewMatrix, projectionMatrix, lightDirection, values);
     renderSun.call(this, viewMatrix, projectionMatrix, sunPosition, lightDirection, values);
     
     renderHourLines.call(this, viewMatrix, projectionMatrix, lightDirection, values);
+    renderShadowTrace.call(this, viewMatrix, projectionMatrix, lightDirection, values);
     // === Optional / dynamic elements ===
     this.renderRealisticClouds(projectionMatrix, viewMatrix, this.animationTime * 1000);
-    this.updateHourMarkers();// UI or 3D markers showing hour values
+    this.updateHourMarkers(values);// UI or 3D markers showing hour values
     this.updateFPS();// Debug/statistics overlay
 }
@@ -25,11 +25,8 @@ export function renderPlane(mvpMatrix, modelMatrix, lightDirection, values) {
     if (u_isGroundLocation) gl.uniform1f(u_isGroundLocation, 1.0);
 
      // Pass simulated time to the shader (in decimal hours, e.g., 14.5 = 14:30)
-    const timeStr = this.uiControls.currentTime || "12:00";
-    const [hours, minutes] = timeStr.split(':').map(Number);
-    const simulatedTimeHours = hours + (minutes / 60.0);
     const u_realTime = gl.getUniformLocation(this.program, 'u_realTime');
-    if (u_realTime) gl.uniform1f(u_realTime, simulatedTimeHours);
+    if (u_realTime) gl.uniform1f(u_realTime, this.currentTime);
 
     // Set core lighting and transform uniforms
     this.renderer.setUniforms(
@@ -47,8 +44,11 @@ export function renderPlane(mvpMatrix, modelMatrix, lightDirection, values) {
         0.2  // Blue component
     ];
 
+    // An imported dial plate replaces the ground on dials drawn on it
+    const replaced = this.buffers.customMeshes.dial && !this.buffers.dialFace;
+
      // Draw the ground plane geometry with soil color
-    this.renderer.drawObject(
+    if (!replaced) this.renderer.drawObject(
         this.buffers.planeVertex,
         this.buffers.planeIndex,
         this.geometries.plane.indices.length,
@@ -1,29 +1,41 @@
+import { SHADOW_MAP_SIZE, SHADOW_CASCADE_TILE_SIZE } from '../utils/shadowCascades.js';
+
 /**
  * Executes the shadow map rendering pass.
- * 
+ *
  * This function renders the scene from the light's point of view into a dedicated framebuffer,
- * producing a depth texture (shadow map) that will later be used to simulate shadows during main rendering.
- * 
+ * once per shadow cascade into that cascade's tile of the shadow map (a 2×2 grid filled row by
+ * row), producing the depth textures that will later be used to simulate shadows during main rendering.
+ *
  * @param {Object} values - Configuration values, including the `enableShadows` flag.
- * @param {Float32Array} lightViewProjectionMatrix - The matrix that transforms world space to the light's clip space.
+ * @param {import('../utils/shadowCascades.js').ShadowCascade[]} shadowCascades - Light frustums of
+ *        the cascades, finest first.
  */
-export function renderShadowPass(values, { lightViewProjectionMatrix }) {
+export function renderShadowPass(values, { shadowCascades }) {
     // Skip if shadows are disabled or no shadow framebuffer is defined
     if (!values.enableShadows || !this.shadowFramebuffer) return;
     // === 1. Bind the shadow framebuffer ===
     this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.shadowFramebuffer);
-    // Set a high-resolution viewport for the shadow map
-    this.gl.viewport(0, 0, 4096, 4096);
-    // Clear previous depth and color from shadow buffer
+    this.gl.viewport(0, 0, SHADOW_MAP_SIZE, SHADOW_MAP_SIZE);
+    // Clear previous depth and color from shadow buffer; white unpacks to the far plane
+    this.gl.clearColor(1.0, 1.0, 1.0, 1.0);
     this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
     // Activate the shader program used for shadow rendering
     this.gl.useProgram(this.shadowProgram);
-    // === 2. Send the light's view-projection matrix to the shader ===
     const lightMvpLocation = this.gl.getUniformLocation(this.shadowProgram, 'u_lightViewProjectionMatrix');
-    this.gl.uniformMatrix4fv(lightMvpLocation, false, lightViewProjectionMatrix);
-    // === 3. Render the scene into the shadow map ===
-    // This renders all relevant objects (e.g., grass, gnomon) from the light's perspective
-    this.renderForShadowMap();
+    shadowCascades.forEach((cascade, index) => {
+        // === 2. Restrict drawing to the cascade's tile and send its light matrix ===
+        this.gl.viewport(
+            (index % 2) * SHADOW_CASCADE_TILE_SIZE,
+            Math.floor(index / 2) * SHADOW_CASCADE_TILE_SIZE,
+            SHADOW_CASCADE_TILE_SIZE,
+            SHADOW_CASCADE_TILE_SIZE
+        );
+        this.gl.uniformMatrix4fv(lightMvpLocation, false, cascade.lightViewProjectionMatrix);
+        // === 3. Render the scene into the tile ===
+        // This renders all relevant objects (e.g., grass, gnomon) from the light's perspective
+        this.renderForShadowMap();
+    });
     // === 4. Restore default framebuffer and viewport ===
     this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
     this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
@@ -0,0 +1,44 @@
+import { mat4, identity, multiply } from '../utils/math-utils.js';
+/** Colour of the trace being recorded. */
+export const CURRENT_TRACE_COLOR = [0.95, 0.45, 0.05]; // Orange
+/** Colours of the traces of previous days, from the most recent. */
+export const PREVIOUS_TRACE_COLORS = [
+    [0.1, 0.55, 0.6],  // Teal
+    [0.55, 0.15, 0.5], // Plum
+    [0.4, 0.5, 0.1],   // Olive
+    [0.3, 0.3, 0.75]   // Slate blue
+];
+
+/**
+ * Renders the recorded shadow-tip traces over the dial lines: the day being recorded in
+ * orange, previous days kept for comparison in a cycle of other colours.
+ *
+ * The traces are baked in world space, so the model matrix is the identity.
+ *
+ * @param {Float32Array} viewMatrix - Camera view matrix.
+ * @param {Float32Array} projectionMatrix - Projection matrix.
+ * @param {Float32Array} lightDirection - Direction vector of the light source.
+ * @param {Object} values - Rendering flags (e.g., shadows, quality settings).
+ */
+export function renderShadowTrace(viewMatrix, projectionMatrix, lightDirection, values) {
+    const traces = this.buffers.shadowTraces;
+    if (!traces || traces.length === 0) return;
+
+    const modelMatrix = mat4();
+    identity(modelMatrix);
+    const mvpMatrix = mat4();
+    multiply(mvpMatrix, projectionMatrix, viewMatrix);
+    this.renderer.setUniforms(lightDirection, mvpMatrix, modelMatrix, modelMatrix, values.enableShadows, values.lowQuality);
+
+    traces.forEach((trace, index) => {
+        if (trace.indexCount === 0) return;
+        const age = traces.length - 1 - index;
+        this.renderer.drawObject(
+            trace.lineVertexBuffer,
+            trace.lineIndexBuffer,
+            trace.indexCount,
+            age === 0 ? CURRENT_TRACE_COLOR : PREVIOUS_TRACE_COLORS[(age - 1) % PREVIOUS_TRACE_COLORS.length],
+            false, false, false, false
+        );
+    });
+}
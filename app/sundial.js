@@ -6,18 +6,34 @@ import { skyVertexShaderSource, skyFragmentShaderSource } from '../webgl/shaders
 import { createSkyProgram, createSkyDome } from '../webgl/webgl-utils.js';
 import { vertexShaderSource, fragmentShaderSource } from '../webgl/shaders.js';
 import { createShader, createProgram, createBuffer, createIndexBuffer, initializeWebGL, resizeCanvas, initShadowMap } from '../webgl/webgl-utils.js';
-import { mat4, identity, perspective, lookAt, multiply, createOrthographicMatrix } from '../utils/math-utils.js';
-import { calculateTimeFromSun, calculateShadowTime, calculateSundialHourAngles } from '../utils/astronomy.js';
-import { createPlane } from '../geometry/geometry.js';
+import { calculateShadowCascades, vertexBoundingSphere, MAX_SHADOW_CASCADES } from '../utils/shadowCascades.js';
+import { mat4, identity, perspective, lookAt, multiply, cross, normalize } from '../utils/math-utils.js';
+import { calculateTimeFromSun, calculateSolarPosition, calculateSunEvents, calculateHourSystemTimes, solarDeclinationOnDay, sunAngularRadius, compareSolarModels, projectShadowTip, horizontalToDirection, calculateDiurnalArc, calculateDateLineDeclinations, READING_STATUS } from '../utils/astronomy.js';
+import { zonedDate, zoneClockTime, solarToCivilTime } from '../utils/timezone.js';
+import { ObserverLocation } from '../utils/location.js';
+import { ShadowTraceRecorder } from '../utils/shadowTrace.js';
+import { dayOfYearToDateString, formatDateLineLabel, formatHours } from '../utils/format.js';
+import { translate } from '../utils/i18n.js';
+import { createPlane, createShadowTrace, offsetVertices } from '../geometry/geometry.js';
 import { Renderer } from '../renderer/renderer.js';
-import { CameraControls, UIControls } from '../controls/controls.js';
-import { createCloudsGeometry, createStructuredCloudGeometry, createHourLines,createSphere,scatterGrassField,createGnomon } from '../geometry/geometry.js';
+import { CameraControls, UIControls, LocationControls, SunPathChart, SolarModelChart } from '../controls/controls.js';
+import { createCloudsGeometry, createStructuredCloudGeometry, createSphere, scatterGrassField } from '../geometry/geometry.js';
+import { DIAL_TYPES } from './dialTypes.js';
 import { renderMainScene } from './renderMainScene.js';
 import { renderShadowPass } from './renderShadowPass.js';
 import { renderForShadowMap } from './renderForShadowMap.js';
 import { createCloudBuffers } from '../Buffers/createCloudBuffers.js';
 import { createGrassBladesBuffer } from '../Buffers/createGrassBladesBuffer.js';
 import { createHourLinesBuffer } from '../Buffers/createHourLinesBuffer.js';
+import { createDialFaceBuffer } from '../Buffers/createDialFaceBuffer.js';
+import { createShadowTraceBuffer } from '../Buffers/createShadowTraceBuffer.js';
+import { createCustomMeshBuffers } from '../Buffers/createCustomMeshBuffers.js';
+import { createDialLayout } from '../export/dialLayout.js';
+import { createDialSvg } from '../export/svgExport.js';
+import { createDialDxf } from '../export/dxfExport.js';
+import { createSundialGlb } from '../export/gltfExport.js';
+import { loadMeshFile } from '../import/meshImport.js';
+import { downloadFile } from '../export/download.js';
 /**
  * Main class for the WebGL-based 3D Sundial application.
  * 
@@ -44,12 +60,44 @@ export class SundialApp {
         this.cameraControls = null;
         /** @type {UIControls} */
         this.uiControls = null;
+        /** @type {ObserverLocation} Where the sundial stands */
+        this.location = new ObserverLocation();
+        /** @type {LocationControls} */
+        this.locationControls = null;
+        /** Current sundial type, a key of DIAL_TYPES */
+        this.dialType = 'horizontal';
+        /** Settings of the current dial type (angles in radians) */
+        this.dialOptions = { wallDeclination: 0 };
         /** Container for generated geometry */
         this.geometries = {};
         /** Container for WebGL-created buffers */
         this.buffers = {};
         /** Time accumulator for solar animation */
         this.animationTime = 0;
+        /** Solar events of the selected day and the date/location they were computed for */
+        this.sunEvents = null;
+        this.sunEventsKey = '';
+        /** Last ground point queried by clicking, with its solution (see `queryShadowTip`) */
+        this.shadowQuery = null;
+        /** Shadow-tip samples recorded by the daily simulation */
+        this.shadowTrace = new ShadowTraceRecorder();
+        /** Recorder revision the trace geometry was built from */
+        this.shadowTraceRevision = -1;
+        /** @type {SunPathChart} */
+        this.sunPathChart = null;
+        /** Sun paths drawn on the chart and the date/location they were computed for */
+        this.sunPath = null;
+        this.sunPathKey = '';
+        /** @type {SolarModelChart} */
+        this.solarModelChart = null;
+        /** Differences between the solar models and the year they were computed for */
+        this.solarModelComparison = null;
+        this.solarModelComparisonYear = null;
+        /** Sphere around the dial given its own shadow cascade and the geometries it was computed from */
+        this.shadowFocus = null;
+        this.shadowFocusSources = [];
+        /** Civil clock time being shown, in fractional hours */
+        this.currentTime = 12;
         /** @type {WebGLProgram} */
         this.skyProgram = null;
         /** Container for sky geometry */
@@ -60,6 +108,8 @@ export class SundialApp {
         this.shadowFramebuffer = null;
         this.shadowTexture = null;
         this.shadowProgram = null;
+        /** Whether the shadow texture holds depth packed in RGBA rather than a depth texture */
+        this.shadowDepthPacked = false;
         /** Quality state tracking */
         this.isLowQualityLoaded = false;
         /** FPS tracking */
@@ -108,6 +158,7 @@ export class SundialApp {
                 this.shadowFramebuffer = shadowResources.shadowFramebuffer;
                 this.shadowTexture = shadowResources.shadowTexture;
                 this.shadowProgram = shadowResources.shadowProgram;
+                this.shadowDepthPacked = shadowResources.packedDepth;
 
                 // Set shadow program in renderer
                 this.renderer.setShadowProgram(this.shadowProgram);
@@ -116,6 +167,17 @@ export class SundialApp {
             // Initialize user controls
             this.cameraControls = new CameraControls(this.canvas);
             this.uiControls = new UIControls();
+            this.locationControls = new LocationControls(this.location);
+            this.location.onChange(() => this.rebuildDial());
+            this.cameraControls.onClick((x, y) => this.queryShadowTip(x, y));
+            this.uiControls.onClearTrace(() => this.shadowTrace.clear());
+            this.uiControls.onExport(format => this.exportLayout(format));
+            this.uiControls.onExportScene(() => this.exportScene());
+            this.uiControls.onMeshFile((target, file) => this.importMesh(target, file));
+            this.uiControls.onMeshClear(target => this.clearImportedMesh(target));
+            this.sunPathChart = new SunPathChart(document.getElementById('sunPathChart'));
+            this.sunPathChart.onTimeSelect(clockTime => this.setSimulationTime(clockTime));
+            this.solarModelChart = new SolarModelChart(document.getElementById('solarModelChart'));
             // Load grass texture
 
             // Start rendering loop
@@ -267,8 +329,9 @@ export class SundialApp {
             this.buffers.sunVertex = createBuffer(gl, this.geometries.sun.vertices);
             this.buffers.sunIndex = createIndexBuffer(gl, this.geometries.sun.indices);
     
-            // Hour line buffers
+            // Hour line and dial face buffers
            createHourLinesBuffer.call(this);
+            createDialFaceBuffer.call(this);
             createGrassBladesBuffer.call(this);
             // Grass blade buffers
             
@@ -279,6 +342,7 @@ export class SundialApp {
     
             // Realistic cloud buffers
             createCloudBuffers.call(this);
+            createCustomMeshBuffers.call(this);
         }
 
     /**
@@ -311,15 +375,250 @@ export class SundialApp {
         }
 
     /**
-     * Computes and renders HTML hour markers at their corresponding 3D positions.
+     * Builds the gnomon, hour lines and dial face for the current dial type and location.
      */
-    updateHourMarkers() {
+    createDialGeometries() {
+        const dial = DIAL_TYPES[this.dialType];
+        this.createGnomonGeometry();
+        this.geometries.hourLines = dial.createHourLines(this.location, this.dialOptions);
+        this.geometries.dateLines = dial.createDateLines(this.location, this.dialOptions);
+        this.geometries.analemmas = dial.createAnalemmas(this.location, this.dialOptions);
+        this.geometries.historicalHourLines = dial.createHistoricalHourLines(this.location, this.dialOptions);
+        this.geometries.dialFace = dial.createDialFace(this.location, this.dialOptions);
+    }
+
+    /**
+     * Regenerates the dial geometry and buffers after the location or dial settings change.
+     * Hour markers, sun position and shadow time read the location every frame.
+     */
+    rebuildDial() {
+        this.createDialGeometries();
+        this.clearShadowQuery();
+        this.shadowTrace.clear();
+
+        this.createGnomonBuffers();
+        createHourLinesBuffer.call(this);
+        createDialFaceBuffer.call(this);
+    }
+
+    /**
+     * Replaces the gnomon buffers with ones for `this.geometries.gnomon`, releasing the previous pair.
+     */
+    createGnomonBuffers() {
+        this.gl.deleteBuffer(this.buffers.gnomonVertex);
+        this.gl.deleteBuffer(this.buffers.gnomonIndex);
+        this.buffers.gnomonVertex = createBuffer(this.gl, this.geometries.gnomon.vertices);
+        this.buffers.gnomonIndex = createIndexBuffer(this.gl, this.geometries.gnomon.indices);
+    }
+
+    /**
+     * Regenerates only the gnomon, e.g. when an analemmatic dial moves it along its date scale
+     * or the gnomon shape changes.
+     */
+    rebuildGnomon() {
+        this.createGnomonGeometry();
+        this.createGnomonBuffers();
+    }
+
+    /**
+     * Builds the procedural gnomon and the point it stands on, where an imported gnomon is drawn.
+     */
+    createGnomonGeometry() {
+        const dial = DIAL_TYPES[this.dialType];
+        this.geometries.gnomon = dial.createGnomon(this.location, this.dialOptions);
+        this.geometries.gnomonRoot = dial.gnomonRoot ? dial.gnomonRoot(this.location, this.dialOptions) : [0, 0, 0];
+    }
+
+    /**
+     * Rebuilds the dial when the dial type, its settings, the style length or the solar model
+     * change in the UI. Dial types that follow the date only regenerate their gnomon when the
+     * day changes, as do all types when only the shape of the gnomon changes.
+     */
+    updateDialSettings(values) {
+        const dial = DIAL_TYPES[values.dialType];
+        if (!dial) return;
+
+        const options = {
+            wallDeclination: values.wallDeclination * Math.PI / 180,
+            year: values.year,
+            dayOfYear: values.dayOfYear,
+            gnomon: values.gnomon,
+            solarModel: values.solarModel
+        };
+        const settingsChanged = options.solarModel !== this.dialOptions.solarModel || values.dialType !== this.dialType ||
+            options.wallDeclination !== this.dialOptions.wallDeclination ||
+            options.gnomon.styleLength !== (this.dialOptions.gnomon && this.dialOptions.gnomon.styleLength) ||
+            (dial.followsDate && options.year !== this.dialOptions.year);
+        const dateChanged = dial.followsDate && options.dayOfYear !== this.dialOptions.dayOfYear;
+        const previousGnomon = this.dialOptions.gnomon || {};
+        const gnomonChanged = Object.keys(options.gnomon).some(key => options.gnomon[key] !== previousGnomon[key]);
+
+        this.dialType = values.dialType;
+        this.dialOptions = options;
+        if (settingsChanged) {
+            this.rebuildDial();
+        } else if (dateChanged || gnomonChanged) {
+            this.rebuildGnomon();
+        }
+    }
+
+    /**
+     * Intersects the camera ray through a canvas pixel with the ground plane.
+     * @param {number} screenX - Pixel column from the left edge of the canvas.
+     * @param {number} screenY - Pixel row from the top edge of the canvas.
+     * @returns {number[]|null} [x, z] ground point, or null when the ray misses the ground.
+     */
+    pickGroundPoint(screenX, screenY) {
+        // Same camera as the main scene: 45° vertical field of view, looking at the origin
+        const eye = this.cameraControls.getCameraPosition();
+        const forward = normalize(eye.map(c => -c));
+        const right = normalize(cross(forward, [0, 1, 0]));
+        const up = cross(right, forward);
+        const halfHeight = Math.tan(Math.PI / 8);
+        const halfWidth = halfHeight * this.canvas.width / this.canvas.height;
+        const ndcX = (screenX / this.canvas.width) * 2 - 1;
+        const ndcY = 1 - (screenY / this.canvas.height) * 2;
+        const ray = forward.map((c, i) => c + ndcX * halfWidth * right[i] + ndcY * halfHeight * up[i]);
+
+        if (eye[1] <= 0 || ray[1] >= 0) return null;
+        const distance = -eye[1] / ray[1];
+        return [eye[0] + ray[0] * distance, eye[2] + ray[2] * distance];
+    }
+
+    /**
+     * Answers a click on the ground: the solar time and the dates on which the style tip's
+     * shadow falls there, each converted to the civil clock of the location.
+     * @param {number} screenX - Pixel column from the left edge of the canvas.
+     * @param {number} screenY - Pixel row from the top edge of the canvas.
+     */
+    queryShadowTip(screenX, screenY) {
+        const point = this.pickGroundPoint(screenX, screenY);
+        if (!point) return;
+
+        const dial = DIAL_TYPES[this.dialType];
+        const solution = dial.solveShadowTip ? dial.solveShadowTip(point, this.location, this.dialOptions) : null;
+        const { latitudeRad, longitudeRad, longitude, timeZone } = this.location;
+        const candidates = solution ? solution.dates.map(candidate => {
+            const date = zonedDate(this.dialOptions.year, candidate.dayOfYear, 12, timeZone);
+            const { equationOfTime } = calculateSolarPosition(date, latitudeRad, longitudeRad, null, this.dialOptions.solarModel);
+            const correction = solarToCivilTime(solution.apparentSolarTime, { date, equationOfTime, longitude, timeZone });
+            return { ...candidate, civilTime: correction.civilTime, clockZone: this.location.describeTimeZone(date) };
+        }) : [];
+
+        this.shadowQuery = { point, supported: Boolean(dial.solveShadowTip), solution, candidates };
+        this.uiControls.updateShadowQuery(this.shadowQuery);
+    }
+
+    /**
+     * Forgets the clicked ground point, whose solution depends on the dial and location.
+     */
+    clearShadowQuery() {
+        this.shadowQuery = null;
+        if (this.uiControls) this.uiControls.updateShadowQuery(null);
+    }
+
+    /**
+     * Downloads the layout of the current dial, drawn at the printed width chosen in the controls:
+     * an SVG to print or a DXF for the workshop's cutter.
+     * @param {string} format - File format, 'svg' or 'dxf'.
+     */
+    exportLayout(format) {
+        const dial = DIAL_TYPES[this.dialType];
+        if (!dial.layoutFrame) return;
+
+        const layout = createDialLayout(dial, this.location, this.dialOptions);
+        const widthMm = this.uiControls.getValues().dialWidth;
+        const filename = `sundial-${this.dialType}.${format}`;
+        if (format === 'svg') {
+            const title = `${translate(`dial.${this.dialType}`)} · ${this.location.describe()}`;
+            downloadFile(filename, createDialSvg(layout, { widthMm, title }), 'image/svg+xml');
+        } else if (format === 'dxf') {
+            downloadFile(filename, createDialDxf(layout, { widthMm }), 'application/dxf');
+        }
+    }
+
+    /**
+     * Replaces the gnomon or the dial plate with a mesh read from a user's file, in both the main
+     * and the shadow pass. The mesh is taken in scene units and axes: +Y up, style root at the origin,
+     * and a gnomon is drawn moved to the dial's `gnomonRoot`.
+     * @param {string} target - 'gnomon' or 'dial'.
+     * @param {File} file - .obj, .gltf or .glb file.
+     */
+    async importMesh(target, file) {
+        try {
+            const mesh = await loadMeshFile(file);
+            this.geometries.customMeshes[target] = mesh;
+            createCustomMeshBuffers.call(this);
+            this.uiControls.updateMeshImport({ target, mesh });
+        } catch (error) {
+            console.error('Mesh import error:', error);
+            this.uiControls.updateMeshImport({ target, error: error.message });
+        }
+    }
+
+    /**
+     * Goes back to the procedural gnomon or dial plate.
+     * @param {string} target - 'gnomon' or 'dial'.
+     */
+    clearImportedMesh(target) {
+        this.geometries.customMeshes[target] = null;
+        createCustomMeshBuffers.call(this);
+        this.uiControls.updateMeshImport(null);
+    }
+
+    /**
+     * Downloads the whole scene as it stands as a binary glTF file, with the sun at its
+     * current position.
+     */
+    exportScene() {
+        const values = this.uiControls.getValues();
+        const { sunPosition } = this.calculateLighting(values);
+        const glb = createSundialGlb(this.geometries, { sunPosition, hourSystems: values.hourSystems });
+        downloadFile(`sundial-${this.dialType}.glb`, glb, 'model/gltf-binary');
+    }
+
+    /**
+     * Labels of the shadow-tip traces: the clock time of the whole-hour samples (every sample
+     * when sampling less often) on the day being recorded, and the date at the end of the
+     * traces kept from previous days.
+     * @param {number} interval - Sampling interval in minutes.
+     * @returns {Array<{position: number[], text: string, className: string}>}
+     */
+    shadowTraceLabels(interval) {
+        const labels = [];
+        const days = this.shadowTrace.days;
+        days.forEach((day, index) => {
+            const visible = day.samples.filter(sample => sample.position);
+            if (index < days.length - 1) {
+                if (visible.length) {
+                    labels.push({
+                        position: visible[visible.length - 1].position,
+                        text: dayOfYearToDateString(day.dayOfYear),
+                        className: 'hour-markers trace-markers previous'
+                    });
+                }
+                return;
+            }
+            visible
+                .filter(sample => interval > 60 || sample.time % 60 === 0)
+                .forEach(sample => labels.push({
+                    position: sample.position,
+                    text: formatHours(sample.time / 60),
+                    className: 'hour-markers trace-markers'
+                }));
+        });
+        return labels;
+    }
+
+    /**
+     * Computes and renders HTML hour and date line markers at their corresponding 3D positions,
+     * with the numbers of the historical hour lines enabled in `values.hourSystems` and the
+     * timestamps of the shadow-tip traces.
+     */
+    updateHourMarkers(values) {
         // Remove existing markers
         document.querySelectorAll('.hour-markers').forEach(el => el.remove());
 
-        const ROME_LATITUDE = 41.9 * Math.PI / 180;
-        const hourAngles = calculateSundialHourAngles(ROME_LATITUDE);
-
         // Use the same matrices as in 3D rendering
         const projectionMatrix = mat4();
         const viewMatrix = mat4();
@@ -332,14 +631,40 @@ export class SundialApp {
         lookAt(viewMatrix, cameraPos, [0, 0, 0], [0, 1, 0]);
         multiply(mvpMatrix, projectionMatrix, viewMatrix);
 
-        hourAngles.forEach(hourData => {
-            const angle = hourData.angle;
-            const length = 8; // distance from center
+        // Hour numbers at the end of their lines, then the date line labels
+        const labels = this.geometries.hourLines.map(hourData => ({
+            position: hourData.labelPosition,
+            text: hourData.hour,
+            className: 'hour-markers'
+        }));
+        this.geometries.dateLines
+            .filter(dateLine => dateLine.labelPosition)
+            .forEach(dateLine => labels.push({
+                position: dateLine.labelPosition,
+                text: formatDateLineLabel(dateLine),
+                className: 'hour-markers date-markers'
+            }));
+        Object.entries(this.geometries.historicalHourLines)
+            .filter(([system]) => values.hourSystems[system])
+            .forEach(([system, lines]) => lines
+                .filter(line => line.labelPosition)
+                .forEach(line => labels.push({
+                    position: line.labelPosition,
+                    text: line.hour,
+                    className: `hour-markers hour-system-markers ${system}`
+                })));
+        this.shadowTraceLabels(values.shadowTrace.interval).forEach(label => labels.push(label));
+        if (this.shadowQuery) {
+            labels.push({
+                position: [this.shadowQuery.point[0], 0, this.shadowQuery.point[1]],
+                text: '✕',
+                className: 'hour-markers query-marker'
+            });
+        }
 
-            // 3D position of the hour marker
-            const x3d = Math.sin(angle) * length;
-            const y3d = 0.5; // height from plane
-            const z3d = Math.cos(angle) * length;
+        labels.forEach(label => {
+            // 3D position of the marker
+            const [x3d, y3d, z3d] = label.position;
 
             // Transform to screen coordinates using MVP matrix
             const worldPos = [x3d, y3d, z3d, 1];
@@ -359,8 +684,8 @@ export class SundialApp {
 
                 // Create HTML element for markers
                 const marker = document.createElement('div');
-                marker.className = 'hour-markers';
-                marker.textContent = hourData.hour;
+                marker.className = label.className;
+                marker.textContent = label.text;
                 marker.style.left = screenX + 'px';
                 marker.style.top = screenY + 'px';
                 marker.style.transform = 'translate(-50%, -50%)';
@@ -399,14 +724,20 @@ export class SundialApp {
         const values = this.uiControls.getValues();
         
         this.updateQualitySettings(values.lowQuality);
+        this.updateDialSettings(values);
+        const sunEvents = this.calculateSunEvents(values);
 
         if (values.autoRotate) {
-            this.updateAutoRotate(values);
+            this.updateAutoRotate(values, sunEvents);
         }
+        this.updateShadowTrace(values);
 
         const lightData = this.calculateLighting(values);
-        this.updateTimeDisplays(values, lightData.lightDirection);
-        this.updateHourMarkers();
+        this.updateSunPathChart(values, lightData.sun);
+        this.updateSolarModelChart(values);
+        this.updateTimeDisplays(values, lightData);
+        this.uiControls.updateSunEvents(sunEvents, this.location.timeZone);
+        this.updateHourMarkers(values);
         this.renderShadowPass(values, lightData);
         this.renderMainScene(values, lightData);
 
@@ -417,17 +748,219 @@ export class SundialApp {
     requestAnimationFrame(this.render);
 };
 
-updateAutoRotate(values) {
+/**
+ * Returns the solar events of the selected day, recomputed only when the date, location,
+ * atmosphere or solar model changes.
+ *
+ * @param {Object} values - Current UI values.
+ * @returns {ReturnType<typeof calculateSunEvents>} Sunrise, sunset, transit and twilight.
+ */
+calculateSunEvents(values) {
+    const { latitudeRad, longitudeRad } = this.location;
+    const key = [values.year, values.dayOfYear, latitudeRad, longitudeRad, JSON.stringify(values.atmosphere), values.solarModel].join('|');
+    if (this.sunEventsKey !== key) {
+        this.sunEventsKey = key;
+        this.sunEvents = calculateSunEvents(values.year, values.dayOfYear, latitudeRad, longitudeRad, values.atmosphere, values.solarModel);
+    }
+    return this.sunEvents;
+}
+
+/**
+ * Advances the daily simulation, one simulated hour per animation unit, from sunrise to sunset.
+ * In free sun mode the azimuth sweeps from the sunrise to the sunset azimuth through the meridian;
+ * during polar day or night the whole day is covered.
+ *
+ * @param {Object} values - Current UI values, updated in place.
+ * @param {ReturnType<typeof calculateSunEvents>} sunEvents - Events of the selected day.
+ */
+updateAutoRotate(values, sunEvents) {
     this.animationTime += 0.01;
-    const sunAngle = 90 + ((this.animationTime * 15) % 180);
-    this.uiControls.setSunAngle(sunAngle);
-    values.sunAngle = sunAngle;
+    const { sunrise, sunset, transit } = sunEvents;
+
+    if (values.freeSun) {
+        let sunAngle = (this.animationTime * 15) % 360;
+        if (sunrise) {
+            const azimuthAt = (date) => calculateSolarPosition(date, this.location.latitudeRad, this.location.longitudeRad, null, values.solarModel).azimuth;
+            const riseAzimuth = azimuthAt(sunrise);
+            // Clockwise through south when the sun culminates there, anticlockwise through north otherwise
+            const direction = Math.cos(azimuthAt(transit) * Math.PI / 180) < 0 ? 1 : -1;
+            const span = (((azimuthAt(sunset) - riseAzimuth) * direction) % 360 + 360) % 360;
+            const sweep = (this.animationTime * 15) % span;
+            sunAngle = ((riseAzimuth + direction * sweep) % 360 + 360) % 360;
+        }
+        this.uiControls.setSunAngle(sunAngle);
+        values.sunAngle = sunAngle;
+        return;
+    }
+
+    let clockTime = this.animationTime % 24;
+    if (sunrise) {
+        const daylight = (sunset.getTime() - sunrise.getTime()) / 3600000;
+        clockTime = zoneClockTime(sunrise, this.location.timeZone) + (this.animationTime % daylight);
+    }
+    this.uiControls.setClockTime(clockTime);
+    values.clockTime = clockTime;
+}
+
+/**
+ * Returns the sun paths of the chart: today's arc in clock time, with the apparent elevation of
+ * `calculateSolarPosition`, and the solstice arcs on the geometric horizon. Recomputed only when
+ * the date, location, atmosphere or solar model changes.
+ *
+ * @param {Object} values - Current UI values.
+ * @returns {Parameters<SunPathChart['draw']>[0]} Arcs and hour marks in degrees.
+ */
+calculateSunPath(values) {
+    const { latitudeRad, longitudeRad, timeZone } = this.location;
+    const key = [values.year, values.dayOfYear, latitudeRad, longitudeRad, timeZone, JSON.stringify(values.atmosphere), values.solarModel].join('|');
+    if (this.sunPathKey === key) return this.sunPath;
+
+    const positionAt = clockTime => {
+        const date = zonedDate(values.year, values.dayOfYear, clockTime, timeZone);
+        const { azimuth, elevation } = calculateSolarPosition(date, latitudeRad, longitudeRad, values.atmosphere, values.solarModel);
+        return { clockTime, azimuth, elevation };
+    };
+
+    // Today's arc every 5 minutes, split where the sun sets
+    const today = [];
+    let arc = [];
+    for (let minutes = 0; minutes <= 1440; minutes += 5) {
+        const point = positionAt(minutes / 60);
+        if (point.elevation >= 0) {
+            arc.push(point);
+        } else if (arc.length) {
+            today.push(arc);
+            arc = [];
+        }
+    }
+    if (arc.length) today.push(arc);
+
+    const hours = [];
+    for (let hour = 0; hour < 24; hour++) {
+        const point = positionAt(hour);
+        if (point.elevation >= 0) hours.push(point);
+    }
+
+    const solstices = calculateDateLineDeclinations()
+        .filter(line => line.event === 'juneSolstice' || line.event === 'decemberSolstice')
+        .flatMap(line => calculateDiurnalArc(line.declination, latitudeRad));
+
+    this.sunPathKey = key;
+    this.sunPath = { today: today.filter(part => part.length > 1), solstices, hours };
+    return this.sunPath;
+}
+
+/**
+ * Redraws the sun-path chart with the current sun, hidden when it is below the horizon.
+ *
+ * @param {Object} values - Current UI values.
+ * @param {{azimuth: number, elevation: number}} sun - Sun position in degrees.
+ */
+updateSunPathChart(values, sun) {
+    this.sunPathChart.draw(this.calculateSunPath(values), sun.elevation >= 0 ? sun : null);
+}
+
+/**
+ * Redraws the comparison of the solar models over the selected year, marking the selected day.
+ * The differences are recomputed only when the year changes.
+ *
+ * @param {Object} values - Current UI values.
+ */
+updateSolarModelChart(values) {
+    if (this.solarModelComparisonYear !== values.year) {
+        this.solarModelComparisonYear = values.year;
+        this.solarModelComparison = compareSolarModels(values.year);
+    }
+    this.solarModelChart.draw(this.solarModelComparison, values.dayOfYear);
+}
+
+/**
+ * Moves the simulation to a clock time picked on the sun-path chart. When the daily simulation
+ * runs it carries on from there; in free sun mode the clock is not used and nothing changes.
+ *
+ * @param {number} clockTime - Clock time in fractional hours.
+ */
+setSimulationTime(clockTime) {
+    const values = this.uiControls.getValues();
+    if (values.freeSun) return;
+
+    this.uiControls.setClockTime(clockTime);
+    // Inverse of `updateAutoRotate`: the simulation counts hours from sunrise
+    const { sunrise } = this.calculateSunEvents(values);
+    this.animationTime = sunrise ? clockTime - zoneClockTime(sunrise, this.location.timeZone) : clockTime;
 }
 
+/**
+ * Records the shadow tip every `values.shadowTrace.interval` minutes of simulated clock time
+ * while the daily simulation runs, unless the trace is frozen, and rebuilds the trace geometry
+ * when it changes. Free sun mode and dials without a nodus record nothing.
+ *
+ * @param {Object} values - Current UI values.
+ */
+updateShadowTrace(values) {
+    const dial = DIAL_TYPES[this.dialType];
+    const plane = dial.shadowTipPlane ? dial.shadowTipPlane(this.location, this.dialOptions) : null;
+    const { interval, frozen, overlay } = values.shadowTrace;
+
+    if (plane && values.autoRotate && !values.freeSun && !frozen) {
+        const { latitudeRad, longitudeRad, timeZone } = this.location;
+        const state = {
+            dayKey: [values.year, values.dayOfYear, JSON.stringify(values.atmosphere)].join('|'),
+            dayOfYear: values.dayOfYear,
+            clockTime: values.clockTime,
+            interval,
+            overlay
+        };
+        this.shadowTrace.record(state, clockTime => {
+            const date = zonedDate(values.year, values.dayOfYear, clockTime, timeZone);
+            const { azimuth, elevation } = calculateSolarPosition(date, latitudeRad, longitudeRad, values.atmosphere, values.solarModel);
+            const sun = horizontalToDirection(azimuth, elevation);
+            const tip = projectShadowTip(plane.nodus, plane.planePoint, plane.planeNormal, sun);
+            if (!tip) return null;
+            const offset = tip.map((c, k) => c - plane.planePoint[k]);
+            return Math.hypot(...offset) <= plane.maxDistance ? tip : null;
+        });
+    }
+
+    if (this.shadowTrace.revision !== this.shadowTraceRevision) {
+        this.shadowTraceRevision = this.shadowTrace.revision;
+        this.geometries.shadowTraces = plane
+            ? this.shadowTrace.days.map(day => createShadowTrace(day.samples, plane.planeNormal))
+            : [];
+        createShadowTraceBuffer.call(this);
+    }
+}
+
+/**
+ * Returns the sun's azimuth, apparent elevation and angular radius in degrees: taken from the
+ * manual sliders (at the mean solar distance) in free sun mode, otherwise computed from the date,
+ * clock time, location and atmosphere.
+ *
+ * @param {Object} values - Current UI values.
+ * @returns {{azimuth: number, elevation: number, angularRadius: number}} Sun position in degrees.
+ */
+calculateSunPosition(values) {
+    if (values.freeSun) {
+        return { azimuth: values.sunAngle, elevation: values.sunHeight, angularRadius: sunAngularRadius(1) };
+    }
+    const date = zonedDate(values.year, values.dayOfYear, values.clockTime, this.location.timeZone);
+    const sun = calculateSolarPosition(date, this.location.latitudeRad, this.location.longitudeRad, values.atmosphere, values.solarModel);
+    this.uiControls.setSunPosition(sun.azimuth, sun.elevation);
+    return { ...sun, date };
+}
+
+  /**
+   * Computes the sunlight of the frame: its direction, the position of the visible sun and the
+   * light frustums of the shadow cascades fitted to the current camera.
+   *
+   * @param {Object} values - Current UI values.
+   * @returns {{lightDirection: number[], sunPosition: number[], shadowCascades: import('../utils/shadowCascades.js').ShadowCascade[], sun: Object}}
+   */
   calculateLighting(values) {
-    
-    const azimuthRad = values.sunAngle * Math.PI / 180;
-    const elevationRad = values.sunHeight * Math.PI / 180;
+    const sun = this.calculateSunPosition(values);
+
+    const azimuthRad = sun.azimuth * Math.PI / 180;
+    const elevationRad = sun.elevation * Math.PI / 180;
 
     const lightDirection = [
         Math.sin(azimuthRad) * Math.cos(elevationRad),
@@ -442,39 +975,110 @@ updateAutoRotate(values) {
         -lightDirection[2] * sunDistance
     ];
 
-    const lightDistance = 30;
-    const lightPos = [
-        -lightDirection[0] * lightDistance,
-        Math.max(5, Math.abs(lightDirection[1]) * lightDistance + 5),
-        -lightDirection[2] * lightDistance
-    ];
-
-    const lightViewMatrix = mat4();
-    const lightViewProjectionMatrix = mat4();
-    lookAt(lightViewMatrix, lightPos, [0, 0, 0], [0, 1, 0]);
-    const lightProjectionMatrix = createOrthographicMatrix(-30, 30, -25, 25, 0.1, 85);
-
-    multiply(lightViewProjectionMatrix, lightProjectionMatrix, lightViewMatrix);
-
-    return { lightDirection, sunPosition, lightViewProjectionMatrix };
+    // One light frustum per slice of the main camera's frustum (same camera as renderMainScene)
+    const camera = {
+        position: this.cameraControls.getCameraPosition(),
+        target: [0, 0, 0],
+        fieldOfView: Math.PI / 4,
+        aspect: this.canvas.width / this.canvas.height,
+        near: 0.1,
+        far: 100
+    };
+    const shadowCascades = calculateShadowCascades(camera, lightDirection, values.shadowCascades.count, this.getShadowFocus());
+
+    return { lightDirection, sunPosition, shadowCascades, sun };
 }
-  updateTimeDisplays(values, lightDirection) {
-    const currentTime = calculateTimeFromSun(values.sunAngle, values.sunHeight, values.dayOfYear);
-    const shadowTimeStr = calculateShadowTime(lightDirection, values.dayOfYear);
-    this.uiControls.updateTimeDisplay(currentTime, shadowTimeStr);
+/**
+ * Sphere around the dial (gnomon, hour lines and dial face, or the meshes imported in their
+ * place) that gets a shadow cascade of its own. Recomputed when any of them is rebuilt.
+ *
+ * @returns {{center: number[], radius: number}|null}
+ */
+getShadowFocus() {
+    const { gnomon, gnomonRoot, hourLines, dialFace, customMeshes } = this.geometries;
+    const sources = [customMeshes.gnomon || gnomon, gnomonRoot, hourLines, customMeshes.dial || dialFace];
+    if (sources.some((source, index) => source !== this.shadowFocusSources[index])) {
+        this.shadowFocusSources = sources;
+        this.shadowFocus = vertexBoundingSphere([
+            ...(customMeshes.gnomon ? customMeshes.gnomon.parts.map(part => offsetVertices(part.vertices, gnomonRoot)) : [gnomon.vertices]),
+            ...hourLines.flatMap(line => [line.lineVertices, line.markerVertices]),
+            ...(customMeshes.dial ? customMeshes.dial.parts.map(part => part.vertices) : dialFace ? [dialFace.vertices] : [])
+        ]);
+    }
+    return this.shadowFocus;
 }
-setLightingUniforms(sunPosition, lightViewProjectionMatrix, values) {
+/**
+ * Builds the context used to turn apparent solar time into civil time: the instant
+ * being shown (local noon of the selected day in free sun mode) and its equation of time.
+ *
+ * @param {Object} values - Current UI values.
+ * @param {Object} sun - Sun position returned by `calculateSunPosition`.
+ * @returns {{date: Date, equationOfTime: number, longitude: number, timeZone: string}}
+ */
+createTimeConversion(values, sun) {
+    const { latitudeRad, longitudeRad, longitude, timeZone } = this.location;
+    let { date, equationOfTime } = sun;
+    if (values.freeSun) {
+        date = zonedDate(values.year, values.dayOfYear, 12, timeZone);
+        equationOfTime = calculateSolarPosition(date, latitudeRad, longitudeRad, null, values.solarModel).equationOfTime;
+    }
+    return { date, equationOfTime, longitude, timeZone };
+}
+
+  updateTimeDisplays(values, { lightDirection, sun }) {
+    const timeConversion = this.createTimeConversion(values, sun);
+    // A free sun has no clock: its time is read as if by a south-facing dial
+    const currentTime = values.freeSun
+        ? calculateTimeFromSun(sun.azimuth, sun.elevation, timeConversion)
+        : values.clockTime;
+    if (typeof currentTime === 'number') {
+        this.currentTime = currentTime;
+    } else if (currentTime.status === READING_STATUS.TIME) {
+        this.currentTime = currentTime.civilTime;
+    }
+    const shadowReading = DIAL_TYPES[this.dialType].readShadowTime(lightDirection, timeConversion, this.location, this.dialOptions);
+    // The correction steps follow the sun's own solar time, so they need a computed sun
+    const correction = values.freeSun ? null : solarToCivilTime(sun.solarTime, timeConversion);
+    this.uiControls.updateTimeDisplay(currentTime, shadowReading, this.location.describeTimeZone(timeConversion.date), correction);
+
+    // Historical hours count from the sun's own rising and setting; a free sun has no date of its own
+    const solarTime = values.freeSun ? currentTime.solarTime : sun.solarTime;
+    const declination = values.freeSun
+        ? solarDeclinationOnDay(values.year, values.dayOfYear, values.solarModel)
+        : sun.declination * Math.PI / 180;
+    this.uiControls.updateHourSystems(solarTime === null ? null : calculateHourSystemTimes(solarTime, declination, this.location.latitudeRad));
+}
+/**
+ * Sets the sun light and shadow map uniforms of the main program. The sun's angular radius
+ * sizes the shadow penumbra; each cascade's texel size and depth range scale its filter.
+ *
+ * @param {number[]} sunPosition - Position of the visible sun.
+ * @param {import('../utils/shadowCascades.js').ShadowCascade[]} shadowCascades - Light frustums
+ *        of the shadow map tiles, finest first.
+ * @param {Object} values - Current UI values.
+ * @param {number} angularRadius - Apparent radius of the sun's disc in degrees.
+ */
+setLightingUniforms(sunPosition, shadowCascades, values, angularRadius) {
     const gl = this.gl;
 
     if (values.enableShadows && this.shadowTexture) {
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_2D, this.shadowTexture);
         gl.uniform1i(gl.getUniformLocation(this.program, "u_shadowMap"), 0);
-        gl.uniformMatrix4fv(
-            gl.getUniformLocation(this.program, "u_lightViewProjectionMatrix"),
-            false,
-            lightViewProjectionMatrix
-        );
+        gl.uniform1f(gl.getUniformLocation(this.program, "u_shadowDepthPacked"), this.shadowDepthPacked ? 1.0 : 0.0);
+        const matrices = new Float32Array(16 * MAX_SHADOW_CASCADES);
+        const texelWorld = new Float32Array(MAX_SHADOW_CASCADES);
+        const depthRange = new Float32Array(MAX_SHADOW_CASCADES).fill(1);
+        shadowCascades.forEach((cascade, index) => {
+            matrices.set(cascade.lightViewProjectionMatrix, index * 16);
+            texelWorld[index] = cascade.texelWorld;
+            depthRange[index] = cascade.depthRange;
+        });
+        gl.uniformMatrix4fv(gl.getUniformLocation(this.program, "u_cascadeMatrices"), false, matrices);
+        gl.uniform1fv(gl.getUniformLocation(this.program, "u_cascadeTexelWorld"), texelWorld);
+        gl.uniform1fv(gl.getUniformLocation(this.program, "u_cascadeDepthRange"), depthRange);
+        gl.uniform1i(gl.getUniformLocation(this.program, "u_shadowCascadeCount"), shadowCascades.length);
+        gl.uniform1f(gl.getUniformLocation(this.program, "u_showCascades"), values.shadowCascades.debug ? 1.0 : 0.0);
     }
 
     const u_lightPositionLocation = gl.getUniformLocation(this.program, 'u_lightPosition');
@@ -484,19 +1088,22 @@ setLightingUniforms(sunPosition, lightViewProjectionMatrix, values) {
     if (u_lightPositionLocation) gl.uniform3fv(u_lightPositionLocation, sunPosition);
     if (u_lightIntensityLocation) gl.uniform1f(u_lightIntensityLocation, 5.0);
     if (u_lightRadiusLocation) gl.uniform1f(u_lightRadiusLocation, 50.0);
+
+    gl.uniform1f(gl.getUniformLocation(this.program, 'u_sunAngularRadius'), angularRadius * Math.PI / 180);
 }
   /**
- * Generates the 3D geometry: plane, gnomon, hour lines, sun, sky, and clouds.
+ * Generates the 3D geometry: plane, dial (gnomon, hour lines, face), sun, sky, and clouds.
  */
 
  createGeometries() {
          this.geometries.plane = createPlane(12);
-         this.geometries.gnomon = createGnomon();
-         this.geometries.hourLines = createHourLines();
+         this.createDialGeometries();
          this.geometries.sun = createSphere(1.5, 20);
          this.skyGeometry = createSkyDome(this.gl);
          this.geometries.clouds = createCloudsGeometry();
          this.geometries.grassBlades = scatterGrassField(2000);
+         // Meshes imported by the user in place of the gnomon and dial plate
+         this.geometries.customMeshes = { gnomon: null, dial: null };
  
      }
 
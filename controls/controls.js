@@ -1,5 +1,11 @@
 
-import { dayOfYearToDateString } from '../utils/astronomy.js';
+import { STANDARD_ATMOSPHERE } from '../utils/astronomy.js';
+import { MAX_SHADOW_CASCADES } from '../utils/shadowCascades.js';
+import { GNOMON_THICKNESS, STYLE_LENGTH, MAX_STYLE_LENGTH } from '../geometry/geometry.js';
+import { dayOfYearToDateString, formatHours, formatNumber, formatReading } from '../utils/format.js';
+import { LANGUAGES, getLanguage, setLanguage, onLanguageChange, translate, translateDocument } from '../utils/i18n.js';
+import { LOCATION_PRESETS } from '../utils/location.js';
+import { TIME_ZONES, zoneClockTime } from '../utils/timezone.js';
 /**
  * Handles user interaction with the 3D camera using mouse input.
  * Allows orbiting around the sundial and zooming in/out.
@@ -16,15 +22,19 @@ export class CameraControls {
         this.isDragging = false;
         this.lastMouseX = 0;
         this.lastMouseY = 0;
+        /** Pixels travelled since the last mousedown, to tell clicks from drags */
+        this.dragDistance = 0;
+        this.clickListeners = [];
 
         this.setupEventListeners();
     }
     /**
-     * Sets up mouse event listeners for dragging and zooming.
+     * Sets up mouse event listeners for dragging, zooming and clicking.
      */
     setupEventListeners() {
         this.canvas.addEventListener('mousedown', (e) => {
             this.isDragging = true;
+            this.dragDistance = 0;
             this.lastMouseX = e.clientX;
             this.lastMouseY = e.clientY;
         });
@@ -37,6 +47,7 @@ export class CameraControls {
                 this.cameraAngleY += deltaX * 0.5;
                 this.cameraAngleX += deltaY * 0.5;
                 this.cameraAngleX = Math.max(-80, Math.min(80, this.cameraAngleX));
+                this.dragDistance += Math.abs(deltaX) + Math.abs(deltaY);
 
                 this.lastMouseX = e.clientX;
                 this.lastMouseY = e.clientY;
@@ -52,6 +63,18 @@ export class CameraControls {
             this.cameraDistance += e.deltaY * 0.01;
             this.cameraDistance = Math.max(5, Math.min(30, this.cameraDistance));
         });
+
+        this.canvas.addEventListener('click', (e) => {
+            if (this.dragDistance > 4) return;
+            this.clickListeners.forEach(listener => listener(e.offsetX, e.offsetY));
+        });
+    }
+    /**
+     * Registers a callback for clicks that did not rotate the camera.
+     * @param {function(number, number): void} listener - Receives the canvas pixel coordinates.
+     */
+    onClick(listener) {
+        this.clickListeners.push(listener);
     }
     /**
      * Calculates the 3D position of the camera based on angle and distance.
@@ -71,6 +94,8 @@ export class CameraControls {
  */
 export class UIControls {
     constructor() {
+        /** @type {HTMLSelectElement} */
+        this.languageSelect = document.getElementById('language');
         /** @type {HTMLInputElement} */
         this.sunAngleSlider = document.getElementById('sunAngle');
         /** @type {HTMLInputElement} */
@@ -78,8 +103,71 @@ export class UIControls {
         /** @type {HTMLInputElement} */
         this.monthDaySlider = document.getElementById('monthDay');
         /** @type {HTMLInputElement} */
+        this.yearInput = document.getElementById('year');
+        /** @type {HTMLSelectElement} */
+        this.solarModelSelect = document.getElementById('solarModel');
+        /** @type {HTMLInputElement} */
+        this.clockTimeSlider = document.getElementById('clockTime');
+        /** @type {HTMLInputElement} */
+        this.clockValue = document.getElementById('clockValue');
+        /** @type {HTMLInputElement} */
+        this.refractionCheckbox = document.getElementById('refraction');
+        /** @type {HTMLInputElement} */
+        this.pressureInput = document.getElementById('pressure');
+        /** @type {HTMLInputElement} */
+        this.temperatureInput = document.getElementById('temperature');
+        /** @type {HTMLInputElement} */
+        this.freeSunCheckbox = document.getElementById('freeSun');
+        /** @type {HTMLSelectElement} */
+        this.dialTypeSelect = document.getElementById('dialType');
+        /** @type {HTMLInputElement} */
+        this.wallDeclinationSlider = document.getElementById('wallDeclination');
+        /** @type {HTMLElement} */
+        this.wallDeclinationValue = document.getElementById('wallDeclinationValue');
+        /** @type {HTMLElement} */
+        this.wallDeclinationGroup = document.getElementById('wallDeclinationGroup');
+        /** @type {HTMLSelectElement} */
+        this.gnomonShapeSelect = document.getElementById('gnomonShape');
+        /** @type {HTMLInputElement} */
+        this.gnomonThicknessInput = document.getElementById('gnomonThickness');
+        /** @type {HTMLInputElement} */
+        this.gnomonStyleLengthInput = document.getElementById('gnomonStyleLength');
+        /** @type {HTMLInputElement} */
+        this.nodusSphereCheckbox = document.getElementById('nodusSphere');
+        /** @type {HTMLElement} */
+        this.gnomonGroup = document.getElementById('gnomonGroup');
+        /** @type {HTMLInputElement} */
+        this.dialWidthInput = document.getElementById('dialWidth');
+        /** @type {Object<string, HTMLButtonElement>} Layout export buttons keyed by file format */
+        this.exportButtons = {
+            svg: document.getElementById('exportSvg'),
+            dxf: document.getElementById('exportDxf')
+        };
+        /** @type {HTMLElement} */
+        this.layoutExportGroup = document.getElementById('layoutExportGroup');
+        /** @type {Object<string, HTMLInputElement>} Mesh file inputs keyed by the part they replace */
+        this.meshFileInputs = {
+            gnomon: document.getElementById('gnomonMeshFile'),
+            dial: document.getElementById('dialMeshFile')
+        };
+        /** @type {Object<string, HTMLButtonElement>} Buttons going back to the procedural parts */
+        this.meshClearButtons = {
+            gnomon: document.getElementById('gnomonMeshClear'),
+            dial: document.getElementById('dialMeshClear')
+        };
+        /** @type {HTMLElement} */
+        this.meshImport = document.getElementById('meshImport');
+        /** @type {HTMLInputElement} */
         this.autoRotateCheckbox = document.getElementById('autoRotate');
         /** @type {HTMLInputElement} */
+        this.traceIntervalInput = document.getElementById('traceInterval');
+        /** @type {HTMLInputElement} */
+        this.traceFreezeCheckbox = document.getElementById('traceFreeze');
+        /** @type {HTMLInputElement} */
+        this.traceOverlayCheckbox = document.getElementById('traceOverlay');
+        /** @type {HTMLButtonElement} */
+        this.traceClearButton = document.getElementById('traceClear');
+        /** @type {HTMLInputElement} */
         this.azimuthValue = document.getElementById('azimuthValue');
         /** @type {HTMLInputElement} */
         this.heightValue = document.getElementById('heightValue');
@@ -89,12 +177,49 @@ export class UIControls {
         this.timeDisplay = document.getElementById('timeDisplay');
         /** @type {HTMLInputElement} */
         this.shadowTime = document.getElementById('shadowTime');
+        /** @type {HTMLElement} */
+        this.sunEvents = document.getElementById('sunEvents');
+        /** @type {HTMLElement} */
+        this.shadowQuery = document.getElementById('shadowQuery');
+        /** @type {HTMLElement} */
+        this.timeCorrection = document.getElementById('timeCorrection');
+        /** @type {HTMLElement} */
+        this.clockZoneLabel = document.getElementById('clockZone');
+        /** @type {Object<string, HTMLInputElement>} Line toggles keyed by hour system */
+        this.hourSystemCheckboxes = {
+            italic: document.getElementById('italicHours'),
+            babylonian: document.getElementById('babylonianHours'),
+            temporary: document.getElementById('temporaryHours')
+        };
+        /** @type {HTMLElement} */
+        this.hourSystems = document.getElementById('hourSystems');
         /** @type {HTMLInputElement} */
         this.enableShadowsCheckbox = document.getElementById('enableShadows');
+        /** @type {HTMLSelectElement} */
+        this.shadowCascadesSelect = document.getElementById('shadowCascades');
+        /** @type {HTMLInputElement} */
+        this.shadowCascadeDebugCheckbox = document.getElementById('shadowCascadeDebug');
         /** @type {HTMLInputElement} */
         this.lowQualityTerrainCheckbox = document.getElementById('lowQualityTerrain');
+        /** @type {HTMLButtonElement} */
+        this.exportSceneButton = document.getElementById('exportGlb');
+        /** Last shadow-tip query shown, redrawn when the language changes */
+        this.currentShadowQuery = null;
+        /** Last mesh import shown, redrawn when the language changes */
+        this.currentMeshImport = null;
+
+        this.yearInput.value = new Date().getFullYear();
+        Object.entries(LANGUAGES).forEach(([code, language]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = language.name;
+            this.languageSelect.appendChild(option);
+        });
+        this.languageSelect.value = getLanguage();
+        translateDocument();
 
         this.setupEventListeners();
+        this.updateMode();
         this.updateDisplay();
     }
     /**
@@ -104,6 +229,35 @@ export class UIControls {
         this.sunAngleSlider.addEventListener('input', () => this.updateDisplay());
         this.sunHeightSlider.addEventListener('input', () => this.updateDisplay());
         this.monthDaySlider.addEventListener('input', () => this.updateDisplay());
+        this.clockTimeSlider.addEventListener('input', () => this.updateDisplay());
+        this.freeSunCheckbox.addEventListener('change', () => this.updateMode());
+        this.dialTypeSelect.addEventListener('change', () => this.updateMode());
+        this.wallDeclinationSlider.addEventListener('input', () => this.updateDisplay());
+        this.languageSelect.addEventListener('change', () => setLanguage(this.languageSelect.value));
+        onLanguageChange(() => {
+            translateDocument();
+            this.updateDisplay();
+            this.updateShadowQuery(this.currentShadowQuery);
+            this.updateMeshImport(this.currentMeshImport);
+        });
+    }
+    /**
+     * Enables the azimuth/elevation sliders only in free sun mode;
+     * otherwise the sun follows the date and clock time.
+     */
+    updateMode() {
+        const freeSun = this.freeSunCheckbox.checked;
+        this.sunAngleSlider.disabled = !freeSun;
+        this.sunHeightSlider.disabled = !freeSun;
+        this.clockTimeSlider.disabled = freeSun;
+        // In free sun mode the elevation slider already is the apparent elevation
+        this.refractionCheckbox.disabled = freeSun;
+        // Wall declination only applies to vertical dials
+        this.wallDeclinationGroup.style.display = this.dialTypeSelect.value === 'vertical' ? '' : 'none';
+        // Only horizontal and vertical dials stand a plate or rod gnomon on their face
+        this.gnomonGroup.style.display = ['horizontal', 'vertical'].includes(this.dialTypeSelect.value) ? '' : 'none';
+        // Only plane dials with a layout frame can be exported as a drawing
+        this.layoutExportGroup.style.display = this.gnomonGroup.style.display;
     }
     /**
      * Updates text values in the UI to reflect current slider positions.
@@ -112,21 +266,149 @@ export class UIControls {
         this.azimuthValue.textContent = this.sunAngleSlider.value + '°';
         this.heightValue.textContent = this.sunHeightSlider.value + '°';
         this.dayValue.textContent = dayOfYearToDateString(parseInt(this.monthDaySlider.value));
+        this.clockValue.textContent = formatHours(parseFloat(this.clockTimeSlider.value) / 60);
+        this.wallDeclinationValue.textContent = this.wallDeclinationSlider.value + '°';
     }
     /**
      * Returns the current values from the UI controls.
-     * @returns {{ sunAngle: number, sunHeight: number, dayOfYear: number, autoRotate: boolean }}
+     * `atmosphere` is null when refraction is disabled; `solarModel` is a key of `SOLAR_MODELS`; `hourSystems` tells which historical
+     * hour line sets are shown; `gnomon` holds the options of `createStyleGnomon`; `dialWidth` is the printed
+     * width of an exported layout in millimetres; `shadowTrace`
+     * holds the sampling interval in minutes and the recording options of the shadow-tip trace;
+     * `shadowCascades` the number of shadow map cascades and whether to tint them.
+     * @returns {{ sunAngle: number, sunHeight: number, dayOfYear: number, year: number, clockTime: number, atmosphere: {pressure: number, temperature: number}|null, solarModel: string, freeSun: boolean, dialType: string, wallDeclination: number, gnomon: {shape: string, thickness: number, nodus: boolean, styleLength: number}, dialWidth: number, hourSystems: {italic: boolean, babylonian: boolean, temporary: boolean}, autoRotate: boolean, shadowTrace: {interval: number, frozen: boolean, overlay: boolean}, enableShadows: boolean, shadowCascades: {count: number, debug: boolean}, lowQuality: boolean }}
      */
     getValues() {
         return {
             sunAngle: parseFloat(this.sunAngleSlider.value),
             sunHeight: parseFloat(this.sunHeightSlider.value),
             dayOfYear: parseInt(this.monthDaySlider.value),
+            year: parseInt(this.yearInput.value) || new Date().getFullYear(),
+            clockTime: parseFloat(this.clockTimeSlider.value) / 60,
+            atmosphere: this.getAtmosphere(),
+            solarModel: this.solarModelSelect.value,
+            freeSun: this.freeSunCheckbox.checked,
+            dialType: this.dialTypeSelect.value,
+            wallDeclination: parseFloat(this.wallDeclinationSlider.value),
+            gnomon: this.getGnomonOptions(),
+            dialWidth: this.getDialWidth(),
+            hourSystems: {
+                italic: this.hourSystemCheckboxes.italic.checked,
+                babylonian: this.hourSystemCheckboxes.babylonian.checked,
+                temporary: this.hourSystemCheckboxes.temporary.checked
+            },
             autoRotate: this.autoRotateCheckbox.checked,
+            shadowTrace: this.getShadowTraceOptions(),
             enableShadows: this.enableShadowsCheckbox.checked,
+            shadowCascades: this.getShadowCascadeOptions(),
             lowQuality: this.lowQualityTerrainCheckbox.checked
         };
     }
+    /**
+     * Reads the shadow-tip trace inputs; the interval is a whole number of minutes
+     * between 1 and 120, 15 for invalid entries.
+     * @returns {{interval: number, frozen: boolean, overlay: boolean}}
+     */
+    getShadowTraceOptions() {
+        const interval = Math.round(parseFloat(this.traceIntervalInput.value));
+        return {
+            interval: interval >= 1 ? Math.min(interval, 120) : 15,
+            frozen: this.traceFreezeCheckbox.checked,
+            overlay: this.traceOverlayCheckbox.checked
+        };
+    }
+    /**
+     * Registers a callback for the button clearing the shadow-tip traces.
+     * @param {function(): void} listener
+     */
+    onClearTrace(listener) {
+        this.traceClearButton.addEventListener('click', () => listener());
+    }
+    /**
+     * Registers a callback for the layout export buttons.
+     * @param {function(string): void} listener - Receives the file format: 'svg' or 'dxf'.
+     */
+    onExport(listener) {
+        Object.entries(this.exportButtons).forEach(([format, button]) =>
+            button.addEventListener('click', () => listener(format)));
+    }
+    /**
+     * Registers a callback for the button exporting the 3D scene.
+     * @param {function(): void} listener
+     */
+    onExportScene(listener) {
+        this.exportSceneButton.addEventListener('click', () => listener());
+    }
+    /**
+     * Registers a callback for the mesh files chosen by the user.
+     * @param {function(string, File): void} listener - Receives the part to replace
+     *        ('gnomon' or 'dial') and the file.
+     */
+    onMeshFile(listener) {
+        Object.entries(this.meshFileInputs).forEach(([target, input]) => input.addEventListener('change', () => {
+            const file = input.files[0];
+            // Cleared so that choosing the same file again reloads it
+            input.value = '';
+            if (file) listener(target, file);
+        }));
+    }
+    /**
+     * Registers a callback for the buttons going back to the procedural gnomon or dial plate.
+     * @param {function(string): void} listener - Receives 'gnomon' or 'dial'.
+     */
+    onMeshClear(listener) {
+        Object.entries(this.meshClearButtons).forEach(([target, button]) =>
+            button.addEventListener('click', () => listener(target)));
+    }
+    /**
+     * Reads the printed dial width, 400 mm for invalid entries.
+     * @returns {number} Width in millimetres.
+     */
+    getDialWidth() {
+        const width = parseFloat(this.dialWidthInput.value);
+        return width > 0 ? width : 400;
+    }
+    /**
+     * Reads the gnomon inputs, falling back to the default thickness and style length for
+     * invalid entries. The style lies on the polar axis, so its length sets the angle and
+     * height of the gnomon together with the latitude.
+     * @returns {{shape: string, thickness: number, nodus: boolean, styleLength: number}}
+     */
+    getGnomonOptions() {
+        const thickness = parseFloat(this.gnomonThicknessInput.value);
+        const styleLength = parseFloat(this.gnomonStyleLengthInput.value);
+        return {
+            shape: this.gnomonShapeSelect.value,
+            thickness: thickness > 0 ? thickness : GNOMON_THICKNESS,
+            nodus: this.nodusSphereCheckbox.checked,
+            styleLength: styleLength > 0 ? Math.min(styleLength, MAX_STYLE_LENGTH) : STYLE_LENGTH
+        };
+    }
+    /**
+     * Reads the shadow cascade inputs: how many cascades split the view, 3 for invalid entries,
+     * and whether their areas are tinted for debugging.
+     * @returns {{count: number, debug: boolean}}
+     */
+    getShadowCascadeOptions() {
+        const count = parseInt(this.shadowCascadesSelect.value);
+        return {
+            count: count >= 2 && count <= MAX_SHADOW_CASCADES ? count : 3,
+            debug: this.shadowCascadeDebugCheckbox.checked
+        };
+    }
+    /**
+     * Reads the refraction inputs, falling back to the standard atmosphere for invalid entries.
+     * @returns {{pressure: number, temperature: number}|null} Null when refraction is disabled.
+     */
+    getAtmosphere() {
+        if (!this.refractionCheckbox.checked) return null;
+        const pressure = parseFloat(this.pressureInput.value);
+        const temperature = parseFloat(this.temperatureInput.value);
+        return {
+            pressure: pressure > 0 ? pressure : STANDARD_ATMOSPHERE.pressure,
+            temperature: Number.isFinite(temperature) ? temperature : STANDARD_ATMOSPHERE.temperature
+        };
+    }
     /**
      * Programmatically sets the sun angle slider value and updates the display.
      * @param {number} angle - The new sun angle in degrees.
@@ -135,13 +417,521 @@ export class UIControls {
         this.sunAngleSlider.value = angle;
         this.updateDisplay();
     }
+    /**
+     * Programmatically sets the clock time slider and updates the display.
+     * @param {number} hours - Local clock time in fractional hours.
+     */
+    setClockTime(hours) {
+        this.clockTimeSlider.value = Math.floor(hours * 60) % 1440;
+        this.updateDisplay();
+    }
+    /**
+     * Shows the sun position computed from date and time on the (disabled) manual sliders.
+     * @param {number} azimuth - Sun azimuth in degrees.
+     * @param {number} elevation - Sun elevation in degrees.
+     */
+    setSunPosition(azimuth, elevation) {
+        this.sunAngleSlider.value = azimuth;
+        this.sunHeightSlider.value = elevation;
+        this.azimuthValue.textContent = formatNumber(azimuth) + '°';
+        this.heightValue.textContent = formatNumber(elevation) + '°';
+    }
     /**
      * Updates the current time and shadow time labels in the UI.
-     * @param {string} currentTime - The time derived from sun position.
-     * @param {string} shadowTimeStr - The time indicated by the shadow.
+     * @param {number|import('../utils/astronomy.js').DialReading} currentTime - Civil clock time in
+     *        hours, or the reading of a freely placed sun.
+     * @param {import('../utils/astronomy.js').DialReading} shadowReading - The time indicated by the shadow.
+     * @param {string} clockZone - Label of the civil clock, e.g. "CEST, UTC+2".
+     * @param {ReturnType<typeof import('../utils/timezone.js').solarToCivilTime>|null} correction -
+     *        Steps from the sun's apparent solar time to civil time, or null to hide them.
+     */
+    updateTimeDisplay(currentTime, shadowReading, clockZone, correction) {
+        this.timeDisplay.textContent = typeof currentTime === 'number' ? formatHours(currentTime) : formatReading(currentTime);
+        this.shadowTime.textContent = translate('time.shadow', { time: formatReading(shadowReading) });
+        this.clockZoneLabel.textContent = clockZone;
+        this.timeCorrection.textContent = correction ? this.formatTimeCorrection(correction) : '';
+    }
+    /**
+     * Shows the day's solar events as civil clock times in the given zone.
+     * @param {ReturnType<typeof import('../utils/astronomy.js').calculateSunEvents>} events
+     * @param {string} timeZone - Zone identifier of the civil clock.
+     */
+    updateSunEvents(events, timeZone) {
+        const clock = (date) => date ? formatHours(zoneClockTime(date, timeZone)) : '--:--';
+        const range = (dawn, dusk) => ({ range: dawn ? `${clock(dawn)}–${clock(dusk)}` : translate('events.none') });
+        const hours = Math.floor(events.dayLength + 1e-6);
+        const minutes = Math.floor((events.dayLength - hours) * 60 + 1e-6);
+
+        let sunriseLine = translate('events.sunriseSunset', { sunrise: clock(events.sunrise), sunset: clock(events.sunset) });
+        if (events.polar === 'day') sunriseLine = translate('events.polarDay');
+        if (events.polar === 'night') sunriseLine = translate('events.polarNight');
+
+        this.sunEvents.textContent = [
+            sunriseLine,
+            translate('events.noon', {
+                time: clock(events.transit),
+                elevation: formatNumber(events.transitElevation),
+                hours,
+                minutes: minutes.toString().padStart(2, '0')
+            }),
+            translate('events.civil', range(events.civilDawn, events.civilDusk)),
+            translate('events.nautical', range(events.nauticalDawn, events.nauticalDusk)),
+            translate('events.astronomical', range(events.astronomicalDawn, events.astronomicalDusk))
+        ].join('\n');
+    }
+    /**
+     * Shows the current time in the Italic, Babylonian and temporary hour systems.
+     * @param {ReturnType<typeof import('../utils/astronomy.js').calculateHourSystemTimes>|null} times -
+     *        Null when no solar time is known (a free sun outside the dial's hours).
+     */
+    updateHourSystems(times) {
+        if (!times) {
+            this.hourSystems.textContent = '';
+            return;
+        }
+        if (!times.temporary) {
+            this.hourSystems.textContent = translate('hourSystems.none');
+            return;
+        }
+        const duration = (hours) => {
+            const minutes = Math.floor(hours * 60 + 1e-6);
+            return translate('hourSystems.duration', {
+                hours: Math.floor(minutes / 60),
+                minutes: (minutes % 60).toString().padStart(2, '0')
+            });
+        };
+        const { hour, daytime } = times.temporary;
+        this.hourSystems.textContent = [
+            translate('hourSystems.italic', { time: duration(times.italic) }),
+            translate('hourSystems.babylonian', { time: duration(times.babylonian) }),
+            translate(daytime ? 'hourSystems.temporaryDay' : 'hourSystems.temporaryNight', {
+                hour: Math.min(Math.floor(hour) + 1, 12),
+                elapsed: formatNumber(hour, 2)
+            })
+        ].join('\n');
+    }
+    /**
+     * Shows when the style tip's shadow falls on a clicked ground point.
+     * @param {{
+     *   point: number[],
+     *   supported: boolean,
+     *   solution: ReturnType<typeof import('../utils/astronomy.js').solveShadowTip>,
+     *   candidates: Array<{dayOfYear: number, uncertainty: number, civilTime: number, clockZone: string}>
+     * }|null} query - Result of `SundialApp.queryShadowTip`, or null to clear the panel.
+     */
+    updateShadowQuery(query) {
+        this.currentShadowQuery = query;
+        if (!query) {
+            this.shadowQuery.textContent = '';
+            return;
+        }
+        const { point, solution } = query;
+        const lines = [translate('query.tip', { x: formatNumber(point[0], 2), z: formatNumber(point[1], 2) })];
+        if (!query.supported) {
+            lines.push(translate('query.unsupported'));
+        } else if (!solution) {
+            lines.push(translate('query.noTip'));
+        } else {
+            lines.push(query.candidates.length
+                ? translate('query.time', {
+                    time: formatHours(solution.apparentSolarTime),
+                    minutes: Math.ceil(solution.timeUncertainty),
+                    declination: formatNumber(solution.declination * 180 / Math.PI)
+                })
+                : translate('query.beyond'));
+            query.candidates.forEach(candidate => lines.push(translate('query.date', {
+                date: dayOfYearToDateString(candidate.dayOfYear),
+                days: Math.ceil(candidate.uncertainty),
+                time: formatHours(candidate.civilTime),
+                zone: candidate.clockZone
+            })));
+            if (solution.nearEquinox) {
+                lines.push(translate('query.equinox'));
+            }
+        }
+        this.shadowQuery.textContent = lines.join('\n');
+    }
+    /**
+     * Shows the outcome of the last mesh import.
+     * @param {{target: string, mesh?: import('../import/meshImport.js').ImportedMesh, error?: string}|null} result -
+     *        The part replaced with the mesh read, or the reason it could not be read; null to clear.
+     */
+    updateMeshImport(result) {
+        this.currentMeshImport = result;
+        this.meshImport.classList.toggle('error', Boolean(result && result.error));
+        if (!result) {
+            this.meshImport.textContent = '';
+            return;
+        }
+        const target = translate(result.target === 'gnomon' ? 'controls.gnomonMesh' : 'controls.dialMesh');
+        this.meshImport.textContent = result.error
+            ? translate('import.failed', { target, message: result.error })
+            : translate('import.loaded', {
+                target,
+                name: result.mesh.name,
+                triangles: result.mesh.triangleCount,
+                parts: result.mesh.parts.length
+            });
+    }
+    /**
+     * Describes each step of the solar → civil time conversion, one per line.
+     * @param {ReturnType<typeof import('../utils/timezone.js').solarToCivilTime>} correction
+     * @returns {string}
+     */
+    formatTimeCorrection(correction) {
+        const signed = (value, unit) => `${value >= 0 ? '+' : '−'}${formatNumber(Math.abs(value))} ${unit}`;
+        const meridian = `${Math.abs(correction.zoneMeridian)}°${translate(correction.zoneMeridian >= 0 ? 'compass.east' : 'compass.west')}`;
+        const lines = [
+            translate('correction.apparent', { time: formatHours(correction.apparentSolarTime) }),
+            translate('correction.equation', {
+                value: signed(-correction.equationOfTime, 'min'),
+                time: formatHours(correction.localMeanTime)
+            }),
+            translate('correction.longitude', {
+                meridian,
+                value: signed(correction.longitudeCorrection, 'min'),
+                zone: correction.abbreviation,
+                time: formatHours(correction.zoneTime)
+            })
+        ];
+        if (correction.daylightSaving !== 0) {
+            lines.push(translate('correction.daylight', {
+                value: signed(correction.daylightSaving, 'h'),
+                zone: correction.daylightAbbreviation,
+                time: formatHours(correction.civilTime)
+            }));
+        }
+        return lines.join('\n');
+    }
+}
+/**
+ * Binds the location panel (preset, name, coordinates, time zone) to an ObserverLocation
+ * and keeps every location-dependent label in the page in sync with it.
+ */
+export class LocationControls {
+    /**
+     * @param {import('../utils/location.js').ObserverLocation} location - The shared location model.
+     */
+    constructor(location) {
+        this.location = location;
+        /** @type {HTMLSelectElement} */
+        this.presetSelect = document.getElementById('locationPreset');
+        /** @type {HTMLInputElement} */
+        this.nameInput = document.getElementById('locationName');
+        /** @type {HTMLInputElement} */
+        this.latitudeInput = document.getElementById('latitude');
+        /** @type {HTMLInputElement} */
+        this.longitudeInput = document.getElementById('longitude');
+        /** @type {HTMLSelectElement} */
+        this.timeZoneSelect = document.getElementById('timeZone');
+        /** @type {HTMLElement} */
+        this.locationInfo = document.getElementById('locationInfo');
+
+        LOCATION_PRESETS.forEach((preset, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = preset.name;
+            this.presetSelect.appendChild(option);
+        });
+        Object.keys(TIME_ZONES).forEach(zoneId => {
+            const option = document.createElement('option');
+            option.value = zoneId;
+            option.textContent = zoneId;
+            this.timeZoneSelect.appendChild(option);
+        });
+
+        this.setupEventListeners();
+        this.location.onChange(() => this.updateDisplay());
+        onLanguageChange(() => this.updateDisplay());
+        this.updateDisplay();
+    }
+    /**
+     * Pushes preset choices and edited fields into the location model.
+     */
+    setupEventListeners() {
+        this.presetSelect.addEventListener('change', () => {
+            const preset = LOCATION_PRESETS[parseInt(this.presetSelect.value)];
+            if (preset) this.location.update(preset);
+        });
+
+        const applyFields = () => this.location.update({
+            name: this.nameInput.value,
+            latitude: parseFloat(this.latitudeInput.value),
+            longitude: parseFloat(this.longitudeInput.value),
+            timeZone: this.timeZoneSelect.value
+        });
+        [this.nameInput, this.latitudeInput, this.longitudeInput, this.timeZoneSelect]
+            .forEach(input => input.addEventListener('change', applyFields));
+    }
+    /**
+     * Writes the model back into the fields and refreshes the page title and labels.
+     */
+    updateDisplay() {
+        const location = this.location;
+        this.nameInput.value = location.name;
+        this.latitudeInput.value = location.latitude;
+        this.longitudeInput.value = location.longitude;
+        this.timeZoneSelect.value = location.timeZone;
+
+        const presetIndex = LOCATION_PRESETS.findIndex(preset =>
+            preset.name === location.name &&
+            preset.latitude === location.latitude &&
+            preset.longitude === location.longitude &&
+            preset.timeZone === location.timeZone);
+        this.presetSelect.value = presetIndex >= 0 ? presetIndex : '';
+
+        document.title = translate('page.title', { name: location.name });
+        this.locationInfo.textContent = location.describe();
+    }
+}
+
+/** Pixels between the horizon circle of the sun-path chart and the canvas edge. */
+const CHART_MARGIN = 18;
+/** Largest distance in pixels from today's arc at which a click selects a time. */
+const CHART_PICK_DISTANCE = 15;
+
+/**
+ * Polar sun-path chart in the usual map layout: zenith at the centre, horizon on the rim,
+ * north up and east to the right, the radius growing linearly as the elevation drops.
+ * Clicking near today's arc, or dragging along it, selects a clock time.
+ */
+export class SunPathChart {
+    /**
+     * @param {HTMLCanvasElement} canvas - Drawing surface of the chart.
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        /** Path of the last drawing, kept to find the time under the pointer */
+        this.path = null;
+        this.isDragging = false;
+        this.timeListeners = [];
+
+        this.setupEventListeners();
+    }
+    /**
+     * Sets up mouse listeners: a press near today's arc selects its time, dragging follows the arc.
+     */
+    setupEventListeners() {
+        const select = (e, maxDistance) => {
+            const clockTime = this.timeAt(e.offsetX, e.offsetY, maxDistance);
+            if (clockTime !== null) this.timeListeners.forEach(listener => listener(clockTime));
+            return clockTime !== null;
+        };
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.isDragging = select(e, CHART_PICK_DISTANCE);
+        });
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (this.isDragging) select(e, Infinity);
+        });
+        window.addEventListener('mouseup', () => {
+            this.isDragging = false;
+        });
+    }
+    /**
+     * Registers a callback for times selected on the chart.
+     * @param {function(number): void} listener - Receives the clock time in fractional hours.
+     */
+    onTimeSelect(listener) {
+        this.timeListeners.push(listener);
+    }
+    /**
+     * Canvas position of a point of the sky.
+     * @param {number} azimuth - Azimuth in degrees, from north through east.
+     * @param {number} elevation - Elevation in degrees; points below the horizon sit on the rim.
+     * @returns {number[]} [x, y] in canvas pixels.
+     */
+    project(azimuth, elevation) {
+        const { width, height } = this.canvas;
+        const radius = (Math.min(width, height) / 2 - CHART_MARGIN) * (90 - Math.max(elevation, 0)) / 90;
+        const azimuthRad = azimuth * Math.PI / 180;
+        return [width / 2 + radius * Math.sin(azimuthRad), height / 2 - radius * Math.cos(azimuthRad)];
+    }
+    /**
+     * Clock time of the point of today's arc nearest to a canvas position.
+     * @param {number} x - Pixel column.
+     * @param {number} y - Pixel row.
+     * @param {number} maxDistance - Largest accepted distance in pixels.
+     * @returns {number|null} Clock time in fractional hours, or null when no point is close enough.
+     */
+    timeAt(x, y, maxDistance) {
+        if (!this.path) return null;
+        let best = null;
+        let bestDistance = maxDistance;
+        this.path.today.flat().forEach(point => {
+            const [px, py] = this.project(point.azimuth, point.elevation);
+            const distance = Math.hypot(px - x, py - y);
+            if (distance <= bestDistance) {
+                best = point;
+                bestDistance = distance;
+            }
+        });
+        return best ? best.clockTime : null;
+    }
+    /**
+     * Redraws the chart.
+     * @param {Object} path - Sun paths, in degrees.
+     * @param {Array<Array<{clockTime: number, azimuth: number, elevation: number}>>} path.today -
+     *        Today's arcs above the horizon.
+     * @param {Array<Array<{azimuth: number, elevation: number}>>} path.solstices - Arcs of the solstices.
+     * @param {Array<{clockTime: number, azimuth: number, elevation: number}>} path.hours - Today's
+     *        position at each whole clock hour above the horizon.
+     * @param {{azimuth: number, elevation: number}|null} sun - Current sun, null when it is not shown.
+     */
+    draw(path, sun) {
+        this.path = path;
+        const ctx = this.context;
+        const { width, height } = this.canvas;
+        const center = [width / 2, height / 2];
+        const horizon = Math.min(width, height) / 2 - CHART_MARGIN;
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Sky disc with elevation circles every 30° and the cardinal points
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.strokeStyle = '#9aa5b1';
+        ctx.lineWidth = 1;
+        [0, 30, 60].forEach(elevation => {
+            ctx.beginPath();
+            ctx.arc(center[0], center[1], horizon * (90 - elevation) / 90, 0, Math.PI * 2);
+            if (elevation === 0) ctx.fill();
+            ctx.stroke();
+        });
+        ctx.fillStyle = '#2c3e50';
+        ctx.font = 'bold 12px Arial, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        [['compass.north', 0], ['compass.east', 90], ['compass.south', 180], ['compass.west', 270]].forEach(([key, azimuth]) => {
+            const azimuthRad = azimuth * Math.PI / 180;
+            ctx.fillText(translate(key),
+                center[0] + (horizon + CHART_MARGIN / 2) * Math.sin(azimuthRad),
+                center[1] - (horizon + CHART_MARGIN / 2) * Math.cos(azimuthRad));
+        });
+
+        const strokeArcs = (arcs, color, lineWidth) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = lineWidth;
+            arcs.forEach(arc => {
+                ctx.beginPath();
+                arc.forEach((point, i) => {
+                    const [x, y] = this.project(point.azimuth, point.elevation);
+                    if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+                });
+                ctx.stroke();
+            });
+        };
+        strokeArcs(path.solstices, '#26509e', 1);
+        strokeArcs(path.today, '#d35400', 2);
+
+        // Whole-hour marks on today's arc
+        ctx.font = '10px Arial, sans-serif';
+        path.hours.forEach(point => {
+            const [x, y] = this.project(point.azimuth, point.elevation);
+            ctx.fillStyle = '#d35400';
+            ctx.beginPath();
+            ctx.arc(x, y, 2.5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#2c3e50';
+            ctx.fillText(String(Math.round(point.clockTime) % 24), x, y - 9);
+        });
+
+        if (sun) {
+            const [x, y] = this.project(sun.azimuth, sun.elevation);
+            ctx.fillStyle = '#ffb000';
+            ctx.strokeStyle = '#ff8c00';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x, y, 7, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+    }
+}
+
+/** Pixels around the panels of the solar model chart. */
+const COMPARISON_MARGIN = 6;
+/** Height in pixels of the title line above each panel. */
+const COMPARISON_TITLE_HEIGHT = 14;
+
+/**
+ * Chart of the differences between the simplified and the Meeus solar models over a year:
+ * the equation of time on top, the declination below, each on a scale symmetric around zero,
+ * with the selected day marked.
+ */
+export class SolarModelChart {
+    /**
+     * @param {HTMLCanvasElement} canvas - Drawing surface of the chart.
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+    }
+    /**
+     * Redraws the chart.
+     * @param {Array<{dayOfYear: number, equationOfTime: number, declination: number}>} comparison -
+     *        Result of `compareSolarModels`: differences in seconds and arcminutes, one entry per day.
+     * @param {number} dayOfYear - Selected day.
      */
-    updateTimeDisplay(currentTime, shadowTimeStr) {
-        this.timeDisplay.textContent = currentTime;
-        this.shadowTime.textContent = `Time indicated by the shadow: ${shadowTimeStr}`;
+    draw(comparison, dayOfYear) {
+        const ctx = this.context;
+        const { width, height } = this.canvas;
+        const panelHeight = (height - COMPARISON_MARGIN) / 2;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillRect(0, 0, width, height);
+
+        [
+            { key: 'equationOfTime', title: 'solarModel.equationOfTime', color: '#d35400' },
+            { key: 'declination', title: 'solarModel.declination', color: '#26509e' }
+        ].forEach(({ key, title, color }, index) => {
+            const top = COMPARISON_MARGIN + index * panelHeight + COMPARISON_TITLE_HEIGHT;
+            const bottom = (index + 1) * panelHeight - COMPARISON_MARGIN;
+            const left = COMPARISON_MARGIN;
+            const right = width - COMPARISON_MARGIN;
+            const values = comparison.map(entry => entry[key]);
+            const largest = Math.max(...values.map(Math.abs));
+            const range = largest > 0 ? largest : 1;
+            const toX = day => left + (right - left) * (day - 1) / Math.max(comparison.length - 1, 1);
+            const toY = value => (top + bottom) / 2 - (bottom - top) / 2 * value / range;
+
+            ctx.fillStyle = '#2c3e50';
+            ctx.font = '11px Arial, sans-serif';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            ctx.fillText(translate(title, { max: formatNumber(largest) }), left, top - COMPARISON_TITLE_HEIGHT);
+
+            ctx.strokeStyle = '#9aa5b1';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(left, top, right - left, bottom - top);
+            ctx.beginPath();
+            ctx.moveTo(left, toY(0));
+            ctx.lineTo(right, toY(0));
+            ctx.stroke();
+
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            comparison.forEach((entry, i) => {
+                if (i === 0) ctx.moveTo(toX(entry.dayOfYear), toY(entry[key]));
+                else ctx.lineTo(toX(entry.dayOfYear), toY(entry[key]));
+            });
+            ctx.stroke();
+
+            const selected = comparison[Math.min(dayOfYear, comparison.length) - 1];
+            if (selected) {
+                const x = toX(selected.dayOfYear);
+                ctx.strokeStyle = '#2c3e50';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(x, top);
+                ctx.lineTo(x, bottom);
+                ctx.stroke();
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.arc(x, toY(selected[key]), 3, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        });
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,102 @@
+import { dot } from '../utils/math-utils.js';
+import { formatDateLineLabel } from '../utils/format.js';
+import { styleGnomonFrame, GNOMON_THICKNESS } from '../geometry/geometry.js';
+
+/**
+ * @typedef {Object} DialLayout
+ * @property {Array<{hour: number, points: number[][], label: number[]}>} hourLines - Hour lines
+ *           with the position of their numeral.
+ * @property {Array<{label: string, curves: number[][][], labelPosition: number[]|null}>} dateLines -
+ *           Date curves that reach the dial.
+ * @property {number[][]} footprint - Outline of the gnomon where it stands on the dial.
+ * @property {{angle: number, height: number, run: number, length: number}} style - Style angle in
+ *           radians, height of the tip above the dial, distance from the root to the foot of the tip
+ *           and length of the style: the right triangle of the gnomon plate.
+ * @property {number[][]} profile - Outline of the gnomon plate seen from the side, in its own
+ *           frame: the root at the origin, the substyle along x and the tip above it.
+ * @property {number[]} substyle - Unit direction of the substyle in the drawing.
+ * @property {{minX: number, minY: number, maxX: number, maxY: number}} bounds - Extent of the lines
+ *           and footprint: the dial itself, which sets the scale of a print.
+ * @property {{minX: number, minY: number, maxX: number, maxY: number}} extent - `bounds` grown to
+ *           take in the numerals and date labels, which set the size of the page.
+ */
+
+/**
+ * Flattens a plane dial into a 2D drawing, in scene units: x to the right and y up for someone
+ * facing the dial (north up on a horizontal dial), origin at the style root.
+ *
+ * The lines come from the dial's own `createHourLines` and `createDateLines`, and the gnomon from
+ * the same style frame as `createStyleGnomon`, so a print of the layout matches the 3D dial.
+ *
+ * @param {Object} dial - Entry of `DIAL_TYPES` with a `layoutFrame`.
+ * @param {import('../utils/location.js').ObserverLocation} location - Where the dial stands.
+ * @param {Object} options - Dial settings, as passed to the `DIAL_TYPES` builders.
+ * @returns {DialLayout} The drawing.
+ */
+export function createDialLayout(dial, location, options) {
+    const frame = dial.layoutFrame(location, options);
+    const toDirection = vector => [dot(vector, frame.xAxis), dot(vector, frame.yAxis)];
+    const toPlane = point => toDirection(point.map((c, k) => c - frame.origin[k]));
+
+    const hourLines = dial.createHourLines(location, options).map(line => ({
+        hour: line.hour,
+        points: line.points.map(toPlane),
+        label: toPlane(line.labelPosition)
+    }));
+    const dateLines = dial.createDateLines(location, options)
+        .filter(line => line.curves.length)
+        .map(line => ({
+            label: formatDateLineLabel(line),
+            curves: line.curves.map(curve => curve.map(toPlane)),
+            labelPosition: line.labelPosition && toPlane(line.labelPosition)
+        }));
+
+    const { substyle, styleAngle, height } = styleGnomonFrame(frame.styleDirection, frame.planeNormal, frame.styleLength);
+    const run = height / Math.tan(styleAngle);
+    const along = toDirection(substyle);
+    const across = [-along[1], along[0]];
+    const { shape = 'triangular', thickness = GNOMON_THICKNESS } = options.gnomon || {};
+    const half = thickness / 2;
+
+    let footprint;
+    if (shape === 'rod') {
+        // The rod meets the dial obliquely: an ellipse stretched along the substyle
+        const stretch = half / Math.sin(styleAngle);
+        footprint = Array.from({ length: 32 }, (_, i) => {
+            const angle = (i / 32) * Math.PI * 2;
+            return [0, 1].map(k => along[k] * Math.cos(angle) * stretch + across[k] * Math.sin(angle) * half);
+        });
+    } else {
+        footprint = [[0, half], [run, half], [run, -half], [0, -half]].map(([a, b]) =>
+            [0, 1].map(k => along[k] * a + across[k] * b));
+    }
+
+    const boundsOf = points => ({
+        minX: Math.min(...points.map(point => point[0])),
+        minY: Math.min(...points.map(point => point[1])),
+        maxX: Math.max(...points.map(point => point[0])),
+        maxY: Math.max(...points.map(point => point[1]))
+    });
+    const linePoints = [
+        ...hourLines.flatMap(line => line.points),
+        ...dateLines.flatMap(line => line.curves.flat()),
+        ...footprint
+    ];
+    const bounds = boundsOf(linePoints);
+    const extent = boundsOf([
+        ...linePoints,
+        ...hourLines.map(line => line.label),
+        ...dateLines.filter(line => line.labelPosition).map(line => line.labelPosition)
+    ]);
+
+    return {
+        hourLines,
+        dateLines,
+        footprint,
+        style: { angle: styleAngle, height, run, length: frame.styleLength },
+        profile: [[0, 0], [run, 0], [run, height]],
+        substyle: along,
+        bounds,
+        extent
+    };
+}
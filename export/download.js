@@ -0,0 +1,18 @@
+/**
+ * Offers generated content to the user as a file download.
+ *
+ * @param {string} filename - Suggested file name.
+ * @param {string|ArrayBuffer|Uint8Array} content - File contents.
+ * @param {string} mimeType - Media type of the file.
+ */
+export function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Some browsers start the download asynchronously: keep the URL alive until then
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
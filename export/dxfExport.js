@@ -0,0 +1,106 @@
+/** Space between the dial plate and the gnomon profile, in millimetres. */
+const PROFILE_GAP = 15;
+
+/**
+ * Layers of the drawing with their AutoCAD colour index, so that the cutter can assign a
+ * different operation (engrave, cut) to each.
+ */
+export const DXF_LAYERS = {
+    HOUR_LINES: 7,
+    DATE_LINES: 5,
+    GNOMON_FOOTPRINT: 1,
+    GNOMON_PROFILE: 3,
+    NOTES: 8
+};
+
+/** Height of the note text, in millimetres. */
+const NOTE_HEIGHT = 5;
+
+/**
+ * Formats a coordinate in millimetres, to the micrometre.
+ * @param {number} value
+ * @returns {string}
+ */
+function mm(value) {
+    return (Math.round(value * 1000) / 1000).toString();
+}
+
+/**
+ * Writes DXF group code/value pairs, one per line.
+ * @param {Array<[number, string|number]>} pairs
+ * @returns {string[]}
+ */
+function groups(pairs) {
+    return pairs.flatMap(([code, value]) => [String(code), String(value)]);
+}
+
+/**
+ * Writes a 2D polyline entity with its vertices.
+ * @param {string} layer - Layer name.
+ * @param {number[][]} points - Points in millimetres.
+ * @param {boolean} [closed=false] - Whether the last point joins the first.
+ * @returns {string[]}
+ */
+function polyline(layer, points, closed = false) {
+    return [
+        ...groups([[0, 'POLYLINE'], [8, layer], [66, 1], [70, closed ? 1 : 0], [10, 0], [20, 0], [30, 0]]),
+        ...points.flatMap(([x, y]) => groups([[0, 'VERTEX'], [8, layer], [10, mm(x)], [20, mm(y)], [30, 0]])),
+        ...groups([[0, 'SEQEND'], [8, layer]])
+    ];
+}
+
+/**
+ * Writes a single-line text entity.
+ * @param {string} layer - Layer name.
+ * @param {number[]} position - Insertion point in millimetres.
+ * @param {string} value - ASCII text; R12 readers assume a code page.
+ * @returns {string[]}
+ */
+function text(layer, [x, y], value) {
+    return groups([[0, 'TEXT'], [8, layer], [10, mm(x)], [20, mm(y)], [30, 0], [40, NOTE_HEIGHT], [1, value]]);
+}
+
+/**
+ * Writes a dial layout as an AutoCAD R12 DXF drawing in millimetres for laser cutters and CNC
+ * engravers: the hour lines, date curves and gnomon footprint of the dial plate, and beside it the
+ * profile of the gnomon plate, each on its own layer (`DXF_LAYERS`). The dial's lower-left corner
+ * is at the origin.
+ *
+ * R12 has no header variable for drawing units, so they are written as a note under the plate
+ * on the NOTES layer; importers must be set to millimetres.
+ *
+ * @param {import('./dialLayout.js').DialLayout} layout - Result of `createDialLayout`.
+ * @param {Object} options
+ * @param {number} options.widthMm - Width of the dial plate drawing in millimetres.
+ * @returns {string} The DXF document.
+ */
+export function createDialDxf(layout, { widthMm }) {
+    const { bounds } = layout;
+    const scale = widthMm / (bounds.maxX - bounds.minX);
+    const toPlate = ([x, y]) => [(x - bounds.minX) * scale, (y - bounds.minY) * scale];
+    const toProfile = ([x, y]) => [widthMm + PROFILE_GAP + x * scale, y * scale];
+
+    const entities = [
+        ...layout.hourLines.flatMap(line => polyline('HOUR_LINES', line.points.map(toPlate))),
+        ...layout.dateLines.flatMap(line => line.curves.flatMap(curve => polyline('DATE_LINES', curve.map(toPlate)))),
+        ...polyline('GNOMON_FOOTPRINT', layout.footprint.map(toPlate), true),
+        ...polyline('GNOMON_PROFILE', layout.profile.map(toProfile), true),
+        ...text('NOTES', [0, -2 * NOTE_HEIGHT], 'UNITS: MILLIMETRES')
+    ];
+    const layers = Object.entries(DXF_LAYERS).flatMap(([name, color]) =>
+        groups([[0, 'LAYER'], [2, name], [70, 0], [62, color], [6, 'CONTINUOUS']]));
+
+    return [
+        ...groups([[0, 'SECTION'], [2, 'HEADER'], [9, '$ACADVER'], [1, 'AC1009'], [0, 'ENDSEC']]),
+        ...groups([[0, 'SECTION'], [2, 'TABLES']]),
+        ...groups([[0, 'TABLE'], [2, 'LTYPE'], [70, 1]]),
+        ...groups([[0, 'LTYPE'], [2, 'CONTINUOUS'], [70, 0], [3, 'Solid line'], [72, 65], [73, 0], [40, 0]]),
+        ...groups([[0, 'ENDTAB']]),
+        ...groups([[0, 'TABLE'], [2, 'LAYER'], [70, Object.keys(DXF_LAYERS).length]]),
+        ...layers,
+        ...groups([[0, 'ENDTAB'], [0, 'ENDSEC']]),
+        ...groups([[0, 'SECTION'], [2, 'ENTITIES']]),
+        ...entities,
+        ...groups([[0, 'ENDSEC'], [0, 'EOF']])
+    ].join('\n') + '\n';
+}
@@ -0,0 +1,339 @@
+import { HOUR_SYSTEM_COLORS } from '../app/renderHourLines.js';
+import { CURRENT_TRACE_COLOR, PREVIOUS_TRACE_COLORS } from '../app/renderShadowTrace.js';
+
+/** glTF constants: component types, buffer view targets and chunk types of the binary container. */
+const FLOAT = 5126;
+const UNSIGNED_SHORT = 5123;
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+const GLB_MAGIC = 0x46546C67;
+const CHUNK_JSON = 0x4E4F534A;
+const CHUNK_BIN = 0x004E4942;
+
+/** Bytes per vertex of the scene geometry: position(3) + normal(3) + texCoord(2) floats. */
+const VERTEX_STRIDE = 32;
+
+/** Colours the render helpers pass to `drawObject` for the scene elements. */
+const SCENE_COLORS = {
+    ground: [0.4, 0.3, 0.2],
+    dialFace: [0.85, 0.8, 0.7],
+    gnomon: [0.1, 0.0, 0.0],
+    hourLines: [1.0, 0.0, 0.0],
+    dateLines: [0.15, 0.3, 0.7],
+    analemmas: [0.6, 0.12, 0.1],
+    // The shader shades blades from base to tip; the export keeps the middle tone
+    grass: [0.3, 0.65, 0.15],
+    sun: [1.0, 0.9, 0.6]
+};
+
+/** Opacity of the cloud lobes, as set in `renderRealisticClouds`. */
+const CLOUD_OPACITY = 0.75;
+
+/**
+ * Collects meshes, materials and nodes and packs them into a binary glTF 2.0 (.glb) file.
+ * Geometry in the scene layout (8 interleaved floats per vertex, 16-bit indices) is stored as is,
+ * one interleaved buffer view per mesh, and shared between nodes that draw it with the same material.
+ */
+export class GltfBuilder {
+    constructor() {
+        this.json = {
+            asset: { version: '2.0', generator: 'Digital Sundial' },
+            scene: 0,
+            scenes: [{ nodes: [] }],
+            nodes: [],
+            meshes: [],
+            materials: [],
+            accessors: [],
+            bufferViews: [],
+            buffers: []
+        };
+        /** @type {Uint8Array[]} Pieces of the binary chunk, each padded to 4 bytes */
+        this.chunks = [];
+        this.byteLength = 0;
+        /** Mesh indices keyed by geometry, then by material */
+        this.meshCache = new Map();
+    }
+
+    /**
+     * Appends data to the binary chunk as a new buffer view.
+     * @param {ArrayBufferView} data
+     * @param {number} target - ARRAY_BUFFER or ELEMENT_ARRAY_BUFFER.
+     * @param {number} [byteStride] - Stride of interleaved vertex data.
+     * @returns {number} Index of the buffer view.
+     */
+    addBufferView(data, target, byteStride) {
+        const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        const padded = new Uint8Array(Math.ceil(bytes.length / 4) * 4);
+        padded.set(bytes);
+        this.json.bufferViews.push({
+            buffer: 0,
+            byteOffset: this.byteLength,
+            byteLength: bytes.length,
+            target,
+            ...(byteStride ? { byteStride } : {})
+        });
+        this.chunks.push(padded);
+        this.byteLength += padded.length;
+        return this.json.bufferViews.length - 1;
+    }
+
+    /**
+     * Adds an accessor and returns its index.
+     * @param {Object} accessor
+     * @returns {number}
+     */
+    addAccessor(accessor) {
+        this.json.accessors.push(accessor);
+        return this.json.accessors.length - 1;
+    }
+
+    /**
+     * Adds a PBR material with a flat base colour.
+     * @param {string} name - Material name.
+     * @param {number[]} color - Linear RGB colour.
+     * @param {Object} [options]
+     * @param {number} [options.opacity=1] - Alpha; below 1 the material is blended.
+     * @param {boolean} [options.emissive=false] - Whether the colour is emitted (the sun).
+     * @returns {number} Index of the material.
+     */
+    addMaterial(name, color, { opacity = 1, emissive = false } = {}) {
+        this.json.materials.push({
+            name,
+            pbrMetallicRoughness: { baseColorFactor: [...color, opacity], metallicFactor: 0, roughnessFactor: 0.9 },
+            ...(emissive ? { emissiveFactor: color } : {}),
+            ...(opacity < 1 ? { alphaMode: 'BLEND' } : {}),
+            // Ribbons and blades are single faces seen from both sides, as in the page
+            doubleSided: true
+        });
+        return this.json.materials.length - 1;
+    }
+
+    /**
+     * Adds a triangle mesh from scene geometry, reusing the mesh already made for the same
+     * geometry and material.
+     * @param {string} name - Mesh name.
+     * @param {{vertices: Float32Array, indices: Uint16Array}} geometry - Interleaved geometry.
+     * @param {number} material - Index of the material.
+     * @returns {number|null} Index of the mesh, or null for empty geometry.
+     */
+    addMesh(name, geometry, material) {
+        if (!geometry || !geometry.indices.length) return null;
+        let byMaterial = this.meshCache.get(geometry);
+        if (!byMaterial) {
+            byMaterial = new Map();
+            this.meshCache.set(geometry, byMaterial);
+        }
+        if (byMaterial.has(material)) return byMaterial.get(material);
+
+        const vertices = Float32Array.from(geometry.vertices);
+        const count = vertices.length / 8;
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < count; i++) {
+            for (let k = 0; k < 3; k++) {
+                min[k] = Math.min(min[k], vertices[i * 8 + k]);
+                max[k] = Math.max(max[k], vertices[i * 8 + k]);
+            }
+        }
+        const vertexView = this.addBufferView(vertices, ARRAY_BUFFER, VERTEX_STRIDE);
+        const attribute = (byteOffset, type) => this.addAccessor({ bufferView: vertexView, byteOffset, componentType: FLOAT, count, type });
+        const position = this.addAccessor({ bufferView: vertexView, byteOffset: 0, componentType: FLOAT, count, type: 'VEC3', min, max });
+        const indices = Uint16Array.from(geometry.indices);
+
+        this.json.meshes.push({
+            name,
+            primitives: [{
+                attributes: { POSITION: position, NORMAL: attribute(12, 'VEC3'), TEXCOORD_0: attribute(24, 'VEC2') },
+                indices: this.addAccessor({
+                    bufferView: this.addBufferView(indices, ELEMENT_ARRAY_BUFFER),
+                    componentType: UNSIGNED_SHORT,
+                    count: indices.length,
+                    type: 'SCALAR'
+                }),
+                material
+            }]
+        });
+        byMaterial.set(material, this.json.meshes.length - 1);
+        return this.json.meshes.length - 1;
+    }
+
+    /**
+     * Adds a node and returns its index; nodes without a parent are scene roots.
+     * @param {Object} node - glTF node properties (name, mesh, translation, rotation, scale).
+     * @param {number} [parent] - Index of the parent node.
+     * @returns {number}
+     */
+    addNode(node, parent) {
+        const index = this.json.nodes.length;
+        this.json.nodes.push(Object.fromEntries(Object.entries(node).filter(([, value]) => value !== null && value !== undefined)));
+        if (parent === undefined) {
+            this.json.scenes[0].nodes.push(index);
+        } else {
+            const parentNode = this.json.nodes[parent];
+            parentNode.children = (parentNode.children || []).concat(index);
+        }
+        return index;
+    }
+
+    /**
+     * Adds a node drawing one geometry, skipping empty geometry.
+     * @param {string} name - Node and mesh name.
+     * @param {{vertices: Float32Array, indices: Uint16Array}} geometry
+     * @param {number} material - Index of the material.
+     * @param {number} [parent] - Index of the parent node.
+     * @param {Object} [transform] - translation, rotation and scale of the node.
+     * @returns {number|null} Index of the node.
+     */
+    addGeometry(name, geometry, material, parent, transform = {}) {
+        const mesh = this.addMesh(name, geometry, material);
+        return mesh === null ? null : this.addNode({ name, mesh, ...transform }, parent);
+    }
+
+    /**
+     * Packs the scene into a .glb file.
+     * @returns {ArrayBuffer}
+     */
+    toGlb() {
+        const json = { ...this.json, buffers: [{ byteLength: this.byteLength }] };
+        ['meshes', 'materials', 'accessors', 'bufferViews'].forEach(key => {
+            if (!json[key].length) delete json[key];
+        });
+        if (!this.byteLength) delete json.buffers;
+
+        const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+        const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+        const binLength = this.byteLength;
+        const totalLength = 12 + 8 + jsonLength + (binLength ? 8 + binLength : 0);
+
+        const glb = new ArrayBuffer(totalLength);
+        const view = new DataView(glb);
+        const bytes = new Uint8Array(glb);
+        view.setUint32(0, GLB_MAGIC, true);
+        view.setUint32(4, 2, true);
+        view.setUint32(8, totalLength, true);
+        view.setUint32(12, jsonLength, true);
+        view.setUint32(16, CHUNK_JSON, true);
+        bytes.set(jsonBytes, 20);
+        // The JSON chunk is padded with spaces
+        bytes.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength);
+        if (binLength) {
+            let offset = 20 + jsonLength;
+            view.setUint32(offset, binLength, true);
+            view.setUint32(offset + 4, CHUNK_BIN, true);
+            offset += 8;
+            this.chunks.forEach(chunk => {
+                bytes.set(chunk, offset);
+                offset += chunk.length;
+            });
+        }
+        return glb;
+    }
+}
+
+/**
+ * Quaternion of a rotation about the vertical axis, as applied to the grass blades.
+ * @param {number} angle - Angle in radians.
+ * @returns {number[]} [x, y, z, w]
+ */
+function yRotation(angle) {
+    return [0, Math.sin(angle / 2), 0, Math.cos(angle / 2)];
+}
+
+/**
+ * Writes the sundial scene as a binary glTF 2.0 file, walking the page's geometry: ground, dial
+ * face and gnomon (or the meshes imported in their place), hour, date and analemma lines, the
+ * historical hour lines shown, the shadow-tip traces, the sun, the clouds and the grass blades
+ * with their own transforms from `scatterGrassField`. Nodes carry the transforms the render
+ * helpers apply, with wind, drift and wobble at rest; scene units are taken as metres, with +Y up.
+ *
+ * @param {Object} geometries - The app's `geometries` container.
+ * @param {Object} options
+ * @param {number[]} options.sunPosition - Position of the sun sphere, from `calculateLighting`.
+ * @param {Object<string, boolean>} [options.hourSystems={}] - Historical hour line sets to include.
+ * @returns {ArrayBuffer} The .glb file.
+ */
+export function createSundialGlb(geometries, { sunPosition, hourSystems = {} }) {
+    const builder = new GltfBuilder();
+    const material = {};
+    Object.entries(SCENE_COLORS).forEach(([name, color]) => {
+        material[name] = builder.addMaterial(name, color, { emissive: name === 'sun' });
+    });
+
+    // Meshes imported by the user take the place of the gnomon, moved to the point the dial's
+    // gnomon stands on, and of the dial face, or of the ground on dials drawn on it, as in the page
+    const custom = geometries.customMeshes || {};
+    const addParts = (name, mesh, partMaterial, translation = null) => {
+        const group = builder.addNode({ name, translation });
+        mesh.parts.forEach((part, index) => builder.addGeometry(`${name} ${index + 1}`, part, partMaterial, group));
+    };
+    if (custom.dial) addParts('Dial plate', custom.dial, material.dialFace);
+    if (!custom.dial || geometries.dialFace) builder.addGeometry('Ground', geometries.plane, material.ground);
+    if (!custom.dial) builder.addGeometry('Dial face', geometries.dialFace, material.dialFace);
+    if (custom.gnomon) addParts('Gnomon', custom.gnomon, material.gnomon, geometries.gnomonRoot);
+    else builder.addGeometry('Gnomon', geometries.gnomon, material.gnomon);
+
+    // Hour lines are lifted above the ground, as in renderHourLines
+    const hourLines = builder.addNode({ name: 'Hour lines', translation: [0, 0.01, 0] });
+    (geometries.hourLines || []).forEach(line => {
+        builder.addGeometry(`Hour ${line.hour}`, { vertices: line.lineVertices, indices: line.lineIndices }, material.hourLines, hourLines);
+    });
+
+    const addCurves = (name, curves, curveMaterial) => {
+        const group = builder.addNode({ name });
+        curves.forEach((curve, index) => builder.addGeometry(
+            `${name} ${index + 1}`,
+            { vertices: curve.lineVertices, indices: curve.lineIndices },
+            typeof curveMaterial === 'function' ? curveMaterial(index) : curveMaterial,
+            group
+        ));
+    };
+    addCurves('Date lines', geometries.dateLines || [], material.dateLines);
+    addCurves('Analemmas', geometries.analemmas || [], material.analemmas);
+    Object.entries(geometries.historicalHourLines || {})
+        .filter(([system]) => hourSystems[system])
+        .forEach(([system, lines]) => {
+            const name = `${system[0].toUpperCase()}${system.slice(1)} hours`;
+            addCurves(name, lines, builder.addMaterial(name, HOUR_SYSTEM_COLORS[system]));
+        });
+
+    const traces = geometries.shadowTraces || [];
+    if (traces.length) {
+        const traceMaterials = [CURRENT_TRACE_COLOR, ...PREVIOUS_TRACE_COLORS].map((color, index) =>
+            builder.addMaterial(index === 0 ? 'Shadow trace' : `Shadow trace ${index}`, color));
+        addCurves('Shadow traces', traces, index => {
+            const age = traces.length - 1 - index;
+            return age === 0 ? traceMaterials[0] : traceMaterials[1 + (age - 1) % PREVIOUS_TRACE_COLORS.length];
+        });
+    }
+
+    // Same scale as renderSun
+    builder.addGeometry('Sun', geometries.sun, material.sun, undefined, { translation: [...sunPosition], scale: [0.8, 0.8, 0.8] });
+
+    const clouds = builder.addNode({ name: 'Clouds' });
+    (geometries.clouds || []).forEach((cloudData, index) => {
+        const cloudMaterial = builder.addMaterial(`Cloud ${index + 1}`, [
+            cloudData.grayIntensity * 0.9,
+            cloudData.grayIntensity,
+            Math.min(1, cloudData.grayIntensity * 1.1 + cloudData.warmth)
+        ], { opacity: CLOUD_OPACITY });
+        const cloud = builder.addNode({ name: `Cloud ${index + 1}`, translation: [...cloudData.position] }, clouds);
+        cloudData.parts.forEach((part, partIndex) => {
+            const scale = part.scale * cloudData.baseScale;
+            builder.addGeometry(`Cloud ${index + 1} lobe ${partIndex + 1}`, part.geometry, cloudMaterial, cloud, {
+                translation: [...part.localPosition],
+                scale: [scale, scale * 0.8, scale]
+            });
+        });
+    });
+
+    const grass = builder.addNode({ name: 'Grass' });
+    (geometries.grassBlades || []).forEach((blade, index) => {
+        builder.addGeometry(`Grass blade ${index + 1}`, blade.geometry, material.grass, grass, {
+            translation: [...blade.position],
+            rotation: yRotation(blade.rotation),
+            scale: [blade.scale, blade.scale, blade.scale]
+        });
+    });
+
+    return builder.toGlb();
+}
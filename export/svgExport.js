@@ -0,0 +1,126 @@
+import { formatNumber } from '../utils/format.js';
+import { translate } from '../utils/i18n.js';
+
+/** Blank border around the drawing, in millimetres. */
+const PAGE_MARGIN = 10;
+/** Space between the dial and the style-angle template, in millimetres. */
+const TEMPLATE_GAP = 15;
+/** Length of the scale bar used to check the print, in millimetres. */
+const SCALE_BAR_LENGTH = 50;
+
+/**
+ * Escapes text for use in XML content and attribute values.
+ * @param {string|number} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+/**
+ * Formats a length in millimetres for SVG attributes.
+ * @param {number} value
+ * @returns {string}
+ */
+function mm(value) {
+    return (Math.round(value * 1000) / 1000).toString();
+}
+
+/**
+ * Writes a polyline as the `points` attribute of an SVG element.
+ * @param {number[][]} points - Points already in page millimetres.
+ * @returns {string}
+ */
+function pointList(points) {
+    return points.map(([x, y]) => `${mm(x)},${mm(y)}`).join(' ');
+}
+
+/**
+ * Draws a dial layout as an SVG document sized in millimetres, so that printing it at 100%
+ * gives the dial at its real size: the hour lines, date curves and numerals, the outline of the
+ * gnomon foot and, beside the dial, a template of the gnomon plate to cut or to set the style
+ * angle with. A 50 mm bar under the dial checks the print scale.
+ *
+ * @param {import('./dialLayout.js').DialLayout} layout - Result of `createDialLayout`.
+ * @param {Object} options
+ * @param {number} options.widthMm - Printed width of the dial in millimetres.
+ * @param {string} [options.title=''] - Caption written above the dial.
+ * @returns {string} The SVG document.
+ */
+export function createDialSvg(layout, { widthMm, title = '' }) {
+    const { bounds, extent, style } = layout;
+    // The lines set the scale; the numerals around them only widen the page
+    const scale = widthMm / (bounds.maxX - bounds.minX);
+    const dialWidth = (extent.maxX - extent.minX) * scale;
+    const dialHeight = (extent.maxY - extent.minY) * scale;
+    const fontSize = Math.max(3, widthMm / 40);
+    const stroke = Math.max(0.2, widthMm / 1000);
+
+    const top = PAGE_MARGIN + (title ? fontSize * 2 : 0);
+    // Scene units to page millimetres, y pointing down
+    const toPage = ([x, y]) => [PAGE_MARGIN + (x - extent.minX) * scale, top + (extent.maxY - y) * scale];
+
+    // Style-angle template: the gnomon plate as a right triangle, root at the left
+    const run = style.run * scale;
+    const rise = style.height * scale;
+    const templateLeft = PAGE_MARGIN + dialWidth + TEMPLATE_GAP;
+    // Bottom-aligned with the dial, lower if the plate is taller than the dial
+    const templateBottom = top + Math.max(dialHeight, rise);
+    const template = layout.profile.map(([x, y]) => [templateLeft + x * scale, templateBottom - y * scale]);
+    const root = template[0];
+    const arcRadius = Math.min(run, style.length * scale) / 3;
+    const arcEnd = [root[0] + arcRadius * Math.cos(style.angle), root[1] - arcRadius * Math.sin(style.angle)];
+
+    const pageWidth = templateLeft + Math.max(run, fontSize * 12) + PAGE_MARGIN;
+    const pageHeight = templateBottom + fontSize * 4 + PAGE_MARGIN;
+
+    const hourLines = layout.hourLines.map(line =>
+        `<polyline points="${pointList(line.points.map(toPage))}"/>`);
+    const dateLines = layout.dateLines.flatMap(line => line.curves.map(curve =>
+        `<polyline points="${pointList(curve.map(toPage))}"><title>${escapeXml(line.label)}</title></polyline>`));
+    const numerals = layout.hourLines.map(line => {
+        const [x, y] = toPage(line.label);
+        return `<text x="${mm(x)}" y="${mm(y)}">${escapeXml(line.hour)}</text>`;
+    });
+    const dateLabels = layout.dateLines
+        .filter(line => line.labelPosition)
+        .map(line => {
+            const [x, y] = toPage(line.labelPosition);
+            return `<text x="${mm(x)}" y="${mm(y)}">${escapeXml(line.label)}</text>`;
+        });
+    const scaleBarY = templateBottom + fontSize * 2;
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${mm(pageWidth)}mm" height="${mm(pageHeight)}mm" viewBox="0 0 ${mm(pageWidth)} ${mm(pageHeight)}">`,
+        title ? `<text x="${PAGE_MARGIN}" y="${mm(PAGE_MARGIN + fontSize)}" font-family="sans-serif" font-size="${mm(fontSize)}">${escapeXml(title)}</text>` : '',
+        `<g id="hour-lines" fill="none" stroke="#000" stroke-width="${mm(stroke * 2)}" stroke-linecap="round">`,
+        ...hourLines,
+        '</g>',
+        `<g id="date-lines" fill="none" stroke="#1f4e9c" stroke-width="${mm(stroke)}">`,
+        ...dateLines,
+        '</g>',
+        `<g id="numerals" font-family="serif" font-size="${mm(fontSize)}" text-anchor="middle" dominant-baseline="middle">`,
+        ...numerals,
+        '</g>',
+        `<g id="date-labels" font-family="sans-serif" font-size="${mm(fontSize * 0.6)}" fill="#1f4e9c">`,
+        ...dateLabels,
+        '</g>',
+        `<g id="gnomon-footprint" fill="none" stroke="#b00" stroke-width="${mm(stroke)}">`,
+        `<polygon points="${pointList(layout.footprint.map(toPage))}"/>`,
+        '</g>',
+        `<g id="style-template" fill="none" stroke="#000" stroke-width="${mm(stroke)}">`,
+        `<polygon points="${pointList(template)}"/>`,
+        `<path d="M ${mm(root[0] + arcRadius)} ${mm(root[1])} A ${mm(arcRadius)} ${mm(arcRadius)} 0 0 0 ${mm(arcEnd[0])} ${mm(arcEnd[1])}"/>`,
+        `<text x="${mm(root[0])}" y="${mm(templateBottom + fontSize * 1.2)}" stroke="none" fill="#000" font-family="sans-serif" font-size="${mm(fontSize * 0.6)}">${escapeXml(translate('export.styleAngle', {
+            angle: formatNumber(style.angle * 180 / Math.PI),
+            height: formatNumber(rise)
+        }))}</text>`,
+        '</g>',
+        `<g id="scale-bar" stroke="#000" stroke-width="${mm(stroke)}" font-family="sans-serif" font-size="${mm(fontSize * 0.6)}">`,
+        `<line x1="${PAGE_MARGIN}" y1="${mm(scaleBarY)}" x2="${PAGE_MARGIN + SCALE_BAR_LENGTH}" y2="${mm(scaleBarY)}"/>`,
+        `<text x="${PAGE_MARGIN}" y="${mm(scaleBarY + fontSize)}" stroke="none">${escapeXml(translate('export.scaleBar', { length: SCALE_BAR_LENGTH }))}</text>`,
+        '</g>',
+        '</svg>'
+    ].filter(Boolean).join('\n') + '\n';
+}
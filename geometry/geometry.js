@@ -1,5 +1,5 @@
-
-import { calculateSundialHourAngles } from '../utils/astronomy.js';
+import { cross, dot, normalize } from '../utils/math-utils.js';
+import { calculateSundialHourAngles, calculateVerticalDialHourAngles, calculateEquatorialDialHourAngles, calculatePolarDialHourLines, calculateAnalemmaticHourPoints, calculateDateLineDeclinations, calculateDeclinationCurve, calculateAnalemmaCurve, calculateHourSystemCurve, HOUR_SYSTEMS, analemmaticHourPoint, analemmaticGnomonOffset, solarDeclinationOnDay, equatorialDialFrame, polarDialFrame, polarAxisDirection, wallDialFrame, wallStyleDirection, DEFAULT_SOLAR_MODEL } from '../utils/astronomy.js';
 
 /**
  * Creates a flat square plane made of triangle tiles, centered at the origin.
@@ -41,22 +41,66 @@ export function createPlane(size, segments = 60) {
     };
 }
 
+/**
+ * Builds a thin flat ribbon from `origin` along `direction`, lying in the plane whose normal is `normal`.
+ *
+ * @param {number[]} origin - Start point of the ribbon.
+ * @param {number[]} direction - Unit direction of the ribbon.
+ * @param {number[]} normal - Unit normal of the surface the ribbon lies on.
+ * @param {number} length - Ribbon length.
+ * @param {number} width - Half-width of the ribbon.
+ * @param {number} [segments=20] - Subdivisions along the length.
+ * @returns {{vertices: number[], indices: number[]}} Interleaved vertex data and indices.
+ */
+function createLineRibbon(origin, direction, normal, length, width, segments = 20) {
+    const vertices = [];
+    const indices = [];
+    // Side offset, perpendicular to the line within the surface
+    const side = [
+        (direction[1] * normal[2] - direction[2] * normal[1]) * width,
+        (direction[2] * normal[0] - direction[0] * normal[2]) * width,
+        (direction[0] * normal[1] - direction[1] * normal[0]) * width
+    ];
+
+    for (let i = 0; i <= segments; i++) {
+        const t = i / segments;
+        const x = origin[0] + direction[0] * t * length;
+        const y = origin[1] + direction[1] * t * length;
+        const z = origin[2] + direction[2] * t * length;
+
+        vertices.push(
+            x + side[0], y + side[1], z + side[2], normal[0], normal[1], normal[2], 0, t,
+            x - side[0], y - side[1], z - side[2], normal[0], normal[1], normal[2], 1, t
+        );
+
+        if (i < segments) {
+            const base = i * 2;
+            indices.push(base, base + 1, base + 2);
+            indices.push(base + 1, base + 3, base + 2);
+        }
+    }
+
+    return { vertices, indices };
+}
+
 /**
  * Generates radial hour lines and optional marker blocks based on sundial hour angles.
  * Each hour line is a thin ribbon extending outward from the gnomon, and optionally includes a 3D marker block.
  *
+ * @param {number} latitude - Observer's latitude in radians.
  * @returns {Array<{
  *   lineVertices: Float32Array,
  *   lineIndices: Uint16Array,
  *   markerVertices: Float32Array,
  *   markerIndices: Uint16Array,
  *   hour: number,
- *   angle: number
- * }>} Array of hour line geometry data.
+ *   angle: number,
+ *   points: number[][],
+ *   labelPosition: number[]
+ * }>} Array of hour line geometry data; `points` are the ends of the line on the dial.
  */
-export function createHourLines() {
-    const ROME_LATITUDE = 41.9 * Math.PI / 180;
-    const hourAngles = calculateSundialHourAngles(ROME_LATITUDE);
+export function createHourLines(latitude) {
+    const hourAngles = calculateSundialHourAngles(latitude);
     const lines = [];
 
     hourAngles.forEach((hourData) => {
@@ -70,31 +114,8 @@ export function createHourLines() {
         const cos = Math.cos(angle);
         const sin = Math.sin(angle);
 
-        // main line
-        const vertices = [];
-        const indices = [];
-
         // Hour line as a thin ribbon
-        for (let i = 0; i <= 20; i++) {
-            const t = i / 20;
-            const x = sin * t * length;
-            const z = cos * t * length;
-
-            
-            const perpX = -cos * width;
-            const perpZ = sin * width;
-
-            vertices.push(
-                x + perpX, 0.01, z + perpZ, 0, 1, 0, 0, t,
-                x - perpX, 0.01, z - perpZ, 0, 1, 0, 1, t
-            );
-
-            if (i < 20) {
-                const base = i * 2;
-                indices.push(base, base + 1, base + 2);
-                indices.push(base + 1, base + 3, base + 2);
-            }
-        }
+        const { vertices, indices } = createLineRibbon([0, 0.01, 0], [sin, 0, cos], [0, 1, 0], length, width);
 
         // Hour marker block (not rendered by default)
         const markerSize = 0.8;
@@ -129,12 +150,833 @@ export function createHourLines() {
             markerVertices: new Float32Array(),
             markerIndices: new Uint16Array(),
             hour: hour,
-            angle: angle
+            angle: angle,
+            points: [[0, 0, 0], [sin * length, 0, cos * length]],
+            labelPosition: [sin * length, 0.5, cos * length]
         });
     });
 
     return lines;
 }
+
+/**
+ * Builds a flat ribbon following a polyline lying on a surface.
+ *
+ * @param {number[][]} points - Polyline vertices.
+ * @param {number[]} normal - Unit normal of the surface.
+ * @param {number} width - Half-width of the ribbon.
+ * @returns {{vertices: number[], indices: number[]}} Interleaved vertex data and indices.
+ */
+function createPolylineRibbon(points, normal, width) {
+    const vertices = [];
+    const indices = [];
+
+    points.forEach((point, i) => {
+        const previous = points[Math.max(0, i - 1)];
+        const next = points[Math.min(points.length - 1, i + 1)];
+        const tangent = normalize(next.map((c, k) => c - previous[k]));
+        const side = cross(tangent, normal).map(c => c * width);
+        const t = i / (points.length - 1);
+
+        vertices.push(
+            point[0] + side[0], point[1] + side[1], point[2] + side[2], normal[0], normal[1], normal[2], 0, t,
+            point[0] - side[0], point[1] - side[1], point[2] - side[2], normal[0], normal[1], normal[2], 1, t
+        );
+        if (i < points.length - 1) {
+            const base = i * 2;
+            indices.push(base, base + 1, base + 2, base + 1, base + 3, base + 2);
+        }
+    });
+
+    return { vertices, indices };
+}
+
+/**
+ * Turns shadow-tip polylines into one ribbon geometry, lifted slightly off the dial.
+ *
+ * @param {number[][][]} curves - Polylines on the dial plane.
+ * @param {number[]} planeNormal - Unit outward normal of the dial plane.
+ * @param {number} [width=0.015] - Half-width of the ribbons.
+ * @param {number} [height=0.012] - Lift off the dial plane.
+ * @returns {{lineVertices: Float32Array, lineIndices: Uint16Array, start: number[]|null}}
+ *          Geometry and the first point of the first polyline.
+ */
+function createShadowTipRibbons(curves, planeNormal, width = 0.015, height = 0.012) {
+    const lift = planeNormal.map(c => c * height);
+    const lifted = curves.map(curve => curve.map(point => point.map((c, k) => c + lift[k])));
+    const { vertices, indices } = mergeGeometries(lifted.map(curve => createPolylineRibbon(curve, planeNormal, width)));
+
+    return {
+        lineVertices: vertices,
+        lineIndices: indices,
+        start: lifted.length ? lifted[0][0] : null
+    };
+}
+
+/**
+ * Generates the date lines of a dial: the paths of the nodus' shadow on the solstices,
+ * the equinoxes and the zodiac entries.
+ *
+ * @param {number[]} nodus - Shadow-casting point.
+ * @param {number[]} planePoint - Centre of the dial region.
+ * @param {number[]} planeNormal - Unit outward normal of the dial plane.
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} maxDistance - Clipping radius around `planePoint`.
+ * @returns {Array<{
+ *   lineVertices: Float32Array,
+ *   lineIndices: Uint16Array,
+ *   declination: number,
+ *   signs: string[],
+ *   event: string|null,
+ *   curves: number[][][],
+ *   labelPosition: number[]|null
+ * }>} One entry per declination, with the polylines on the dial plane; curves that never
+ *   reach the dial have no vertices.
+ */
+function createDateLines(nodus, planePoint, planeNormal, latitude, maxDistance) {
+    return calculateDateLineDeclinations().map(({ declination, signs, event }) => {
+        const curves = calculateDeclinationCurve(nodus, planePoint, planeNormal, declination, latitude, maxDistance);
+        const { lineVertices, lineIndices, start } = createShadowTipRibbons(curves, planeNormal);
+
+        return {
+            lineVertices: lineVertices,
+            lineIndices: lineIndices,
+            declination: declination,
+            signs: signs,
+            event: event,
+            curves: curves,
+            labelPosition: start && start.map((c, k) => c + planeNormal[k] * 0.3)
+        };
+    });
+}
+
+/**
+ * Generates the analemmas of a dial: the yearly figure-eight of the nodus' shadow
+ * at each whole hour of local mean time.
+ *
+ * @param {number[]} nodus - Shadow-casting point.
+ * @param {number[]} planePoint - Centre of the dial region.
+ * @param {number[]} planeNormal - Unit outward normal of the dial plane.
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} maxDistance - Clipping radius around `planePoint`.
+ * @param {number[]} hours - Mean-time hours to trace.
+ * @param {string} model - Key of `SOLAR_MODELS` giving the sun over the year.
+ * @returns {Array<{lineVertices: Float32Array, lineIndices: Uint16Array, hour: number}>}
+ *          One entry per hour; loops that never reach the dial have no vertices.
+ */
+function createAnalemmaLines(nodus, planePoint, planeNormal, latitude, maxDistance, hours, model) {
+    return hours.map(hour => {
+        const curves = calculateAnalemmaCurve(nodus, planePoint, planeNormal, hour, latitude, maxDistance, model);
+        const { lineVertices, lineIndices } = createShadowTipRibbons(curves, planeNormal);
+        return { lineVertices, lineIndices, hour };
+    });
+}
+
+/**
+ * Generates the lines of the historical hour systems on a dial: Italic and Babylonian
+ * hours 1–23 and the eleven boundaries between temporary hours.
+ *
+ * @param {number[]} nodus - Shadow-casting point.
+ * @param {number[]} planePoint - Centre of the dial region.
+ * @param {number[]} planeNormal - Unit outward normal of the dial plane.
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} maxDistance - Clipping radius around `planePoint`.
+ * @returns {Object<string, Array<{
+ *   lineVertices: Float32Array,
+ *   lineIndices: Uint16Array,
+ *   hour: number,
+ *   labelPosition: number[]|null
+ * }>>} Line geometry keyed by hour system; lines that never reach the dial are left out.
+ */
+function createHourSystemLines(nodus, planePoint, planeNormal, latitude, maxDistance) {
+    const lines = {};
+    HOUR_SYSTEMS.forEach(system => {
+        const lastHour = system === 'temporary' ? 11 : 23;
+        lines[system] = [];
+        for (let hour = 1; hour <= lastHour; hour++) {
+            const curves = calculateHourSystemCurve(nodus, planePoint, planeNormal, system, hour, latitude, maxDistance);
+            if (!curves.length) continue;
+            const { lineVertices, lineIndices, start } = createShadowTipRibbons(curves, planeNormal);
+            lines[system].push({
+                lineVertices: lineVertices,
+                lineIndices: lineIndices,
+                hour: hour,
+                labelPosition: start && start.map((c, k) => c + planeNormal[k] * 0.3)
+            });
+        }
+    });
+    return lines;
+}
+
+/**
+ * Turns recorded shadow-tip samples into a ribbon on the dial, broken where the shadow
+ * left the dial, lifted above the engraved curves.
+ *
+ * @param {Array<{time: number, position: number[]|null}>} samples - Samples in time order;
+ *        a null position marks a shadow that was missing or off the dial.
+ * @param {number[]} planeNormal - Unit outward normal of the dial plane.
+ * @returns {{lineVertices: Float32Array, lineIndices: Uint16Array}} Ribbon geometry.
+ */
+export function createShadowTrace(samples, planeNormal) {
+    const curves = [[]];
+    samples.forEach(sample => {
+        if (sample.position) curves[curves.length - 1].push(sample.position);
+        else if (curves[curves.length - 1].length) curves.push([]);
+    });
+    const { lineVertices, lineIndices } = createShadowTipRibbons(curves.filter(curve => curve.length > 1), planeNormal, 0.025, 0.02);
+    return { lineVertices, lineIndices };
+}
+
+/**
+ * Tip of the horizontal dial's style, the nodus of its date lines and analemmas.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} styleLength - Length of the style.
+ * @returns {number[]} [x, y, z] position.
+ */
+function horizontalDialNodus(latitude, styleLength) {
+    return polarAxisDirection(latitude).map(c => c * styleLength);
+}
+
+/**
+ * Nodus and dial plane of the horizontal dial, with the radius its date lines are clipped to.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} [styleLength=3] - Length of the style, as built by `createStyleGnomon`.
+ * @returns {{nodus: number[], planePoint: number[], planeNormal: number[], maxDistance: number}}
+ */
+export function horizontalDialShadowPlane(latitude, styleLength = 3) {
+    return { nodus: horizontalDialNodus(latitude, styleLength), planePoint: [0, 0, 0], planeNormal: [0, 1, 0], maxDistance: 9 };
+}
+
+/**
+ * Drawing frame of the horizontal dial seen from above with north up: origin at the style root,
+ * `xAxis` pointing east and `yAxis` north, with the style that stands on it.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} [styleLength=3] - Length of the style, as built by `createStyleGnomon`.
+ * @returns {{origin: number[], xAxis: number[], yAxis: number[], planeNormal: number[], styleDirection: number[], styleLength: number}}
+ */
+export function horizontalDialLayoutFrame(latitude, styleLength = 3) {
+    return {
+        origin: [0, 0, 0],
+        xAxis: [-1, 0, 0],
+        yAxis: [0, 0, -1],
+        planeNormal: [0, 1, 0],
+        styleDirection: polarAxisDirection(latitude),
+        styleLength
+    };
+}
+
+/**
+ * Generates the date lines of the horizontal dial, traced by the tip of the polar style.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} [styleLength=3] - Length of the style, as built by `createGnomon`.
+ * @returns {ReturnType<typeof createDateLines>} Date line geometry, one entry per declination.
+ */
+export function createDeclinationLines(latitude, styleLength = 3) {
+    const { nodus, planePoint, planeNormal, maxDistance } = horizontalDialShadowPlane(latitude, styleLength);
+    return createDateLines(nodus, planePoint, planeNormal, latitude, maxDistance);
+}
+
+/**
+ * Generates the hour analemmas of the horizontal dial, one per hour line.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {string} [model=DEFAULT_SOLAR_MODEL] - Key of `SOLAR_MODELS` giving the sun over the year.
+ * @param {number} [styleLength=3] - Length of the style, as built by `createGnomon`.
+ * @returns {ReturnType<typeof createAnalemmaLines>} Analemma geometry, one entry per hour.
+ */
+export function createHourAnalemmas(latitude, model = DEFAULT_SOLAR_MODEL, styleLength = 3) {
+    const { nodus, planePoint, planeNormal, maxDistance } = horizontalDialShadowPlane(latitude, styleLength);
+    const hours = calculateSundialHourAngles(latitude).map(hourData => hourData.hour);
+    return createAnalemmaLines(nodus, planePoint, planeNormal, latitude, maxDistance, hours, model);
+}
+
+/**
+ * Generates the Italic, Babylonian and temporary hour lines of the horizontal dial.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} [styleLength=3] - Length of the style, as built by `createGnomon`.
+ * @returns {ReturnType<typeof createHourSystemLines>} Line geometry keyed by hour system.
+ */
+export function createHistoricalHourLines(latitude, styleLength = 3) {
+    const { nodus, planePoint, planeNormal, maxDistance } = horizontalDialShadowPlane(latitude, styleLength);
+    return createHourSystemLines(nodus, planePoint, planeNormal, latitude, maxDistance);
+}
+
+/** Height of the style root on the wall of a vertical dial. */
+export const WALL_STYLE_ROOT_HEIGHT = 8;
+
+/**
+ * Generates the hour lines of a vertical (declining) wall dial.
+ * Lines radiate from the style root on the wall face, which passes through the origin.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} declination - Wall declination in radians (positive towards west).
+ * @returns {ReturnType<typeof createHourLines>} Hour line geometry in the same layout as `createHourLines`.
+ */
+export function createVerticalDialHourLines(latitude, declination) {
+    const { normal, right } = wallDialFrame(latitude, declination);
+    const length = 7;
+    const width = 0.02;
+    // Lift the lines just off the wall to avoid Z-fighting
+    const root = [normal[0] * 0.01, WALL_STYLE_ROOT_HEIGHT, normal[2] * 0.01];
+
+    return calculateVerticalDialHourAngles(latitude, declination).map((hourData) => {
+        const sin = Math.sin(hourData.angle);
+        const cos = Math.cos(hourData.angle);
+        const direction = [sin * right[0], -cos, sin * right[2]];
+        const { vertices, indices } = createLineRibbon(root, direction, normal, length, width);
+
+        return {
+            lineVertices: new Float32Array(vertices),
+            lineIndices: new Uint16Array(indices),
+            markerVertices: new Float32Array(),
+            markerIndices: new Uint16Array(),
+            hour: hourData.hour,
+            angle: hourData.angle,
+            points: [root, root.map((c, k) => c + direction[k] * length)],
+            labelPosition: [
+                root[0] + direction[0] * (length + 0.6) + normal[0] * 0.3,
+                root[1] + direction[1] * (length + 0.6),
+                root[2] + direction[2] * (length + 0.6) + normal[2] * 0.3
+            ]
+        };
+    });
+}
+
+/**
+ * Creates a box whose faces carry flat per-face normals.
+ *
+ * @param {number[]} center - Box centre.
+ * @param {number[][]} axes - Three orthonormal axis vectors of the box.
+ * @param {number[]} halfSizes - Half extents along each axis.
+ * @returns {{vertices: Float32Array, indices: Uint16Array}} WebGL-ready geometry.
+ */
+export function createBox(center, axes, halfSizes) {
+    const vertices = [];
+    const indices = [];
+
+    // Each face: normal axis index and sign, then the two in-face axes
+    const faces = [[0, 1], [0, -1], [1, 1], [1, -1], [2, 1], [2, -1]];
+
+    faces.forEach(([axisIndex, sign], faceIndex) => {
+        const n = axes[axisIndex].map(c => c * sign);
+        const a = axes[(axisIndex + 1) % 3];
+        const b = axes[(axisIndex + 2) % 3];
+        const ha = halfSizes[(axisIndex + 1) % 3];
+        const hb = halfSizes[(axisIndex + 2) % 3];
+        const hn = halfSizes[axisIndex];
+
+        [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([sa, sb]) => {
+            for (let k = 0; k < 3; k++) {
+                vertices.push(center[k] + n[k] * hn + a[k] * ha * sa + b[k] * hb * sb);
+            }
+            vertices.push(n[0], n[1], n[2], (sa + 1) / 2, (sb + 1) / 2);
+        });
+
+        const base = faceIndex * 4;
+        indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    });
+
+    return {
+        vertices: new Float32Array(vertices),
+        indices: new Uint16Array(indices)
+    };
+}
+
+/**
+ * Creates the wall carrying a vertical dial. Its face passes through the origin
+ * with the outward normal given by the wall declination; the masonry extends behind it.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} declination - Wall declination in radians (positive towards west).
+ * @param {number} [width=18] - Wall width.
+ * @param {number} [height=11] - Wall height.
+ * @param {number} [thickness=0.6] - Wall thickness.
+ * @returns {{vertices: Float32Array, indices: Uint16Array}} WebGL-ready geometry.
+ */
+export function createWall(latitude, declination, width = 18, height = 11, thickness = 0.6) {
+    const { normal, right, up } = wallDialFrame(latitude, declination);
+    const center = [
+        -normal[0] * thickness / 2,
+        height / 2,
+        -normal[2] * thickness / 2
+    ];
+    return createBox(center, [right, up, normal], [width / 2, height / 2, thickness / 2]);
+}
+
+/**
+ * Creates the gnomon of a vertical dial, rooted on the wall face with its style parallel to the polar axis.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} declination - Wall declination in radians (positive towards west).
+ * @param {Object} [options] - Shape, thickness and nodus settings, see `createStyleGnomon`.
+ * @param {number} [styleLength=3] - Length of the style.
+ * @returns {{vertices: Float32Array, indices: Uint16Array}} Geometry of the gnomon.
+ */
+export function createWallGnomon(latitude, declination, options, styleLength = 3) {
+    const { normal } = wallDialFrame(latitude, declination);
+    return createStyleGnomon(wallStyleDirection(latitude, declination), [0, WALL_STYLE_ROOT_HEIGHT, 0], normal, styleLength, options);
+}
+/**
+ * Tip of a vertical dial's style, the nodus of its date lines and analemmas.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} declination - Wall declination in radians (positive towards west).
+ * @param {number} styleLength - Length of the style.
+ * @returns {number[]} [x, y, z] position.
+ */
+function wallDialNodus(latitude, declination, styleLength) {
+    return wallStyleDirection(latitude, declination).map((c, k) =>
+        (k === 1 ? WALL_STYLE_ROOT_HEIGHT : 0) + c * styleLength);
+}
+
+/**
+ * Nodus and wall plane of a vertical dial, with the radius its date lines are clipped to.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} declination - Wall declination in radians (positive towards west).
+ * @param {number} [styleLength=3] - Length of the style, as built by `createWallGnomon`.
+ * @returns {{nodus: number[], planePoint: number[], planeNormal: number[], maxDistance: number}}
+ */
+export function verticalDialShadowPlane(latitude, declination, styleLength = 3) {
+    const { normal } = wallDialFrame(latitude, declination);
+    return { nodus: wallDialNodus(latitude, declination, styleLength), planePoint: [0, 5.5, 0], planeNormal: normal, maxDistance: 5.3 };
+}
+
+/**
+ * Drawing frame of a vertical dial seen from in front of the wall: origin at the style root,
+ * `xAxis` to the right and `yAxis` up, with the style that stands on it.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} declination - Wall declination in radians (positive towards west).
+ * @param {number} [styleLength=3] - Length of the style, as built by `createWallGnomon`.
+ * @returns {ReturnType<typeof horizontalDialLayoutFrame>}
+ */
+export function verticalDialLayoutFrame(latitude, declination, styleLength = 3) {
+    const { normal, right, up } = wallDialFrame(latitude, declination);
+    return {
+        origin: [0, WALL_STYLE_ROOT_HEIGHT, 0],
+        xAxis: right,
+        yAxis: up,
+        planeNormal: normal,
+        styleDirection: wallStyleDirection(latitude, declination),
+        styleLength
+    };
+}
+
+/**
+ * Generates the date lines of a vertical dial, traced by the tip of its style on the wall.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} declination - Wall declination in radians (positive towards west).
+ * @param {number} [styleLength=3] - Length of the style, as built by `createWallGnomon`.
+ * @returns {ReturnType<typeof createDeclinationLines>} Date line geometry, one entry per declination.
+ */
+export function createVerticalDialDeclinationLines(latitude, declination, styleLength = 3) {
+    const { nodus, planePoint, planeNormal, maxDistance } = verticalDialShadowPlane(latitude, declination, styleLength);
+    return createDateLines(nodus, planePoint, planeNormal, latitude, maxDistance);
+}
+
+/**
+ * Generates the hour analemmas of a vertical dial, one per hour line.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} declination - Wall declination in radians (positive towards west).
+ * @param {string} [model=DEFAULT_SOLAR_MODEL] - Key of `SOLAR_MODELS` giving the sun over the year.
+ * @param {number} [styleLength=3] - Length of the style, as built by `createWallGnomon`.
+ * @returns {ReturnType<typeof createHourAnalemmas>} Analemma geometry, one entry per hour.
+ */
+export function createVerticalDialAnalemmas(latitude, declination, model = DEFAULT_SOLAR_MODEL, styleLength = 3) {
+    const { nodus, planePoint, planeNormal, maxDistance } = verticalDialShadowPlane(latitude, declination, styleLength);
+    const hours = calculateVerticalDialHourAngles(latitude, declination).map(hourData => hourData.hour);
+    return createAnalemmaLines(nodus, planePoint, planeNormal, latitude, maxDistance, hours, model);
+}
+
+/**
+ * Generates the Italic, Babylonian and temporary hour lines of a vertical dial.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} declination - Wall declination in radians (positive towards west).
+ * @param {number} [styleLength=3] - Length of the style, as built by `createWallGnomon`.
+ * @returns {ReturnType<typeof createHistoricalHourLines>} Line geometry keyed by hour system.
+ */
+export function createVerticalDialHistoricalHourLines(latitude, declination, styleLength = 3) {
+    const { nodus, planePoint, planeNormal, maxDistance } = verticalDialShadowPlane(latitude, declination, styleLength);
+    return createHourSystemLines(nodus, planePoint, planeNormal, latitude, maxDistance);
+}
+/**
+ * Concatenates several indexed geometries into one.
+ *
+ * @param {Array<{vertices: ArrayLike<number>, indices: ArrayLike<number>}>} geometries - Parts to merge.
+ * @returns {{vertices: Float32Array, indices: Uint16Array}} WebGL-ready geometry.
+ */
+export function mergeGeometries(geometries) {
+    const vertices = [];
+    const indices = [];
+
+    geometries.forEach(geometry => {
+        const base = vertices.length / 8; // 8 floats per vertex
+        vertices.push(...geometry.vertices);
+        for (const index of geometry.indices) indices.push(base + index);
+    });
+
+    return {
+        vertices: new Float32Array(vertices),
+        indices: new Uint16Array(indices)
+    };
+}
+
+/**
+ * Copies interleaved vertices moved by an offset; normals and texture coordinates are kept.
+ *
+ * @param {ArrayLike<number>} vertices - Interleaved vertices, 8 floats each.
+ * @param {number[]} offset - [x, y, z] translation.
+ * @returns {Float32Array} Moved vertices.
+ */
+export function offsetVertices(vertices, offset) {
+    const moved = Float32Array.from(vertices);
+    for (let i = 0; i < moved.length; i += 8) {
+        for (let k = 0; k < 3; k++) moved[i + k] += offset[k];
+    }
+    return moved;
+}
+
+/** Most vertices a part can address with 16-bit indices. */
+export const MAX_PART_VERTICES = 65536;
+
+/**
+ * Splits an indexed triangle mesh into parts small enough for 16-bit indices, re-indexing each
+ * part to its own vertices. Triangles keep their order; shared vertices are copied into every
+ * part that uses them.
+ *
+ * @param {ArrayLike<number>} vertices - Interleaved vertices, 8 floats each.
+ * @param {ArrayLike<number>} indices - Triangle indices, of any size.
+ * @param {number} [maxVertices=MAX_PART_VERTICES] - Most vertices per part.
+ * @returns {Array<{vertices: Float32Array, indices: Uint16Array}>} WebGL-ready parts.
+ */
+export function splitGeometry(vertices, indices, maxVertices = MAX_PART_VERTICES) {
+    const parts = [];
+    let remap = new Map();
+    let partVertices = [];
+    let partIndices = [];
+    const flush = () => {
+        if (partIndices.length) {
+            parts.push({ vertices: new Float32Array(partVertices), indices: new Uint16Array(partIndices) });
+        }
+        remap = new Map();
+        partVertices = [];
+        partIndices = [];
+    };
+
+    for (let i = 0; i + 2 < indices.length; i += 3) {
+        const triangle = [indices[i], indices[i + 1], indices[i + 2]];
+        const added = new Set(triangle.filter(index => !remap.has(index))).size;
+        if (remap.size + added > maxVertices) flush();
+        triangle.forEach(index => {
+            if (!remap.has(index)) {
+                remap.set(index, remap.size);
+                for (let k = 0; k < 8; k++) partVertices.push(vertices[index * 8 + k]);
+            }
+            partIndices.push(remap.get(index));
+        });
+    }
+    flush();
+    return parts;
+}
+
+/**
+ * Creates a flat cylinder (disc) with faces on both sides and a rim.
+ *
+ * @param {number[]} center - Centre of the disc (mid-thickness).
+ * @param {number[]} normal - Unit normal of the upper face.
+ * @param {number} radius - Disc radius.
+ * @param {number} thickness - Disc thickness.
+ * @param {number} [segments=48] - Subdivisions around the rim.
+ * @returns {{vertices: Float32Array, indices: Uint16Array}} WebGL-ready geometry.
+ */
+export function createDisc(center, normal, radius, thickness, segments = 48) {
+    const vertices = [];
+    const indices = [];
+
+    // In-plane basis perpendicular to the normal
+    const helper = Math.abs(normal[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0];
+    const u = normalize(cross(helper, normal));
+    const v = cross(normal, u);
+    const half = thickness / 2;
+
+    const point = (angle, side, r = radius) => [0, 1, 2].map(k =>
+        center[k] + normal[k] * half * side + (u[k] * Math.cos(angle) + v[k] * Math.sin(angle)) * r);
+
+    // Upper and lower faces: centre vertex plus a ring
+    [1, -1].forEach(side => {
+        const base = vertices.length / 8;
+        const n = normal.map(c => c * side);
+        vertices.push(...point(0, side, 0), ...n, 0.5, 0.5);
+        for (let i = 0; i <= segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            vertices.push(...point(angle, side), ...n, 0.5 + Math.cos(angle) * 0.5, 0.5 + Math.sin(angle) * 0.5);
+            if (i < segments) indices.push(base, base + 1 + i, base + 2 + i);
+        }
+    });
+
+    // Rim with outward radial normals
+    const rimBase = vertices.length / 8;
+    for (let i = 0; i <= segments; i++) {
+        const angle = (i / segments) * Math.PI * 2;
+        const radial = [0, 1, 2].map(k => u[k] * Math.cos(angle) + v[k] * Math.sin(angle));
+        vertices.push(...point(angle, 1), ...radial, i / segments, 0);
+        vertices.push(...point(angle, -1), ...radial, i / segments, 1);
+        if (i < segments) {
+            const a = rimBase + i * 2;
+            indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+        }
+    }
+
+    return {
+        vertices: new Float32Array(vertices),
+        indices: new Uint16Array(indices)
+    };
+}
+
+/** Distance of the equatorial plate centre from the style root, along the polar axis. */
+export const EQUATORIAL_PLATE_DISTANCE = 5;
+/** Radius of the equatorial plate. */
+export const EQUATORIAL_PLATE_RADIUS = 3;
+const EQUATORIAL_PLATE_THICKNESS = 0.1;
+
+/**
+ * Creates the plate of an equatorial dial: a disc parallel to the celestial equator,
+ * threaded on the polar style.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @returns {{vertices: Float32Array, indices: Uint16Array}} WebGL-ready geometry.
+ */
+export function createEquatorialDialPlate(latitude) {
+    const { normal } = equatorialDialFrame(latitude);
+    const center = normal.map(c => c * EQUATORIAL_PLATE_DISTANCE);
+    return createDisc(center, normal, EQUATORIAL_PLATE_RADIUS, EQUATORIAL_PLATE_THICKNESS);
+}
+
+/**
+ * Creates the style of an equatorial dial: a rod along the polar axis through the plate centre.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @returns {{vertices: Float32Array, indices: Uint16Array}} Geometry of the gnomon.
+ */
+export function createEquatorialGnomon(latitude) {
+    return createGnomon(polarAxisDirection(latitude), [0, 0, 0], EQUATORIAL_PLATE_DISTANCE + 3);
+}
+
+/**
+ * Generates the hour lines of an equatorial dial on both faces of the plate:
+ * the upper face is read in summer, the lower one in winter.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @returns {ReturnType<typeof createHourLines>} Hour line geometry in the same layout as `createHourLines`.
+ */
+export function createEquatorialDialHourLines(latitude) {
+    const { normal, meridian, west } = equatorialDialFrame(latitude);
+    const center = normal.map(c => c * EQUATORIAL_PLATE_DISTANCE);
+    const inner = 0.35;
+    const length = EQUATORIAL_PLATE_RADIUS - 0.7;
+    const width = 0.02;
+
+    return calculateEquatorialDialHourAngles(latitude).map((hourData) => {
+        const cos = Math.cos(hourData.angle);
+        const sin = Math.sin(hourData.angle);
+        const direction = [0, 1, 2].map(k => -(cos * meridian[k] + sin * west[k]));
+
+        const faces = [1, -1].map(side => {
+            const faceNormal = normal.map(c => c * side);
+            const lift = EQUATORIAL_PLATE_THICKNESS / 2 + 0.01;
+            const origin = [0, 1, 2].map(k => center[k] + faceNormal[k] * lift + direction[k] * inner);
+            return createLineRibbon(origin, direction, faceNormal, length, width);
+        });
+        const { vertices, indices } = mergeGeometries(faces);
+
+        return {
+            lineVertices: vertices,
+            lineIndices: indices,
+            markerVertices: new Float32Array(),
+            markerIndices: new Uint16Array(),
+            hour: hourData.hour,
+            angle: hourData.angle,
+            labelPosition: [0, 1, 2].map(k =>
+                center[k] + normal[k] * 0.2 + direction[k] * (EQUATORIAL_PLATE_RADIUS + 0.4))
+        };
+    });
+}
+
+/** Centre of the polar dial plate. */
+export const POLAR_PLATE_CENTER = [0, 3.2, 0];
+/** Height of the polar dial style above its plate. */
+export const POLAR_STYLE_HEIGHT = 1.2;
+const POLAR_PLATE_HALF_WIDTH = 5.2;
+const POLAR_PLATE_HALF_LENGTH = 4;
+
+/**
+ * Creates the plate of a polar dial, parallel to the Earth's axis, on a pedestal.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @returns {{vertices: Float32Array, indices: Uint16Array}} WebGL-ready geometry.
+ */
+export function createPolarDialPlate(latitude) {
+    const { normal, west, along } = polarDialFrame(latitude);
+    const thickness = 0.16;
+    const plateCenter = POLAR_PLATE_CENTER.map((c, k) => c - normal[k] * thickness / 2);
+    const pedestalHeight = POLAR_PLATE_CENTER[1] - 0.5;
+
+    return mergeGeometries([
+        createBox(plateCenter, [west, along, normal], [POLAR_PLATE_HALF_WIDTH, POLAR_PLATE_HALF_LENGTH, thickness / 2]),
+        createBox([0, pedestalHeight / 2, 0], [[1, 0, 0], [0, 1, 0], [0, 0, 1]], [0.4, pedestalHeight / 2, 0.4])
+    ]);
+}
+
+/**
+ * Creates the style of a polar dial: a rod parallel to the plate at `POLAR_STYLE_HEIGHT`,
+ * held by two posts.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @returns {{vertices: Float32Array, indices: Uint16Array}} Geometry of the gnomon.
+ */
+export function createPolarGnomon(latitude) {
+    const { normal, along } = polarDialFrame(latitude);
+    const span = POLAR_PLATE_HALF_LENGTH - 0.4;
+    const end = (sign, height) => POLAR_PLATE_CENTER.map((c, k) => c + normal[k] * height + along[k] * span * sign);
+
+    return mergeGeometries([
+        createGnomon(along, end(-1, POLAR_STYLE_HEIGHT), span * 2),
+        createGnomon(normal, end(-1, 0), POLAR_STYLE_HEIGHT),
+        createGnomon(normal, end(1, 0), POLAR_STYLE_HEIGHT)
+    ]);
+}
+
+/**
+ * Generates the hour lines of a polar dial: parallel lines offset by -H·tan(h) from the substyle.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @returns {ReturnType<typeof createHourLines>} Hour line geometry in the same layout as `createHourLines`.
+ */
+export function createPolarDialHourLines(latitude) {
+    const { normal, west, along } = polarDialFrame(latitude);
+    const span = POLAR_PLATE_HALF_LENGTH - 0.3;
+    const width = 0.02;
+
+    return calculatePolarDialHourLines(latitude, POLAR_STYLE_HEIGHT).map((lineData) => {
+        const origin = POLAR_PLATE_CENTER.map((c, k) =>
+            c + normal[k] * 0.01 + west[k] * lineData.offset - along[k] * span);
+        const { vertices, indices } = createLineRibbon(origin, along, normal, span * 2, width);
+
+        return {
+            lineVertices: new Float32Array(vertices),
+            lineIndices: new Uint16Array(indices),
+            markerVertices: new Float32Array(),
+            markerIndices: new Uint16Array(),
+            hour: lineData.hour,
+            angle: lineData.hourAngle,
+            offset: lineData.offset,
+            labelPosition: POLAR_PLATE_CENTER.map((c, k) =>
+                c + normal[k] * 0.3 + west[k] * lineData.offset + along[k] * (span + 0.6))
+        };
+    });
+}
+
+/** Semi-major (east–west) axis of the analemmatic dial ellipse. */
+export const ANALEMMATIC_SEMI_MAJOR = 6;
+/** Height of the vertical gnomon of an analemmatic dial. */
+export const ANALEMMATIC_GNOMON_HEIGHT = 2.5;
+const ANALEMMATIC_DATE_SCALE_YEAR = 2025;
+const ANALEMMATIC_MONTH_STARTS = [1, 32, 60, 91, 121, 152, 182, 213, 244, 274, 305, 335];
+
+/**
+ * Creates the ground markings of an analemmatic dial: the ellipse of hour points and the
+ * date scale along the minor axis, with a tick at the start of each month (January–June
+ * on the east side, July–December on the west side).
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {string} [model=DEFAULT_SOLAR_MODEL] - Key of `SOLAR_MODELS` placing the month ticks.
+ * @returns {{vertices: Float32Array, indices: Uint16Array}} WebGL-ready geometry.
+ */
+export function createAnalemmaticDialFace(latitude, model = DEFAULT_SOLAR_MODEL) {
+    const segments = 96;
+    const width = 0.03;
+    const vertices = [];
+    const indices = [];
+
+    // Ellipse outline as a closed ribbon, sampled by hour angle
+    for (let i = 0; i <= segments; i++) {
+        const hourAngle = (i / segments) * Math.PI * 2;
+        const [x, z] = analemmaticHourPoint(hourAngle, latitude, ANALEMMATIC_SEMI_MAJOR);
+        const outward = normalize([x / ANALEMMATIC_SEMI_MAJOR ** 2, 0, z / (ANALEMMATIC_SEMI_MAJOR * Math.sin(latitude)) ** 2]);
+        vertices.push(
+            x + outward[0] * width, 0.015, z + outward[2] * width, 0, 1, 0, 0, i / segments,
+            x - outward[0] * width, 0.015, z - outward[2] * width, 0, 1, 0, 1, i / segments
+        );
+        if (i < segments) {
+            const base = i * 2;
+            indices.push(base, base + 1, base + 2, base + 1, base + 3, base + 2);
+        }
+    }
+
+    const axes = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    const dateOffset = (day) => analemmaticGnomonOffset(
+        solarDeclinationOnDay(ANALEMMATIC_DATE_SCALE_YEAR, day, model), latitude, ANALEMMATIC_SEMI_MAJOR);
+    const extent = Math.max(...ANALEMMATIC_MONTH_STARTS.map(day => Math.abs(dateOffset(day))));
+
+    const parts = [
+        { vertices, indices },
+        createBox([0, 0.02, 0], axes, [0.04, 0.02, extent + 0.1])
+    ];
+    ANALEMMATIC_MONTH_STARTS.forEach((day, month) => {
+        const side = month < 6 ? -1 : 1;
+        parts.push(createBox([side * 0.2, 0.02, dateOffset(day)], axes, [0.16, 0.02, 0.02]));
+    });
+
+    return mergeGeometries(parts);
+}
+
+/**
+ * Creates the vertical gnomon of an analemmatic dial, standing on the date scale
+ * at the position of the given day.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} year - Calendar year.
+ * @param {number} dayOfYear - Day of the year (1–366).
+ * @param {string} [model=DEFAULT_SOLAR_MODEL] - Key of `SOLAR_MODELS` giving the declination.
+ * @returns {{vertices: Float32Array, indices: Uint16Array}} Geometry of the gnomon.
+ */
+export function createAnalemmaticGnomon(latitude, year, dayOfYear, model = DEFAULT_SOLAR_MODEL) {
+    const offset = analemmaticGnomonOffset(solarDeclinationOnDay(year, dayOfYear, model), latitude, ANALEMMATIC_SEMI_MAJOR);
+    return createGnomon([0, 1, 0], [0, 0, offset], ANALEMMATIC_GNOMON_HEIGHT);
+}
+
+/**
+ * Generates the hour points of an analemmatic dial as small discs on the ellipse.
+ *
+ * @param {number} latitude - Observer's latitude in radians.
+ * @returns {ReturnType<typeof createHourLines>} Hour point geometry in the same layout as `createHourLines`.
+ */
+export function createAnalemmaticHourPoints(latitude) {
+    return calculateAnalemmaticHourPoints(latitude, ANALEMMATIC_SEMI_MAJOR).map((pointData) => {
+        const [x, , z] = pointData.position;
+        const { vertices, indices } = createDisc([x, 0.03, z], [0, 1, 0], 0.22, 0.06, 24);
+
+        return {
+            lineVertices: vertices,
+            lineIndices: indices,
+            markerVertices: new Float32Array(),
+            markerIndices: new Uint16Array(),
+            hour: pointData.hour,
+            angle: pointData.hourAngle,
+            labelPosition: [x * 1.15, 0.5, z * 1.15]
+        };
+    });
+}
+
 /**
  * Creates a UV-mapped sphere geometry with normals for shading.
  *
@@ -350,44 +1192,221 @@ export function createCloudsGeometry() {
 
     return clouds;
 }
+/** Thickness of the triangular plate or diameter of the rod built by `createStyleGnomon` */
+export const GNOMON_THICKNESS = 0.1;
+/** Default length of the style of the horizontal and vertical dials; its tip traces the date lines. */
+export const STYLE_LENGTH = 3;
+/** Longest style accepted by the UI */
+export const MAX_STYLE_LENGTH = 6;
+/** Radius of the nodus sphere added by `createStyleGnomon`. */
+const GNOMON_NODUS_RADIUS = 0.15;
+/** Smallest style angle, keeping the gnomon buildable when the style lies almost on the dial */
+const MIN_STYLE_ANGLE = 1e-3;
+
 /**
- * Creates a vertical rectangular prism (gnomon) to cast the shadow in the sundial.
+ * Creates a prism with flat per-face normals, capped at both ends.
  *
+ * @param {number[]} root - Centre of the start cap.
+ * @param {number[]} direction - Unit direction of the prism axis.
+ * @param {number} length - Length of the prism.
+ * @param {number} halfWidth - Distance from the axis to each side face.
+ * @param {number} sides - Number of side faces.
+ * @returns {{vertices: Float32Array, indices: Uint16Array}} WebGL-ready geometry.
+ */
+function createPrism(root, direction, length, halfWidth, sides) {
+    const vertices = [];
+    const indices = [];
+
+    // Cross-section basis perpendicular to the axis
+    const helper = Math.abs(direction[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0];
+    const u = normalize(cross(helper, direction));
+    const v = cross(direction, u);
+    const radius = halfWidth / Math.cos(Math.PI / sides);
+
+    const radial = angle => [0, 1, 2].map(k => u[k] * Math.cos(angle) + v[k] * Math.sin(angle));
+    const point = (angle, t, r = radius) => {
+        const offset = radial(angle);
+        return [0, 1, 2].map(k => root[k] + direction[k] * length * t + offset[k] * r);
+    };
+    const cornerAngle = i => (i / sides) * Math.PI * 2;
+
+    // Side faces, each with the normal of its mid-line
+    for (let i = 0; i < sides; i++) {
+        const n = radial((cornerAngle(i) + cornerAngle(i + 1)) / 2);
+        const base = vertices.length / 8;
+        vertices.push(...point(cornerAngle(i), 0), ...n, i / sides, 0);
+        vertices.push(...point(cornerAngle(i + 1), 0), ...n, (i + 1) / sides, 0);
+        vertices.push(...point(cornerAngle(i + 1), 1), ...n, (i + 1) / sides, 1);
+        vertices.push(...point(cornerAngle(i), 1), ...n, i / sides, 1);
+        indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    }
+
+    // End caps: centre vertex plus a ring
+    [[0, -1], [1, 1]].forEach(([t, sign]) => {
+        const n = direction.map(c => c * sign);
+        const base = vertices.length / 8;
+        vertices.push(...point(0, t, 0), ...n, 0.5, 0.5);
+        for (let i = 0; i < sides; i++) {
+            const angle = cornerAngle(i);
+            vertices.push(...point(angle, t), ...n, 0.5 + Math.cos(angle) * 0.5, 0.5 + Math.sin(angle) * 0.5);
+            indices.push(base, base + 1 + i, base + 1 + (i + 1) % sides);
+        }
+    });
+
+    return {
+        vertices: new Float32Array(vertices),
+        indices: new Uint16Array(indices)
+    };
+}
+
+/**
+ * Creates a thin square rod (gnomon) whose style runs from its root along the given direction.
+ * Aligned with the polar axis, its shadow falls on the hour lines at every date.
+ *
+ * @param {number[]} direction - Unit direction of the style (e.g. `polarAxisDirection(latitude)`).
+ * @param {number[]} [root=[0, 0, 0]] - Point where the style meets the dial.
+ * @param {number} [length=3] - Length of the style.
  * @returns {{vertices: Float32Array, indices: Uint16Array}} Geometry of the gnomon.
  */
+export function createGnomon(direction, root = [0, 0, 0], length = 3) {
+    return createPrism(root, direction, length, 0.05, 4);
+}
 
- export function createGnomon() {
-        const height = 2;
-        const width = 0.05;
-
-        const vertices = [
-            // Base (4 points)
-            -width, 0, -width, 0, 1, 0, 0, 0,
-            width, 0, -width, 0, 1, 0, 1, 0,
-            width, 0, width, 0, 1, 0, 1, 1,
-            -width, 0, width, 0, 1, 0, 0, 1,
-            // Top (4 points)
-            -width, height, -width, 0, 1, 0, 0, 0,
-            width, height, -width, 0, 1, 0, 1, 0,
-            width, height, width, 0, 1, 0, 1, 1,
-            -width, height, width, 0, 1, 0, 0, 1
-        ];
+/**
+ * Creates a gnomon standing on a dial plane, described by the angle of its style above
+ * the plane and the height of the style tip. The triangular shape is a plate whose
+ * sloping edge is the style; the rod shape is the style alone. Either can carry a
+ * sphere centred on the tip, which marks the nodus.
+ *
+ * @param {Object} params - Gnomon description.
+ * @param {number[]} [params.root=[0, 0, 0]] - Point where the style meets the dial.
+ * @param {number[]} [params.planeNormal=[0, 1, 0]] - Unit normal of the dial, on the gnomon side.
+ * @param {number[]} params.substyle - Unit direction on the dial from the root towards the foot of the tip.
+ * @param {number} params.styleAngle - Angle of the style above the dial in radians.
+ * @param {number} params.height - Height of the style tip above the dial.
+ * @param {number} [params.thickness=GNOMON_THICKNESS] - Plate thickness or rod diameter.
+ * @param {string} [params.shape='triangular'] - 'triangular' or 'rod'.
+ * @param {number} [params.nodusRadius=0] - Radius of the nodus sphere, 0 for none.
+ * @returns {{vertices: Float32Array, indices: Uint16Array}} Geometry of the gnomon.
+ */
+export function createParametricGnomon({
+    root = [0, 0, 0],
+    planeNormal = [0, 1, 0],
+    substyle,
+    styleAngle,
+    height,
+    thickness = GNOMON_THICKNESS,
+    shape = 'triangular',
+    nodusRadius = 0
+}) {
+    const run = height / Math.tan(styleAngle);
+    const foot = root.map((c, k) => c + substyle[k] * run);
+    const tip = foot.map((c, k) => c + planeNormal[k] * height);
+    const styleVector = tip.map((c, k) => c - root[k]);
+    const styleLength = Math.hypot(...styleVector);
 
-        const indices = [
-            // Sides
-            0, 1, 5, 0, 5, 4,
-            1, 2, 6, 1, 6, 5,
-            2, 3, 7, 2, 7, 6,
-            3, 0, 4, 3, 4, 7,
-            // Top
-            4, 5, 6, 4, 6, 7
-        ];
+    const parts = [];
+    if (shape === 'rod') {
+        parts.push(createPrism(root, styleVector.map(c => c / styleLength), styleLength, thickness / 2, 12));
+    } else {
+        parts.push(createTriangularPlate(root, foot, tip, normalize(cross(planeNormal, substyle)), thickness));
+    }
 
-        return {
-            vertices: new Float32Array(vertices),
-            indices: new Uint16Array(indices)
-        };
+    if (nodusRadius > 0) {
+        const sphere = createSphere(nodusRadius, 12);
+        for (let i = 0; i < sphere.vertices.length; i += 8) {
+            for (let k = 0; k < 3; k++) sphere.vertices[i + k] += tip[k];
+        }
+        parts.push(sphere);
     }
 
+    return parts.length === 1 ? parts[0] : mergeGeometries(parts);
+}
 
+/**
+ * Creates a right-triangular plate (root, foot, tip) extruded on both sides of its plane,
+ * with flat per-face normals.
+ *
+ * @param {number[]} root - Vertex where the style meets the dial.
+ * @param {number[]} foot - Vertex on the dial below the tip.
+ * @param {number[]} tip - Style tip.
+ * @param {number[]} side - Unit normal of the plate.
+ * @param {number} thickness - Plate thickness.
+ * @returns {{vertices: Float32Array, indices: Uint16Array}} WebGL-ready geometry.
+ */
+function createTriangularPlate(root, foot, tip, side, thickness) {
+    const vertices = [];
+    const indices = [];
+    const uvs = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+    const offset = (point, sign) => point.map((c, k) => c + side[k] * thickness / 2 * sign);
+    const addFace = (corners, normal) => {
+        const base = vertices.length / 8;
+        corners.forEach((corner, i) => vertices.push(...corner, ...normal, ...uvs[i]));
+        for (let i = 1; i < corners.length - 1; i++) indices.push(base, base + i, base + i + 1);
+    };
+
+    // Style face, facing away from the foot
+    let styleNormal = normalize(cross(tip.map((c, k) => c - root[k]), side));
+    if (dot(styleNormal, foot.map((c, k) => c - root[k])) > 0) styleNormal = styleNormal.map(c => -c);
+    // Back face, facing away from the root
+    const backNormal = normalize(foot.map((c, k) => c - root[k]));
+    // Bottom face, against the dial
+    const bottomNormal = normalize(cross(side, backNormal));
+
+    [1, -1].forEach(sign => addFace([root, foot, tip].map(p => offset(p, sign)), side.map(c => c * sign)));
+    addFace([offset(root, 1), offset(tip, 1), offset(tip, -1), offset(root, -1)], styleNormal);
+    addFace([offset(foot, 1), offset(foot, -1), offset(tip, -1), offset(tip, 1)], backNormal);
+    addFace([offset(root, 1), offset(root, -1), offset(foot, -1), offset(foot, 1)], bottomNormal);
+
+    return {
+        vertices: new Float32Array(vertices),
+        indices: new Uint16Array(indices)
+    };
+}
+
+/**
+ * Style angle, tip height and substyle of a style standing on a dial plane.
+ *
+ * @param {number[]} direction - Unit direction of the style, pointing away from the dial.
+ * @param {number[]} planeNormal - Unit normal of the dial, on the gnomon side.
+ * @param {number} length - Length of the style.
+ * @returns {{substyle: number[], styleAngle: number, height: number}} The substyle is the unit
+ *          direction on the dial from the root towards the foot of the tip.
+ */
+export function styleGnomonFrame(direction, planeNormal, length) {
+    const rise = dot(direction, planeNormal);
+    const styleAngle = Math.max(Math.asin(Math.min(rise, 1)), MIN_STYLE_ANGLE);
+    const along = direction.map((c, k) => c - planeNormal[k] * rise);
+    // A style perpendicular to the dial has no substyle; any in-plane direction will do
+    const substyle = Math.hypot(...along) > 1e-9
+        ? normalize(along)
+        : normalize(cross(planeNormal, Math.abs(planeNormal[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0]));
+    return { substyle, styleAngle, height: length * Math.sin(styleAngle) };
+}
 
+/**
+ * Creates the gnomon of a dial from its style: the style angle, height and substyle
+ * follow from the style direction and the dial plane, so that the tip stays at
+ * `root + direction · length`.
+ *
+ * @param {number[]} direction - Unit direction of the style, pointing away from the dial.
+ * @param {number[]} root - Point where the style meets the dial.
+ * @param {number[]} planeNormal - Unit normal of the dial, on the gnomon side.
+ * @param {number} length - Length of the style.
+ * @param {Object} [options] - Settings from the UI.
+ * @param {string} [options.shape='triangular'] - 'triangular' or 'rod'.
+ * @param {number} [options.thickness=GNOMON_THICKNESS] - Plate thickness or rod diameter.
+ * @param {boolean} [options.nodus=false] - Whether to mark the tip with a sphere.
+ * @returns {{vertices: Float32Array, indices: Uint16Array}} Geometry of the gnomon.
+ */
+export function createStyleGnomon(direction, root, planeNormal, length, { shape = 'triangular', thickness = GNOMON_THICKNESS, nodus = false } = {}) {
+    return createParametricGnomon({
+        root,
+        planeNormal,
+        ...styleGnomonFrame(direction, planeNormal, length),
+        thickness,
+        shape,
+        nodusRadius: nodus ? GNOMON_NODUS_RADIUS : 0
+    });
+}
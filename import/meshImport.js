@@ -0,0 +1,333 @@
+import { mat4, identity, multiply, cross, dot, normalize } from '../utils/math-utils.js';
+import { splitGeometry } from '../geometry/geometry.js';
+
+/** glTF primitive mode drawing triangle lists, the only one imported. */
+const TRIANGLES = 4;
+/** Typed arrays of the glTF accessor component types. */
+const COMPONENT_TYPES = {
+    5120: Int8Array,
+    5121: Uint8Array,
+    5122: Int16Array,
+    5123: Uint16Array,
+    5125: Uint32Array,
+    5126: Float32Array
+};
+/** Number of components of the glTF accessor types. */
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 };
+
+/**
+ * @typedef {Object} ImportedMesh
+ * @property {string} name - Name of the file it came from.
+ * @property {Array<{vertices: Float32Array, indices: Uint16Array}>} parts - WebGL-ready parts,
+ *           split so that each fits 16-bit indices.
+ * @property {number} vertexCount - Vertices over all parts.
+ * @property {number} triangleCount - Triangles over all parts.
+ */
+
+/**
+ * Collects triangles in the app's vertex layout (position, normal, texCoord: 8 floats),
+ * with 32-bit indices until the mesh is split.
+ */
+class MeshCollector {
+    constructor() {
+        /** @type {number[]} */
+        this.vertices = [];
+        /** @type {number[]} */
+        this.indices = [];
+    }
+
+    /**
+     * Appends a vertex.
+     * @param {number[]} position
+     * @param {number[]} normal - Unit normal.
+     * @param {number[]} [texCoord=[0, 0]]
+     * @returns {number} Index of the vertex.
+     */
+    addVertex(position, normal, texCoord = [0, 0]) {
+        this.vertices.push(...position, ...normal, texCoord[0], texCoord[1]);
+        return this.vertices.length / 8 - 1;
+    }
+
+    /**
+     * Appends a triangle with its own vertices and its face normal, for meshes without normals.
+     * @param {number[][]} positions - The three corners.
+     * @param {number[][]} [texCoords] - Texture coordinates of the corners.
+     */
+    addFlatTriangle(positions, texCoords = []) {
+        const normal = faceNormal(positions);
+        positions.forEach((position, k) => this.indices.push(this.addVertex(position, normal, texCoords[k])));
+    }
+
+    /**
+     * Splits the collected triangles into parts with 16-bit indices.
+     * @param {string} name - Name of the mesh.
+     * @returns {ImportedMesh}
+     */
+    finish(name) {
+        if (!this.indices.length) throw new Error(`${name} contains no triangles`);
+        const parts = splitGeometry(this.vertices, this.indices);
+        return {
+            name,
+            parts,
+            vertexCount: parts.reduce((sum, part) => sum + part.vertices.length / 8, 0),
+            triangleCount: this.indices.length / 3
+        };
+    }
+}
+
+/**
+ * Unit normal of a polygon by Newell's method, robust for non-planar and concave faces.
+ * @param {number[][]} positions - Corners in counter-clockwise order.
+ * @returns {number[]}
+ */
+function faceNormal(positions) {
+    const normal = [0, 0, 0];
+    positions.forEach((current, i) => {
+        const next = positions[(i + 1) % positions.length];
+        normal[0] += (current[1] - next[1]) * (current[2] + next[2]);
+        normal[1] += (current[2] - next[2]) * (current[0] + next[0]);
+        normal[2] += (current[0] - next[0]) * (current[1] + next[1]);
+    });
+    return normalize(normal);
+}
+
+/**
+ * Reads a Wavefront OBJ mesh: vertices, texture coordinates, normals and polygonal faces
+ * (triangulated as fans). Faces without normals get flat normals. Groups, objects and
+ * materials are ignored: the whole file becomes one mesh.
+ *
+ * @param {string} text - Contents of the .obj file.
+ * @param {string} [name='OBJ'] - Name used in error messages and the result.
+ * @returns {ImportedMesh}
+ */
+export function parseObj(text, name = 'OBJ') {
+    const positions = [];
+    const normals = [];
+    const texCoords = [];
+    const mesh = new MeshCollector();
+    const shared = new Map();
+
+    text.split('\n').forEach((rawLine, lineIndex) => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) return;
+        const [keyword, ...args] = line.split(/\s+/);
+
+        if (keyword === 'v') {
+            positions.push(args.slice(0, 3).map(Number));
+        } else if (keyword === 'vn') {
+            normals.push(normalize(args.slice(0, 3).map(Number)));
+        } else if (keyword === 'vt') {
+            texCoords.push([Number(args[0]), Number(args[1] || 0)]);
+        } else if (keyword === 'f') {
+            // Indices are 1-based, or negative counting back from the last element read
+            const resolve = (value, list) => {
+                if (!value) return -1;
+                const index = parseInt(value);
+                const resolved = index < 0 ? list.length + index : index - 1;
+                if (!(resolved >= 0 && resolved < list.length)) {
+                    throw new Error(`${name}, line ${lineIndex + 1}: face refers to a missing element`);
+                }
+                return resolved;
+            };
+            const corners = args.map(arg => {
+                const [v, t, n] = arg.split('/');
+                return { v: resolve(v, positions), t: resolve(t, texCoords), n: resolve(n, normals) };
+            });
+            if (corners.length < 3) return;
+
+            let indices;
+            if (corners.some(corner => corner.n < 0)) {
+                // Flat shading: the corners of this face are not shared
+                const normal = faceNormal(corners.map(corner => positions[corner.v]));
+                indices = corners.map(corner => mesh.addVertex(positions[corner.v], normal, texCoords[corner.t]));
+            } else {
+                indices = corners.map(corner => {
+                    const key = `${corner.v}/${corner.t}/${corner.n}`;
+                    if (!shared.has(key)) shared.set(key, mesh.addVertex(positions[corner.v], normals[corner.n], texCoords[corner.t]));
+                    return shared.get(key);
+                });
+            }
+            for (let k = 1; k + 1 < indices.length; k++) {
+                mesh.indices.push(indices[0], indices[k], indices[k + 1]);
+            }
+        }
+    });
+
+    return mesh.finish(name);
+}
+
+/**
+ * Decodes the buffers of a glTF asset: the binary chunk of a .glb or base64 data URIs.
+ * @param {Object} json - glTF JSON.
+ * @param {Uint8Array|null} binaryChunk - BIN chunk of a .glb.
+ * @param {string} name - Name used in error messages.
+ * @returns {Uint8Array[]}
+ */
+function decodeBuffers(json, binaryChunk, name) {
+    return (json.buffers || []).map((buffer, index) => {
+        if (buffer.uri === undefined) {
+            if (index === 0 && binaryChunk) return binaryChunk;
+            throw new Error(`${name}: buffer ${index} has no data`);
+        }
+        const match = /^data:[^,]*;base64,(.*)$/.exec(buffer.uri);
+        if (!match) {
+            throw new Error(`${name}: external file "${buffer.uri}" cannot be read; export a .glb or embed the buffers`);
+        }
+        return Uint8Array.from(atob(match[1]), c => c.charCodeAt(0));
+    });
+}
+
+/**
+ * Reads an accessor as arrays of numbers, one per element, honouring byte strides and
+ * normalized integers.
+ * @param {Object} json - glTF JSON.
+ * @param {Uint8Array[]} buffers - Decoded buffers.
+ * @param {number} index - Accessor index.
+ * @param {string} name - Name used in error messages.
+ * @returns {number[][]}
+ */
+function readAccessor(json, buffers, index, name) {
+    const accessor = json.accessors[index];
+    const size = TYPE_SIZES[accessor.type];
+    const ArrayType = COMPONENT_TYPES[accessor.componentType];
+    if (accessor.sparse || !size || !ArrayType) {
+        throw new Error(`${name}: accessor ${index} uses an unsupported layout`);
+    }
+    if (accessor.bufferView === undefined) {
+        return Array.from({ length: accessor.count }, () => new Array(size).fill(0));
+    }
+
+    const view = json.bufferViews[accessor.bufferView];
+    const buffer = buffers[view.buffer];
+    const componentBytes = ArrayType.BYTES_PER_ELEMENT;
+    const stride = view.byteStride || size * componentBytes;
+    const start = buffer.byteOffset + (view.byteOffset || 0) + (accessor.byteOffset || 0);
+    const data = new DataView(buffer.buffer);
+    const getter = `get${ArrayType.name.replace('Array', '')}`;
+    const max = accessor.normalized && accessor.componentType !== 5126 ? 2 ** (componentBytes * 8 - (ArrayType.name.startsWith('Int') ? 1 : 0)) - 1 : 1;
+
+    return Array.from({ length: accessor.count }, (_, element) => Array.from({ length: size }, (_, component) => {
+        const value = data[getter](start + element * stride + component * componentBytes, true);
+        return accessor.normalized ? Math.max(value / max, -1) : value;
+    }));
+}
+
+/**
+ * Local transform of a glTF node, from its matrix or its translation, rotation and scale.
+ * @param {Object} node
+ * @returns {Float32Array} Column-major 4x4 matrix.
+ */
+function nodeTransform(node) {
+    const matrix = mat4();
+    if (node.matrix) {
+        matrix.set(node.matrix);
+        return matrix;
+    }
+    const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+    const [sx, sy, sz] = node.scale || [1, 1, 1];
+    const [tx, ty, tz] = node.translation || [0, 0, 0];
+    matrix.set([
+        (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y + z * w) * sx, 2 * (x * z - y * w) * sx, 0,
+        2 * (x * y - z * w) * sy, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z + x * w) * sy, 0,
+        2 * (x * z + y * w) * sz, 2 * (y * z - x * w) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+        tx, ty, tz, 1
+    ]);
+    return matrix;
+}
+
+/**
+ * Reads the triangles of a glTF 2.0 asset (.gltf with embedded buffers, or .glb) in the pose of
+ * its default scene: node transforms are applied to positions and normals. Primitives that are
+ * not triangle lists are skipped; missing normals are replaced by flat ones. Materials and
+ * textures are ignored.
+ *
+ * @param {ArrayBuffer} data - Contents of the file.
+ * @param {string} [name='glTF'] - Name used in error messages and the result.
+ * @returns {ImportedMesh}
+ */
+export function parseGltf(data, name = 'glTF') {
+    const header = new DataView(data);
+    let json;
+    let binaryChunk = null;
+    if (data.byteLength >= 12 && header.getUint32(0, true) === 0x46546C67) {
+        // Binary container: JSON chunk, then an optional BIN chunk
+        let offset = 12;
+        while (offset + 8 <= data.byteLength) {
+            const length = header.getUint32(offset, true);
+            const type = header.getUint32(offset + 4, true);
+            const chunk = new Uint8Array(data, offset + 8, length);
+            if (type === 0x4E4F534A) json = JSON.parse(new TextDecoder().decode(chunk));
+            else if (type === 0x004E4942) binaryChunk = chunk;
+            offset += 8 + Math.ceil(length / 4) * 4;
+        }
+        if (!json) throw new Error(`${name}: missing JSON chunk`);
+    } else {
+        json = JSON.parse(new TextDecoder().decode(data));
+    }
+    if (!json.asset || !String(json.asset.version).startsWith('2')) {
+        throw new Error(`${name}: only glTF 2.0 is supported`);
+    }
+
+    const buffers = decodeBuffers(json, binaryChunk, name);
+    const nodes = json.nodes || [];
+    const mesh = new MeshCollector();
+
+    const addPrimitive = (primitive, matrix) => {
+        if ((primitive.mode ?? TRIANGLES) !== TRIANGLES || primitive.attributes.POSITION === undefined) return;
+        const read = index => readAccessor(json, buffers, index, name);
+        const transformPoint = p => [0, 1, 2].map(k => matrix[k] * p[0] + matrix[4 + k] * p[1] + matrix[8 + k] * p[2] + matrix[12 + k]);
+        // Normals follow the inverse transpose: the cofactors of the linear part, signed by its determinant
+        const columns = [0, 4, 8].map(k => [matrix[k], matrix[k + 1], matrix[k + 2]]);
+        const cofactors = [cross(columns[1], columns[2]), cross(columns[2], columns[0]), cross(columns[0], columns[1])];
+        const sign = Math.sign(dot(columns[0], cofactors[0])) || 1;
+        const transformNormal = n => normalize([0, 1, 2].map(k => sign * (cofactors[0][k] * n[0] + cofactors[1][k] * n[1] + cofactors[2][k] * n[2])));
+
+        const positions = read(primitive.attributes.POSITION).map(transformPoint);
+        const texCoords = primitive.attributes.TEXCOORD_0 !== undefined ? read(primitive.attributes.TEXCOORD_0) : [];
+        const indices = primitive.indices !== undefined
+            ? read(primitive.indices).map(element => element[0])
+            : positions.map((_, index) => index);
+
+        if (primitive.attributes.NORMAL !== undefined) {
+            const normals = read(primitive.attributes.NORMAL).map(transformNormal);
+            const base = mesh.vertices.length / 8;
+            positions.forEach((position, index) => mesh.addVertex(position, normals[index], texCoords[index]));
+            indices.forEach(index => mesh.indices.push(base + index));
+        } else {
+            for (let i = 0; i + 2 < indices.length; i += 3) {
+                const corners = [indices[i], indices[i + 1], indices[i + 2]];
+                mesh.addFlatTriangle(corners.map(index => positions[index]), corners.map(index => texCoords[index]));
+            }
+        }
+    };
+
+    const visit = (nodeIndex, parentMatrix) => {
+        const node = nodes[nodeIndex];
+        const matrix = mat4();
+        multiply(matrix, parentMatrix, nodeTransform(node));
+        if (node.mesh !== undefined) json.meshes[node.mesh].primitives.forEach(primitive => addPrimitive(primitive, matrix));
+        (node.children || []).forEach(child => visit(child, matrix));
+    };
+
+    const root = mat4();
+    identity(root);
+    const scene = (json.scenes || [])[json.scene ?? 0];
+    const children = new Set(nodes.flatMap(node => node.children || []));
+    const rootNodes = scene ? scene.nodes || [] : nodes.map((_, index) => index).filter(index => !children.has(index));
+    rootNodes.forEach(index => visit(index, root));
+
+    return mesh.finish(name);
+}
+
+/**
+ * Reads a mesh file chosen by the user, by its extension: .obj, .gltf or .glb.
+ *
+ * @param {File} file - File from a file input.
+ * @returns {Promise<ImportedMesh>}
+ */
+export async function loadMeshFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (extension === 'obj') return parseObj(await file.text(), file.name);
+    if (extension === 'gltf' || extension === 'glb') return parseGltf(await file.arrayBuffer(), file.name);
+    throw new Error(`${file.name}: unsupported file type (use .obj, .gltf or .glb)`);
+}
@@ -1,9 +1,514 @@
-// Astronomical constants for Rome
-const ROME_LATITUDE = (41.9 * Math.PI) / 180; // 41.9°N in radianti
-const ROME_LONGITUDE = (12.5 * Math.PI) / 180; // 12.5°E in radianti
+import { dot, cross } from './math-utils.js';
+import { solarToCivilTime } from './timezone.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+const MS_PER_DAY = 86400000;
+const JULIAN_DAY_UNIX_EPOCH = 2440587.5;
+const JULIAN_DAY_J2000 = 2451545.0;
+
+/**
+ * Wraps a value into the range [0, period).
+ * @param {number} value
+ * @param {number} period
+ * @returns {number}
+ */
+function wrap(value, period) {
+  return ((value % period) + period) % period;
+}
+
+/**
+ * Converts a Date into a Julian Day number.
+ * @param {Date} date - Instant to convert.
+ * @returns {number} Julian Day (days since noon UT, 1 Jan 4713 BC).
+ */
+export function toJulianDay(date) {
+  return date.getTime() / MS_PER_DAY + JULIAN_DAY_UNIX_EPOCH;
+}
+
+/**
+ * Periodic terms of the Earth's heliocentric coordinates, abridged VSOP87 of Meeus' Astronomical
+ * Algorithms (appendix III). Each series is a list of [A, B, C] terms summed as A·cos(B + C·τ),
+ * with A in 1e-8 radians (longitude, latitude) or astronomical units (radius) and τ in Julian
+ * millennia from J2000.0.
+ */
+const EARTH_LONGITUDE = [
+  [
+    [175347046, 0, 0], [3341656, 4.6692568, 6283.07585], [34894, 4.6261, 12566.1517],
+    [3497, 2.7441, 5753.3849], [3418, 2.8289, 3.5231], [3136, 3.6277, 77713.7715],
+    [2676, 4.4181, 7860.4194], [2343, 6.1352, 3930.2097], [1324, 0.7425, 11506.7698],
+    [1273, 2.0371, 529.691], [1199, 1.1096, 1577.3435], [990, 5.233, 5884.927],
+    [902, 2.045, 26.298], [857, 3.508, 398.149], [780, 1.179, 5223.694],
+    [753, 2.533, 5507.553], [505, 4.583, 18849.228], [492, 4.205, 775.523],
+    [357, 2.92, 0.067], [317, 5.849, 11790.629], [284, 1.899, 796.298],
+    [271, 0.315, 10977.079], [243, 0.345, 5486.778], [206, 4.806, 2544.314],
+    [205, 1.869, 5573.143], [202, 2.458, 6069.777], [156, 0.833, 213.299],
+    [132, 3.411, 2942.463], [126, 1.083, 20.775], [115, 0.645, 0.98],
+    [103, 0.636, 4694.003], [102, 0.976, 15720.839], [102, 4.267, 7.114],
+    [99, 6.21, 2146.17], [98, 0.68, 155.42], [86, 5.98, 161000.69],
+    [85, 1.3, 6275.96], [85, 3.67, 71430.7], [80, 1.81, 17260.15],
+    [79, 3.04, 12036.46], [75, 1.76, 5088.63], [74, 3.5, 3154.69],
+    [74, 4.68, 801.82], [70, 0.83, 9437.76], [62, 3.98, 8827.39],
+    [61, 1.82, 7084.9], [57, 2.78, 6286.6], [56, 4.39, 14143.5],
+    [56, 3.47, 6279.55], [52, 0.19, 12139.55], [52, 1.33, 1748.02],
+    [51, 0.28, 5856.48], [49, 0.49, 1194.45], [41, 5.37, 8429.24],
+    [41, 2.4, 19651.05], [39, 6.17, 10447.39], [37, 6.04, 10213.29],
+    [37, 2.57, 1059.38], [36, 1.71, 2352.87], [36, 1.78, 6812.77],
+    [33, 0.59, 17789.85], [30, 0.44, 83996.85], [30, 2.74, 1349.87],
+    [25, 3.16, 4690.48],
+  ],
+  [
+    [628331966747, 0, 0], [206059, 2.678235, 6283.07585], [4303, 2.6351, 12566.1517],
+    [425, 1.59, 3.523], [119, 5.796, 26.298], [109, 2.966, 1577.344],
+    [93, 2.59, 18849.23], [72, 1.14, 529.69], [68, 1.87, 398.15],
+    [67, 4.41, 5507.55], [59, 2.89, 5223.69], [56, 2.17, 155.42],
+    [45, 0.4, 796.3], [36, 0.47, 775.52], [29, 2.65, 7.11],
+    [21, 5.34, 0.98], [19, 1.85, 5486.78], [19, 4.97, 213.3],
+    [17, 2.99, 6275.96], [16, 0.03, 2544.31], [16, 1.43, 2146.17],
+    [15, 1.21, 10977.08], [12, 2.83, 1748.02], [12, 3.26, 5088.63],
+    [12, 5.27, 1194.45], [12, 2.08, 4694], [11, 0.77, 553.57],
+    [10, 1.3, 6286.6], [10, 4.24, 1349.87], [9, 2.7, 242.73],
+    [9, 5.64, 951.72], [8, 5.3, 2352.87], [6, 2.65, 9437.76],
+    [6, 4.67, 4690.48],
+  ],
+  [
+    [52919, 0, 0], [8720, 1.0721, 6283.0758], [309, 0.867, 12566.152],
+    [27, 0.05, 3.52], [16, 5.19, 26.3], [16, 3.68, 155.42],
+    [10, 0.76, 18849.23], [9, 2.06, 77713.77], [7, 0.83, 775.52],
+    [5, 4.66, 1577.34], [4, 1.03, 7.11], [4, 3.44, 5573.14],
+    [3, 5.14, 796.3], [3, 6.05, 5507.55], [3, 1.19, 242.73],
+    [3, 6.12, 529.69], [3, 0.31, 398.15], [3, 2.28, 553.57],
+    [2, 4.38, 5223.69], [2, 3.75, 0.98],
+  ],
+  [
+    [289, 5.844, 6283.076], [35, 0, 0], [17, 5.49, 12566.15],
+    [3, 5.2, 155.42], [1, 4.72, 3.52], [1, 5.3, 18849.23],
+    [1, 5.97, 242.73],
+  ],
+  [[114, 3.142, 0], [8, 4.13, 6283.08], [1, 3.84, 12566.15]],
+  [[1, 3.14, 0]],
+];
+
+const EARTH_LATITUDE = [
+  [[280, 3.199, 84334.662], [102, 5.422, 5507.553], [80, 3.88, 5223.69], [44, 3.7, 2352.87], [32, 4, 1577.34]],
+  [[9, 3.9, 5507.55], [6, 1.73, 5223.69]],
+];
+
+const EARTH_RADIUS = [
+  [
+    [100013989, 0, 0], [1670700, 3.0984635, 6283.07585], [13956, 3.05525, 12566.1517],
+    [3084, 5.1985, 77713.7715], [1628, 1.1739, 5753.3849], [1576, 2.8469, 7860.4194],
+    [925, 5.453, 11506.77], [542, 4.564, 3930.21], [472, 3.661, 5884.927],
+    [346, 0.964, 5507.553], [329, 5.9, 5223.694], [307, 0.299, 5573.143],
+    [243, 4.273, 11790.629], [212, 5.847, 1577.344], [186, 5.022, 10977.079],
+    [175, 3.012, 18849.228], [110, 5.055, 5486.778], [98, 0.89, 6069.78],
+    [86, 5.69, 15720.84], [86, 1.27, 161000.69], [65, 0.27, 17260.15],
+    [63, 0.92, 529.69], [57, 2.01, 83996.85], [56, 5.24, 71430.7],
+    [49, 3.25, 2544.31], [47, 2.58, 775.52], [45, 5.54, 9437.76],
+    [43, 6.01, 6275.96], [39, 5.36, 4694], [38, 2.39, 8827.39],
+    [37, 0.83, 19651.05], [37, 4.9, 12139.55], [36, 1.67, 12036.46],
+    [35, 1.84, 2942.46], [33, 0.24, 7084.9], [32, 0.18, 5088.63],
+    [32, 1.78, 398.15], [28, 1.21, 6286.6], [28, 1.9, 6279.55],
+    [26, 4.59, 10447.39],
+  ],
+  [
+    [103019, 1.10749, 6283.07585], [1721, 1.0644, 12566.1517], [702, 3.142, 0],
+    [32, 1.02, 18849.23], [31, 2.84, 5507.55], [25, 1.32, 5223.69],
+    [18, 1.42, 1577.34], [10, 5.91, 10977.08], [9, 1.42, 6275.96],
+    [9, 0.27, 5486.78],
+  ],
+  [
+    [4359, 5.7846, 6283.0758], [124, 5.579, 12566.152], [12, 3.14, 0],
+    [9, 3.63, 77713.77], [6, 1.87, 5573.14], [3, 5.47, 18849.23],
+  ],
+  [[145, 4.273, 6283.076], [7, 3.92, 12566.15]],
+  [[4, 2.56, 6283.08]],
+];
+
+/**
+ * Evaluates a VSOP87 coordinate: the series of each power of τ, combined as a polynomial in τ.
+ * @param {number[][][]} series - Terms per power of τ.
+ * @param {number} tau - Julian millennia from J2000.0 (dynamical time).
+ * @returns {number} Coordinate in radians or astronomical units.
+ */
+function vsop(series, tau) {
+  let value = 0;
+  for (let power = series.length - 1; power >= 0; power--) {
+    const sum = series[power].reduce((total, [a, b, c]) => total + a * Math.cos(b + c * tau), 0);
+    value = value * tau + sum;
+  }
+  return value / 1e8;
+}
+
+/**
+ * Difference ΔT = TT − UT between dynamical and universal time, from the polynomials of
+ * Espenak and Meeus (NASA eclipse predictions).
+ * @param {number} year - Decimal year.
+ * @returns {number} ΔT in seconds.
+ */
+function deltaT(year) {
+  if (year < 1900 || year >= 2150) {
+    const u = (year - 1820) / 100;
+    return -20 + 32 * u * u;
+  }
+  if (year < 1920) {
+    const t = year - 1900;
+    return -2.79 + t * (1.494119 + t * (-0.0598939 + t * (0.0061966 - 0.000197 * t)));
+  }
+  if (year < 1941) {
+    const t = year - 1920;
+    return 21.2 + t * (0.84493 + t * (-0.0761 + 0.0020936 * t));
+  }
+  if (year < 1961) {
+    const t = year - 1950;
+    return 29.07 + t * (0.407 + t * (-1 / 233 + t / 2547));
+  }
+  if (year < 1986) {
+    const t = year - 1975;
+    return 45.45 + t * (1.067 + t * (-1 / 260 - t / 718));
+  }
+  if (year < 2005) {
+    const t = year - 2000;
+    return 63.86 + t * (0.3345 + t * (-0.060374 + t * (0.0017275 + t * (0.000651814 + 0.00002373599 * t))));
+  }
+  if (year < 2050) {
+    const t = year - 2000;
+    return 62.92 + t * (0.32217 + 0.005589 * t);
+  }
+  const u = (year - 1820) / 100;
+  return -20 + 32 * u * u - 0.5628 * (2150 - year);
+}
+
+/**
+ * Solar coordinates after Meeus' Astronomical Algorithms: the Earth's position from the abridged
+ * VSOP87 theory (ch. 32), converted to the FK5 system, corrected for nutation (ch. 22) and
+ * aberration to the apparent place (ch. 25), and the equation of time from the sun's mean
+ * longitude and apparent right ascension (ch. 28). Accurate to about one arcsecond in declination
+ * and a fraction of a second in the equation of time.
+ * @param {number} julianDay - Julian Day of the instant, in universal time.
+ * @returns {{declination: number, equationOfTime: number, distance: number}} Declination in radians,
+ *          equation of time in minutes, distance in astronomical units.
+ */
+export function meeusSolarCoordinates(julianDay) {
+  const year = 2000 + (julianDay - JULIAN_DAY_J2000) / 365.25;
+  const T = (julianDay + deltaT(year) / 86400 - JULIAN_DAY_J2000) / 36525;
+  const tau = T / 10;
+
+  // Geometric geocentric longitude and latitude of the sun, in the FK5 system
+  const earthLongitude = vsop(EARTH_LONGITUDE, tau) * RAD_TO_DEG;
+  const distance = vsop(EARTH_RADIUS, tau);
+  const longitude = wrap(earthLongitude + 180, 360);
+  const fk5Longitude = (longitude - T * (1.397 + 0.00031 * T)) * DEG_TO_RAD;
+  const latitude =
+    -vsop(EARTH_LATITUDE, tau) + (0.03916 / 3600) * (Math.cos(fk5Longitude) - Math.sin(fk5Longitude)) * DEG_TO_RAD;
+
+  // Nutation in longitude and obliquity, leading terms
+  const omega = (125.04452 - 1934.136261 * T) * DEG_TO_RAD;
+  const sunMeanLongitude = (280.4665 + 36000.7698 * T) * DEG_TO_RAD;
+  const moonMeanLongitude = (218.3165 + 481267.8813 * T) * DEG_TO_RAD;
+  const nutationLongitude =
+    (-17.2 * Math.sin(omega) - 1.32 * Math.sin(2 * sunMeanLongitude) -
+      0.23 * Math.sin(2 * moonMeanLongitude) + 0.21 * Math.sin(2 * omega)) / 3600;
+  const nutationObliquity =
+    (9.2 * Math.cos(omega) + 0.57 * Math.cos(2 * sunMeanLongitude) +
+      0.1 * Math.cos(2 * moonMeanLongitude) - 0.09 * Math.cos(2 * omega)) / 3600;
+
+  const obliquitySeconds = 21.448 - T * (46.815 + T * (0.00059 - T * 0.001813));
+  const obliquity = (23 + (26 + obliquitySeconds / 60) / 60 + nutationObliquity) * DEG_TO_RAD;
+
+  // Apparent longitude: FK5 correction, nutation and aberration
+  const apparentLongitude =
+    (longitude - 0.09033 / 3600 + nutationLongitude - 20.4898 / 3600 / distance) * DEG_TO_RAD;
+
+  const rightAscension = Math.atan2(
+    Math.sin(apparentLongitude) * Math.cos(obliquity) - Math.tan(latitude) * Math.sin(obliquity),
+    Math.cos(apparentLongitude)
+  );
+  const declination = Math.asin(
+    Math.sin(latitude) * Math.cos(obliquity) +
+      Math.cos(latitude) * Math.sin(obliquity) * Math.sin(apparentLongitude)
+  );
+
+  const meanLongitude =
+    280.4664567 + tau * (360007.6982779 + tau * (0.03032028 + tau * (1 / 49931 + tau * (-1 / 15300 - tau / 2000000))));
+  const equationDegrees =
+    meanLongitude - 0.0057183 - rightAscension * RAD_TO_DEG + nutationLongitude * Math.cos(obliquity);
+  const equationOfTime = 4 * (wrap(equationDegrees + 180, 360) - 180);
+
+  return { declination, equationOfTime, distance };
+}
+
+/**
+ * Solar coordinates from the simplified sine formulas, `equationOfTime` and `solarDeclination`,
+ * on a 365-day year with a mean Earth orbit. Off by up to a minute of time and a degree of
+ * declination; kept to compare against the Meeus model.
+ * @param {number} julianDay - Julian Day of the instant, in universal time.
+ * @returns {{declination: number, equationOfTime: number, distance: number}} Declination in radians,
+ *          equation of time in minutes, distance in astronomical units.
+ */
+export function simplifiedSolarCoordinates(julianDay) {
+  const date = new Date((julianDay - JULIAN_DAY_UNIX_EPOCH) * MS_PER_DAY);
+  const dayOfYear = (date.getTime() - Date.UTC(date.getUTCFullYear(), 0, 0)) / MS_PER_DAY;
+  return {
+    declination: solarDeclination(dayOfYear),
+    equationOfTime: equationOfTime(dayOfYear),
+    distance: 1 - 0.01671 * Math.cos((2 * Math.PI * (dayOfYear - 4)) / 365),
+  };
+}
+
+/**
+ * Models of the sun's apparent motion:
+ * - `meeus`: `meeusSolarCoordinates`, the full ephemeris,
+ * - `simplified`: `simplifiedSolarCoordinates`, the textbook sine approximations.
+ */
+export const SOLAR_MODELS = {
+  meeus: meeusSolarCoordinates,
+  simplified: simplifiedSolarCoordinates,
+};
+
+/** Key of `SOLAR_MODELS` used when a computation is not given one. */
+export const DEFAULT_SOLAR_MODEL = "meeus";
+
+/**
+ * Solar declination, equation of time and Earth–Sun distance from a model.
+ * Unknown models fall back to `DEFAULT_SOLAR_MODEL`.
+ * @param {number} julianDay - Julian Day of the instant.
+ * @param {string} [model=DEFAULT_SOLAR_MODEL] - Key of `SOLAR_MODELS`.
+ * @returns {{declination: number, equationOfTime: number, distance: number}} Declination in radians,
+ *          equation of time in minutes, distance in astronomical units.
+ */
+function solarCoordinates(julianDay, model = DEFAULT_SOLAR_MODEL) {
+  return (SOLAR_MODELS[model] || SOLAR_MODELS[DEFAULT_SOLAR_MODEL])(julianDay);
+}
+
+/** Reference atmosphere of the standard refraction tables: pressure in hPa, temperature in °C. */
+export const STANDARD_ATMOSPHERE = { pressure: 1010, temperature: 10 };
+
+/**
+ * Scales standard refraction to the given pressure and temperature.
+ * @param {{pressure: number, temperature: number}} atmosphere
+ * @returns {number} Correction factor.
+ */
+function refractionScale(atmosphere) {
+  return (atmosphere.pressure / 1010) * (283 / (273 + atmosphere.temperature));
+}
+
+/**
+ * Atmospheric refraction for a true (geometric) solar elevation, Sæmundsson's formula.
+ * Negligible below -2°, where the sun is well under the horizon.
+ * @param {number} trueElevation - Geometric elevation in degrees.
+ * @param {{pressure: number, temperature: number}} [atmosphere=STANDARD_ATMOSPHERE] -
+ *        Pressure in hPa and temperature in °C.
+ * @returns {number} Refraction in degrees, to be added to the true elevation.
+ */
+export function atmosphericRefraction(trueElevation, atmosphere = STANDARD_ATMOSPHERE) {
+  if (trueElevation < -2) return 0;
+  const arcMinutes = 1.02 / Math.tan((trueElevation + 10.3 / (trueElevation + 5.11)) * DEG_TO_RAD);
+  return (arcMinutes / 60) * refractionScale(atmosphere);
+}
+
+/**
+ * Refraction of an object seen on the horizon (Bennett's formula at apparent elevation 0°).
+ * @param {{pressure: number, temperature: number}} atmosphere - Pressure in hPa and temperature in °C.
+ * @returns {number} Refraction in degrees (about 0.57° in the standard atmosphere).
+ */
+function horizonRefraction(atmosphere) {
+  return (1 / Math.tan((7.31 / 4.4) * DEG_TO_RAD) / 60) * refractionScale(atmosphere);
+}
+
+/**
+ * Apparent angular radius of the sun's disc.
+ * @param {number} distance - Earth–Sun distance in astronomical units.
+ * @returns {number} Angular radius in degrees (0.262°–0.271° over the year).
+ */
+export function sunAngularRadius(distance) {
+  return 959.63 / 3600 / distance;
+}
+
+/**
+ * Computes the position of the sun for an instant and an observer.
+ * With an atmosphere the elevation is the apparent one, lifted by refraction.
+ * @param {Date} date - Instant of observation.
+ * @param {number} latitude - Observer's latitude in radians (north positive).
+ * @param {number} longitude - Observer's longitude in radians (east positive).
+ * @param {{pressure: number, temperature: number}|null} [atmosphere=null] - Pressure in hPa and
+ *        temperature in °C for refraction, or null for the geometric position.
+ * @param {string} [model=DEFAULT_SOLAR_MODEL] - Key of `SOLAR_MODELS`.
+ * @returns {{
+ *   azimuth: number,
+ *   elevation: number,
+ *   trueElevation: number,
+ *   refraction: number,
+ *   angularRadius: number,
+ *   hourAngle: number,
+ *   declination: number,
+ *   equationOfTime: number,
+ *   solarTime: number
+ * }} Azimuth (0°=North, clockwise), apparent and geometric elevation, refraction, angular radius,
+ *    hour angle (negative in the morning) and declination in degrees; equation of time in minutes;
+ *    apparent solar time in hours.
+ */
+export function calculateSolarPosition(date, latitude, longitude, atmosphere = null, model = DEFAULT_SOLAR_MODEL) {
+  const { declination, equationOfTime, distance } = solarCoordinates(toJulianDay(date), model);
+
+  const utcMinutes = wrap(date.getTime() / 60000, 1440);
+  const solarMinutes = wrap(utcMinutes + equationOfTime + 4 * longitude * RAD_TO_DEG, 1440);
+  const hourAngle = (solarMinutes / 4 - 180) * DEG_TO_RAD;
+
+  const sinElevation =
+    Math.sin(latitude) * Math.sin(declination) +
+    Math.cos(latitude) * Math.cos(declination) * Math.cos(hourAngle);
+  const elevation = Math.asin(Math.max(-1, Math.min(1, sinElevation)));
+
+  // Measured from south towards west, then shifted to the north-based convention
+  const azimuthFromSouth = Math.atan2(
+    Math.sin(hourAngle),
+    Math.cos(hourAngle) * Math.sin(latitude) - Math.tan(declination) * Math.cos(latitude)
+  );
+
+  const trueElevation = elevation * RAD_TO_DEG;
+  const refraction = atmosphere ? atmosphericRefraction(trueElevation, atmosphere) : 0;
+
+  return {
+    azimuth: wrap(azimuthFromSouth * RAD_TO_DEG + 180, 360),
+    elevation: trueElevation + refraction,
+    trueElevation: trueElevation,
+    refraction: refraction,
+    angularRadius: sunAngularRadius(distance),
+    hourAngle: hourAngle * RAD_TO_DEG,
+    declination: declination * RAD_TO_DEG,
+    equationOfTime: equationOfTime,
+    solarTime: solarMinutes / 60,
+  };
+}
+
+/**
+ * Geometric altitudes of the sun's centre (degrees) that define the twilights.
+ * Sunrise and sunset depend on refraction and the sun's radius; see `calculateSunEvents`.
+ */
+export const SUN_EVENT_ALTITUDES = {
+  civil: -6,
+  nautical: -12,
+  astronomical: -18,
+};
+
+/**
+ * Instant of local apparent noon on a calendar day, refined with the equation of time
+ * at the result.
+ * @param {number} dayStart - UTC midnight of the day, in milliseconds.
+ * @param {number} longitude - Observer's longitude in degrees (east positive).
+ * @param {string} model - Key of `SOLAR_MODELS`.
+ * @returns {number} Milliseconds since the Unix epoch.
+ */
+function solarTransit(dayStart, longitude, model) {
+  let time = dayStart + (720 - 4 * longitude) * 60000;
+  for (let i = 0; i < 2; i++) {
+    const { equationOfTime } = solarCoordinates(toJulianDay(new Date(time)), model);
+    time = dayStart + (720 - 4 * longitude - equationOfTime) * 60000;
+  }
+  return time;
+}
+
+/**
+ * Instant at which the sun's centre crosses an altitude before (-1) or after (+1) transit.
+ * @param {number} dayStart - UTC midnight of the day, in milliseconds.
+ * @param {number} altitude - Altitude of the event in degrees.
+ * @param {number} side - -1 for the morning event, +1 for the evening one.
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} longitude - Observer's longitude in degrees (east positive).
+ * @param {string} model - Key of `SOLAR_MODELS`.
+ * @returns {number|"above"|"below"} Milliseconds since the Unix epoch, or whether the sun
+ *          stays above or below the altitude all day.
+ */
+function solarAltitudeCrossing(dayStart, altitude, side, latitude, longitude, model) {
+  let time = solarTransit(dayStart, longitude, model);
+  for (let i = 0; i < 3; i++) {
+    const { declination, equationOfTime } = solarCoordinates(toJulianDay(new Date(time)), model);
+    const cosHourAngle =
+      (Math.sin(altitude * DEG_TO_RAD) - Math.sin(latitude) * Math.sin(declination)) /
+      (Math.cos(latitude) * Math.cos(declination));
+    if (cosHourAngle > 1) return "below";
+    if (cosHourAngle < -1) return "above";
+
+    const hourAngle = Math.acos(cosHourAngle) * RAD_TO_DEG;
+    time = dayStart + (720 - 4 * longitude - equationOfTime + side * 4 * hourAngle) * 60000;
+  }
+  return time;
+}
+
+/**
+ * Computes the daily solar events for a calendar day and observer: sunrise, sunset,
+ * transit (solar noon), day length and civil, nautical and astronomical twilight.
+ * Sunrise and sunset are the instants the upper limb touches the apparent horizon, so the sun's
+ * centre is then one angular radius plus the horizon refraction below it.
+ * Events that do not occur (polar day or night) are null.
+ * @param {number} year - Calendar year.
+ * @param {number} dayOfYear - Day of the year (1–366).
+ * @param {number} latitude - Observer's latitude in radians (north positive).
+ * @param {number} longitude - Observer's longitude in radians (east positive).
+ * @param {{pressure: number, temperature: number}|null} [atmosphere=STANDARD_ATMOSPHERE] -
+ *        Pressure in hPa and temperature in °C for refraction, or null to ignore it.
+ * @param {string} [model=DEFAULT_SOLAR_MODEL] - Key of `SOLAR_MODELS`.
+ * @returns {{
+ *   transit: Date,
+ *   transitElevation: number,
+ *   sunrise: Date|null,
+ *   sunset: Date|null,
+ *   dayLength: number,
+ *   polar: "day"|"night"|null,
+ *   civilDawn: Date|null, civilDusk: Date|null,
+ *   nauticalDawn: Date|null, nauticalDusk: Date|null,
+ *   astronomicalDawn: Date|null, astronomicalDusk: Date|null
+ * }} Instants of the events; apparent transit elevation in degrees; day length in hours.
+ */
+export function calculateSunEvents(year, dayOfYear, latitude, longitude, atmosphere = STANDARD_ATMOSPHERE, model = DEFAULT_SOLAR_MODEL) {
+  const dayStart = Date.UTC(year, 0, dayOfYear);
+  const longitudeDeg = longitude * RAD_TO_DEG;
+
+  const transit = solarTransit(dayStart, longitudeDeg, model);
+  const { declination, distance } = solarCoordinates(toJulianDay(new Date(transit)), model);
+  const trueTransitElevation = 90 - Math.abs(latitude - declination) * RAD_TO_DEG;
+  const transitElevation = trueTransitElevation +
+    (atmosphere ? atmosphericRefraction(trueTransitElevation, atmosphere) : 0);
+  const sunriseAltitude = -(sunAngularRadius(distance) + (atmosphere ? horizonRefraction(atmosphere) : 0));
+
+  const crossing = (altitude, side) => {
+    const time = solarAltitudeCrossing(dayStart, altitude, side, latitude, longitudeDeg, model);
+    return typeof time === "number" ? new Date(time) : time;
+  };
+  const pair = (altitude) => {
+    const dawn = crossing(altitude, -1);
+    const dusk = crossing(altitude, 1);
+    return dawn instanceof Date && dusk instanceof Date ? [dawn, dusk] : [null, null, dawn];
+  };
+
+  const [sunrise, sunset, state] = pair(sunriseAltitude);
+  const [civilDawn, civilDusk] = pair(SUN_EVENT_ALTITUDES.civil);
+  const [nauticalDawn, nauticalDusk] = pair(SUN_EVENT_ALTITUDES.nautical);
+  const [astronomicalDawn, astronomicalDusk] = pair(SUN_EVENT_ALTITUDES.astronomical);
+
+  let dayLength = state === "above" ? 24 : 0;
+  if (sunrise) dayLength = (sunset.getTime() - sunrise.getTime()) / 3600000;
+
+  return {
+    transit: new Date(transit),
+    transitElevation,
+    sunrise,
+    sunset,
+    dayLength,
+    polar: state === "above" ? "day" : state === "below" ? "night" : null,
+    civilDawn,
+    civilDusk,
+    nauticalDawn,
+    nauticalDusk,
+    astronomicalDawn,
+    astronomicalDusk,
+  };
+}
 
 /**
- * Simplified equation of time in minutes.
+ * Simplified equation of time in minutes, a sum of sines over a 365-day year
+ * (see `meeusSolarCoordinates` for the precise value).
  * @param {number} dayOfYear - Day of the year (1–365).
  * @returns {number} Time correction in minutes.
  */
@@ -12,7 +517,8 @@ export function equationOfTime(dayOfYear) {
   return 9.87 * Math.sin(2 * B) - 7.53 * Math.cos(B) - 1.5 * Math.sin(B);
 }
 /**
- * Calculates the solar declination angle for a given day.
+ * Simplified solar declination for a given day, Cooper's sine formula
+ * (see `meeusSolarCoordinates` for the precise value).
  * @param {number} dayOfYear - Day of the year (1–365).
  * @returns {number} Declination angle in radians.
  */
@@ -23,6 +529,26 @@ export function solarDeclination(dayOfYear) {
     Math.sin((2 * Math.PI * (284 + dayOfYear)) / 365)
   );
 }
+/**
+ * Differences between the simplified and the Meeus solar models over a year, at noon UT.
+ * @param {number} year - Calendar year.
+ * @returns {Array<{dayOfYear: number, equationOfTime: number, declination: number}>} One entry
+ *          per day: simplified minus Meeus equation of time in seconds and declination in arcminutes.
+ */
+export function compareSolarModels(year) {
+  const days = (Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / MS_PER_DAY;
+  return Array.from({ length: days }, (_, i) => {
+    const julianDay = toJulianDay(new Date(Date.UTC(year, 0, i + 1, 12)));
+    const meeus = meeusSolarCoordinates(julianDay);
+    const simplified = simplifiedSolarCoordinates(julianDay);
+    return {
+      dayOfYear: i + 1,
+      equationOfTime: (simplified.equationOfTime - meeus.equationOfTime) * 60,
+      declination: (simplified.declination - meeus.declination) * RAD_TO_DEG * 60,
+    };
+  });
+}
+
 /**
  * Converts hour angle to azimuth angle.
  * @param {number} hourAngle - Hour angle in radians.
@@ -43,122 +569,974 @@ export function hourAngleToAzimuth(hourAngle, declination, latitude) {
   return Math.asin(sinAz);
 }
 /**
- * Calculates the angles of hour lines for a horizontal sundial.
+ * Unit vector of the style (polar axis) in world coordinates, pointing up
+ * towards the visible celestial pole. World axes: +X west, +Y up, +Z south.
+ * @param {number} latitude - Latitude in radians.
+ * @returns {number[]} [x, y, z] style direction.
+ */
+export function polarAxisDirection(latitude) {
+  const hemisphere = latitude >= 0 ? 1 : -1;
+  return [0, Math.abs(Math.sin(latitude)), -hemisphere * Math.cos(latitude)];
+}
+
+/**
+ * Angle of the horizontal-dial hour line for a given solar hour angle,
+ * from tan(θ) = sin(φ)·tan(h). The result uses the dial convention of
+ * `createHourLines`: direction (sin a, cos a) on the XZ plane, noon line
+ * pointing to the visible pole (π in the north, 0 in the south).
+ * @param {number} hourAngle - Solar hour angle in radians (negative in the morning).
+ * @param {number} latitude - Latitude in radians.
+ * @returns {number} Line angle in radians.
+ */
+export function horizontalDialLineAngle(hourAngle, latitude) {
+  const noonLine = latitude >= 0 ? Math.PI : 0;
+  return noonLine + Math.atan2(Math.sin(latitude) * Math.sin(hourAngle), Math.cos(hourAngle));
+}
+
+/**
+ * Inverse of `horizontalDialLineAngle`: solar hour angle read from a line angle.
+ * @param {number} lineAngle - Line angle in radians (dial convention).
+ * @param {number} latitude - Latitude in radians.
+ * @returns {number} Hour angle in radians, in (-π, π].
+ */
+export function horizontalDialHourAngle(lineAngle, latitude) {
+  const hemisphere = latitude >= 0 ? 1 : -1;
+  const theta = lineAngle - (latitude >= 0 ? Math.PI : 0);
+  return Math.atan2(
+    hemisphere * Math.sin(theta),
+    Math.abs(Math.sin(latitude)) * Math.cos(theta)
+  );
+}
+
+/**
+ * Calculates the angles of hour lines for a horizontal sundial with a polar style.
  * @param {number} latitude - Latitude in radians.
- * @returns {Array<{hour: number, angle: number, displayHour: number}>}
+ * @returns {Array<{hour: number, angle: number, hourAngle: number, displayHour: number}>}
  */
 export function calculateSundialHourAngles(latitude) {
   const hourAngles = [];
-  for (let hour = 6; hour <= 18; hour++) {
-
-    const hourAngle = ((hour - 6) * 15 * Math.PI) / 180 + Math.PI / 2;
+  for (let hour = HORIZONTAL_DIAL_HOURS.first; hour <= HORIZONTAL_DIAL_HOURS.last; hour++) {
+    const hourAngle = ((hour - 12) * 15 * Math.PI) / 180;
     hourAngles.push({
       hour: hour,
-      angle: hourAngle,
+      angle: horizontalDialLineAngle(hourAngle, latitude),
+      hourAngle: hourAngle,
       displayHour: hour,
     });
   }
   return hourAngles;
 }
 /**
- * Converts a day of the year to a readable date string (e.g. "21 Mar").
- * @param {number} day - Day of year (1–365).
- * @returns {string} Date string.
- */
-export function dayOfYearToDateString(day) {
-  const months = [
-    "Gen",
-    "Feb",
-    "Mar",
-    "Apr",
-    "Mag",
-    "Giu",
-    "Lug",
-    "Ago",
-    "Set",
-    "Ott",
-    "Nov",
-    "Dic",
+ * Computes the apparent time based on solar azimuth and elevation.
+ * @param {number} azimuth - Sun azimuth in degrees.
+ * @param {number} elevation - Sun elevation in degrees.
+ * @param {Object} timeConversion - Instant, equation of time, longitude and zone of the reading (see `solarToCivilTime`).
+ * @returns {DialReading} Reading of the sun as if on a dial facing south.
+ */
+export function calculateTimeFromSun(azimuth, elevation, timeConversion) {
+
+  if (elevation <= 0) return emptyReading(READING_STATUS.NIGHT);
+
+  if (azimuth > 270 || azimuth < 90) return emptyReading(READING_STATUS.SUN_NOT_VISIBLE);
+
+  let solarHour = (azimuth - 90) / 15 + 6;
+
+  return dialReading(((solarHour - 12) * Math.PI) / 12, timeConversion, HORIZONTAL_DIAL_HOURS);
+}
+
+/**
+ * Direction of the style's shadow on the dial plane, as a line angle
+ * in the convention of `calculateSundialHourAngles`.
+ * @param {number[]} lightDirection - [x, y, z] direction the light travels (y < 0).
+ * @param {number} latitude - Latitude in radians.
+ * @returns {number} Line angle in radians.
+ */
+export function shadowLineAngle(lightDirection, latitude) {
+  const style = polarAxisDirection(latitude);
+  // Project the style along the sun ray onto the ground: d = q - (q.y / s.y) * s
+  const t = style[1] / -lightDirection[1];
+  const dx = style[0] + t * lightDirection[0];
+  const dz = style[2] + t * lightDirection[2];
+  return Math.atan2(dx, dz);
+}
+
+/**
+ * Outcome of reading a time, from the sun or from a dial's shadow.
+ * @readonly
+ * @enum {string}
+ */
+export const READING_STATUS = {
+  /** A time was read; the time fields are set */
+  TIME: "time",
+  /** The sun is below the horizon */
+  NIGHT: "night",
+  /** The sun is up but does not light the dial face */
+  SUN_NOT_VISIBLE: "sunNotVisible",
+  /** The shadow falls outside the hours engraved on the dial */
+  OUT_OF_RANGE: "outOfRange",
+};
+
+/**
+ * Time read from the sun or a dial. Times are fractional hours, null unless the status is `TIME`.
+ * @typedef {Object} DialReading
+ * @property {READING_STATUS} status - Outcome of the reading.
+ * @property {number|null} hourAngle - Solar hour angle in radians, when one could be measured.
+ * @property {number|null} solarTime - Apparent solar time.
+ * @property {number|null} meanTime - Local mean time (solar time corrected by the equation of time).
+ * @property {number|null} civilTime - Civil clock time in the zone of the reading.
+ * @property {ReturnType<typeof solarToCivilTime>|null} correction - Every step of the solar → civil conversion.
+ */
+
+/**
+ * Builds a reading that carries no time.
+ * @param {READING_STATUS} status - Why no time could be read.
+ * @param {number|null} [hourAngle=null] - Hour angle measured anyway, e.g. out of the dial's range.
+ * @returns {DialReading}
+ */
+function emptyReading(status, hourAngle = null) {
+  return { status, hourAngle, solarTime: null, meanTime: null, civilTime: null, correction: null };
+}
+
+/**
+ * First and last solar hour drawn on a dial face; shadows outside them are out of range.
+ * @typedef {{first: number, last: number}} DialHours
+ */
+
+/** @type {DialHours} Hours of the horizontal dial, whose lines reach the horizon at 06 and 18 */
+const HORIZONTAL_DIAL_HOURS = { first: 6, last: 18 };
+/** @type {DialHours} Hours of the polar dial, whose 06 and 18 lines run off to infinity */
+const POLAR_DIAL_HOURS = { first: 7, last: 17 };
+/**
+ * @type {DialHours} Hours of the vertical, equatorial and analemmatic dials, which can take the
+ * summer sun before 06 and after 18; the hours their surface is never lit are left out
+ */
+const EXTENDED_DIAL_HOURS = { first: 4, last: 20 };
+
+/**
+ * Converts the solar hour angle read on a dial into solar, mean and civil time.
+ * Readings outside the hours drawn on the dial face are out of range.
+ * @param {number} hourAngle - Solar hour angle in radians.
+ * @param {Object} timeConversion - Instant, equation of time, longitude and zone of the reading (see `solarToCivilTime`).
+ * @param {DialHours} hours - Hours drawn on the dial.
+ * @returns {DialReading}
+ */
+function dialReading(hourAngle, timeConversion, hours) {
+  const solarTime = 12 + (hourAngle * 12) / Math.PI;
+  if (solarTime < hours.first || solarTime > hours.last) return emptyReading(READING_STATUS.OUT_OF_RANGE, hourAngle);
+
+  const correction = solarToCivilTime(solarTime, timeConversion);
+  return {
+    status: READING_STATUS.TIME,
+    hourAngle,
+    solarTime,
+    meanTime: correction.localMeanTime,
+    civilTime: correction.civilTime,
+    correction,
+  };
+}
+
+/**
+ * Computes the time read on the horizontal dial from the style's shadow.
+ * @param {number[]} lightDirection - [x, y, z] sun direction vector.
+ * @param {Object} timeConversion - Instant, equation of time, longitude and zone of the reading (see `solarToCivilTime`).
+ * @param {number} latitude - Observer's latitude in radians.
+ * @returns {DialReading}
+ */
+export function calculateShadowTime(lightDirection, timeConversion, latitude) {
+  if (lightDirection[1] >= -0.01) return emptyReading(READING_STATUS.NIGHT);
+
+  const lineAngle = shadowLineAngle(lightDirection, latitude);
+  return dialReading(horizontalDialHourAngle(lineAngle, latitude), timeConversion, HORIZONTAL_DIAL_HOURS);
+}
+
+/**
+ * Direction of the north celestial pole in world coordinates.
+ * @param {number} latitude - Latitude in radians.
+ * @returns {number[]} [x, y, z] unit vector.
+ */
+export function celestialPoleDirection(latitude) {
+  return [0, Math.sin(latitude), -Math.cos(latitude)];
+}
+
+/**
+ * Direction of the sun at a given hour angle on the celestial equator (declination 0).
+ * Every polar-style hour line lies in the plane spanned by this vector and the pole.
+ * @param {number} hourAngle - Solar hour angle in radians.
+ * @param {number} latitude - Latitude in radians.
+ * @returns {number[]} [x, y, z] unit vector towards the sun.
+ */
+export function equatorialSunDirection(hourAngle, latitude) {
+  const cosH = Math.cos(hourAngle);
+  return [Math.sin(hourAngle), cosH * Math.cos(latitude), cosH * Math.sin(latitude)];
+}
+
+/**
+ * Direction towards the sun for an hour angle and declination.
+ * @param {number} hourAngle - Solar hour angle in radians.
+ * @param {number} declination - Solar declination in radians.
+ * @param {number} latitude - Latitude in radians.
+ * @returns {number[]} [x, y, z] unit vector towards the sun.
+ */
+export function sunDirection(hourAngle, declination, latitude) {
+  const equator = equatorialSunDirection(hourAngle, latitude);
+  const pole = celestialPoleDirection(latitude);
+  const cosD = Math.cos(declination);
+  const sinD = Math.sin(declination);
+  return [
+    cosD * equator[0] + sinD * pole[0],
+    cosD * equator[1] + sinD * pole[1],
+    cosD * equator[2] + sinD * pole[2],
+  ];
+}
+
+/**
+ * Direction towards a point of the sky given in horizontal coordinates.
+ * @param {number} azimuth - Azimuth in degrees, from north through east.
+ * @param {number} elevation - Elevation in degrees.
+ * @returns {number[]} [x, y, z] unit vector.
+ */
+export function horizontalToDirection(azimuth, elevation) {
+  const azimuthRad = (azimuth * Math.PI) / 180;
+  const elevationRad = (elevation * Math.PI) / 180;
+  return [
+    -Math.sin(azimuthRad) * Math.cos(elevationRad),
+    Math.sin(elevationRad),
+    -Math.cos(azimuthRad) * Math.cos(elevationRad),
   ];
-  const daysInMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+}
+
+/**
+ * Horizontal coordinates of a direction, the inverse of `horizontalToDirection`.
+ * @param {number[]} direction - [x, y, z] unit vector.
+ * @returns {{azimuth: number, elevation: number}} Degrees; azimuth from north through east, in [0, 360).
+ */
+export function directionToHorizontal(direction) {
+  const azimuth = (Math.atan2(-direction[0], -direction[2]) * 180) / Math.PI;
+  return {
+    azimuth: (azimuth + 360) % 360,
+    elevation: (Math.asin(Math.max(-1, Math.min(1, direction[1]))) * 180) / Math.PI,
+  };
+}
+
+/**
+ * Path of the sun across the sky on a day of constant declination, above the geometric horizon.
+ * @param {number} declination - Solar declination in radians.
+ * @param {number} latitude - Latitude in radians.
+ * @param {number} [steps=144] - Samples over the 24 hours.
+ * @returns {Array<Array<{hourAngle: number, azimuth: number, elevation: number}>>} Arcs in order
+ *          of increasing hour angle (a single closed-over-midnight arc is split at midnight).
+ */
+export function calculateDiurnalArc(declination, latitude, steps = 144) {
+  const arcs = [];
+  let current = [];
+  for (let step = 0; step <= steps; step++) {
+    const hourAngle = -Math.PI + (2 * Math.PI * step) / steps;
+    const position = directionToHorizontal(sunDirection(hourAngle, declination, latitude));
+    if (position.elevation >= 0) {
+      current.push({ hourAngle, ...position });
+    } else if (current.length) {
+      arcs.push(current);
+      current = [];
+    }
+  }
+  if (current.length) arcs.push(current);
+  return arcs.filter((arc) => arc.length > 1);
+}
+
+/**
+ * Recovers the solar hour angle from the direction of a polar style's shadow on any dial.
+ * The shadow lies in the sun's hour plane, on the side opposite to the sun.
+ * @param {number[]} shadowDirection - [x, y, z] direction of the shadow line.
+ * @param {number} latitude - Latitude in radians.
+ * @returns {number} Hour angle in radians, in (-π, π].
+ */
+export function hourAngleFromShadowDirection(shadowDirection, latitude) {
+  const pole = celestialPoleDirection(latitude);
+  const along = dot(shadowDirection, pole);
+  // Component in the equatorial plane, pointing towards the sun's hour circle
+  const equator = shadowDirection.map((c, i) => along * pole[i] - c);
+  return Math.atan2(
+    dot(equator, equatorialSunDirection(Math.PI / 2, latitude)),
+    dot(equator, equatorialSunDirection(0, latitude))
+  );
+}
+
+/**
+ * Orientation of a vertical wall dial. The declination is the rotation of the wall
+ * normal away from the equator-facing direction, positive towards west.
+ * @param {number} latitude - Latitude in radians.
+ * @param {number} declination - Wall declination in radians.
+ * @returns {{normal: number[], right: number[], up: number[]}} Outward normal, horizontal
+ *          axis to the right of someone facing the wall, and the vertical.
+ */
+export function wallDialFrame(latitude, declination) {
+  const facing = latitude >= 0 ? Math.PI + declination : -declination;
+  const normal = [-Math.sin(facing), 0, -Math.cos(facing)];
+  const up = [0, 1, 0];
+  return { normal, right: cross(normal, up), up };
+}
+
+/**
+ * Style of a wall dial: parallel to the polar axis, pointing out of the wall.
+ * @param {number} latitude - Latitude in radians.
+ * @param {number} declination - Wall declination in radians.
+ * @returns {number[]} [x, y, z] unit vector.
+ */
+export function wallStyleDirection(latitude, declination) {
+  const pole = celestialPoleDirection(latitude);
+  const { normal } = wallDialFrame(latitude, declination);
+  return dot(pole, normal) >= 0 ? pole : pole.map((c) => -c);
+}
+
+/**
+ * Angle of a vertical (declining) dial hour line, measured on the wall from the
+ * downward vertical, positive towards the `right` axis of `wallDialFrame`.
+ * The line is the intersection of the wall with the sun's hour plane.
+ * @param {number} hourAngle - Solar hour angle in radians.
+ * @param {number} latitude - Latitude in radians.
+ * @param {number} declination - Wall declination in radians.
+ * @returns {number} Line angle in radians.
+ */
+export function verticalDialLineAngle(hourAngle, latitude, declination) {
+  const { normal, right } = wallDialFrame(latitude, declination);
+  const sun = equatorialSunDirection(hourAngle, latitude);
+  let line = cross(normal, cross(celestialPoleDirection(latitude), sun));
+  // Keep the half-line on which the shadow falls (away from the sun)
+  if (dot(line, sun) > 0) line = line.map((c) => -c);
+  return Math.atan2(dot(line, right), -line[1]);
+}
 
-  let month = 0;
-  let dayInMonth = day;
+/**
+ * Inverse of `verticalDialLineAngle`.
+ * @param {number} lineAngle - Line angle on the wall in radians.
+ * @param {number} latitude - Latitude in radians.
+ * @param {number} declination - Wall declination in radians.
+ * @returns {number} Hour angle in radians.
+ */
+export function verticalDialHourAngle(lineAngle, latitude, declination) {
+  const { right } = wallDialFrame(latitude, declination);
+  const sin = Math.sin(lineAngle);
+  const cos = Math.cos(lineAngle);
+  const line = [sin * right[0], sin * right[1] - cos, sin * right[2]];
+  return hourAngleFromShadowDirection(line, latitude);
+}
 
-  while (dayInMonth > daysInMonth[month]) {
-    dayInMonth -= daysInMonth[month];
-    month++;
+/**
+ * Whether the sun can shine on a dial surface at a given hour on some day of the year.
+ * @param {number} hourAngle - Solar hour angle in radians.
+ * @param {number} latitude - Latitude in radians.
+ * @param {number[]} normal - Outward surface normal.
+ * @returns {boolean}
+ */
+function surfaceCanBeLit(hourAngle, latitude, normal) {
+  const solstice = (23.44 * Math.PI) / 180;
+  for (let step = -2; step <= 2; step++) {
+    const sun = sunDirection(hourAngle, (solstice * step) / 2, latitude);
+    if (sun[1] > 0 && dot(sun, normal) > 0.02) return true;
   }
+  return false;
+}
 
-  return `${dayInMonth} ${months[month]}`;
+/**
+ * Calculates the hour lines of a vertical (declining) wall dial with a polar style.
+ * Hours at which the sun never reaches the wall are omitted.
+ * @param {number} latitude - Latitude in radians.
+ * @param {number} declination - Wall declination in radians.
+ * @returns {Array<{hour: number, angle: number, hourAngle: number, displayHour: number}>}
+ */
+export function calculateVerticalDialHourAngles(latitude, declination) {
+  const { normal } = wallDialFrame(latitude, declination);
+  const hourAngles = [];
+  for (let hour = EXTENDED_DIAL_HOURS.first; hour <= EXTENDED_DIAL_HOURS.last; hour++) {
+    const hourAngle = ((hour - 12) * 15 * Math.PI) / 180;
+    if (!surfaceCanBeLit(hourAngle, latitude, normal)) continue;
+    hourAngles.push({
+      hour: hour,
+      angle: verticalDialLineAngle(hourAngle, latitude, declination),
+      hourAngle: hourAngle,
+      displayHour: hour,
+    });
+  }
+  return hourAngles;
 }
 
 /**
- * Computes the apparent time based on solar azimuth and elevation.
- * @param {number} azimuth - Sun azimuth in degrees.
- * @param {number} elevation - Sun elevation in degrees.
- * @param {number} dayOfYear - Day of year (1–365).
- * @returns {string} Time string or message ("Night", "Sun not visible", etc.)
+ * Computes the time read on a vertical wall dial from the style's shadow.
+ * @param {number[]} lightDirection - [x, y, z] sun direction vector.
+ * @param {Object} timeConversion - Instant, equation of time, longitude and zone of the reading (see `solarToCivilTime`).
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} declination - Wall declination in radians.
+ * @returns {DialReading}
  */
-export function calculateTimeFromSun(azimuth, elevation, dayOfYear) {
+export function calculateVerticalShadowTime(lightDirection, timeConversion, latitude, declination) {
+  if (lightDirection[1] >= -0.01) return emptyReading(READING_STATUS.NIGHT);
 
-  if (elevation <= 0) return "Notte";
+  const { normal, right } = wallDialFrame(latitude, declination);
+  const sun = lightDirection.map((c) => -c);
+  const facing = dot(sun, normal);
+  if (facing <= 0.01) return emptyReading(READING_STATUS.SUN_NOT_VISIBLE);
 
-  if (azimuth > 270 || azimuth < 90) return "Sole non visibile";
+  // Shadow of the style on the wall: d = q - (n.q / n.s) * s
+  const style = wallStyleDirection(latitude, declination);
+  const k = dot(style, normal) / facing;
+  const shadow = style.map((c, i) => c - k * sun[i]);
+  const lineAngle = Math.atan2(dot(shadow, right), -shadow[1]);
 
-  let solarHour = (azimuth - 90) / 15 + 6;
+  return dialReading(verticalDialHourAngle(lineAngle, latitude, declination), timeConversion, EXTENDED_DIAL_HOURS);
+}
+
+
+/**
+ * Orientation of an equatorial dial plate, parallel to the celestial equator.
+ * @param {number} latitude - Latitude in radians.
+ * @returns {{normal: number[], meridian: number[], west: number[]}} Normal of the upper face
+ *          (towards the visible pole), and the in-plate directions of the noon sun and of west.
+ */
+export function equatorialDialFrame(latitude) {
+  return {
+    normal: polarAxisDirection(latitude),
+    meridian: equatorialSunDirection(0, latitude),
+    west: equatorialSunDirection(Math.PI / 2, latitude),
+  };
+}
+
+/**
+ * Calculates the hour lines of an equatorial dial: uniformly spaced every 15°, since the
+ * plate turns with the sky. The angle is measured on the plate from the noon line towards
+ * the west, so the line direction is -(cos a · meridian + sin a · west).
+ * Hours at which the sun never rises are omitted.
+ * @param {number} latitude - Latitude in radians.
+ * @returns {Array<{hour: number, angle: number, hourAngle: number, displayHour: number}>}
+ */
+export function calculateEquatorialDialHourAngles(latitude) {
+  const hourAngles = [];
+  for (let hour = EXTENDED_DIAL_HOURS.first; hour <= EXTENDED_DIAL_HOURS.last; hour++) {
+    const hourAngle = ((hour - 12) * 15 * Math.PI) / 180;
+    if (!surfaceCanBeLit(hourAngle, latitude, [0, 1, 0])) continue;
+    hourAngles.push({
+      hour: hour,
+      angle: hourAngle,
+      hourAngle: hourAngle,
+      displayHour: hour,
+    });
+  }
+  return hourAngles;
+}
+
+/**
+ * Computes the time read on an equatorial dial. The sun lights the upper face from the
+ * spring to the autumn equinox and the lower face for the rest of the year; around the
+ * equinoxes it grazes the plate and no shadow can be read.
+ * @param {number[]} lightDirection - [x, y, z] sun direction vector.
+ * @param {Object} timeConversion - Instant, equation of time, longitude and zone of the reading (see `solarToCivilTime`).
+ * @param {number} latitude - Observer's latitude in radians.
+ * @returns {DialReading}
+ */
+export function calculateEquatorialShadowTime(lightDirection, timeConversion, latitude) {
+  if (lightDirection[1] >= -0.01) return emptyReading(READING_STATUS.NIGHT);
+
+  const { normal, meridian, west } = equatorialDialFrame(latitude);
+  const sun = lightDirection.map((c) => -c);
+  const facing = dot(sun, normal);
+  if (Math.abs(facing) <= 0.01) return emptyReading(READING_STATUS.SUN_NOT_VISIBLE);
+
+  // The style is perpendicular to the plate, so its shadow is the sun's
+  // direction projected on the plate, reversed
+  const shadow = sun.map((c, i) => facing * normal[i] - c);
+  const lineAngle = Math.atan2(-dot(shadow, west), -dot(shadow, meridian));
+
+  return dialReading(lineAngle, timeConversion, EXTENDED_DIAL_HOURS);
+}
+
+/**
+ * Orientation of a polar dial plate, parallel to the Earth's axis and facing the noon sun.
+ * @param {number} latitude - Latitude in radians.
+ * @returns {{normal: number[], west: number[], along: number[]}} Plate normal, the in-plate
+ *          east-west axis (towards west) and the in-plate direction of the polar axis.
+ */
+export function polarDialFrame(latitude) {
+  return {
+    normal: equatorialSunDirection(0, latitude),
+    west: equatorialSunDirection(Math.PI / 2, latitude),
+    along: polarAxisDirection(latitude),
+  };
+}
+
+/**
+ * Calculates the hour lines of a polar dial. They are parallel to the style, offset
+ * along the plate's west axis by -H·tan(h) for a style at height H above the plate.
+ * Hours whose lines run off towards infinity, or when the plate is never lit, are omitted.
+ * @param {number} latitude - Latitude in radians.
+ * @param {number} styleHeight - Height of the style above the plate.
+ * @returns {Array<{hour: number, offset: number, hourAngle: number, displayHour: number}>}
+ */
+export function calculatePolarDialHourLines(latitude, styleHeight) {
+  const { normal } = polarDialFrame(latitude);
+  const lines = [];
+  for (let hour = POLAR_DIAL_HOURS.first; hour <= POLAR_DIAL_HOURS.last; hour++) {
+    const hourAngle = ((hour - 12) * 15 * Math.PI) / 180;
+    if (!surfaceCanBeLit(hourAngle, latitude, normal)) continue;
+    lines.push({
+      hour: hour,
+      offset: -styleHeight * Math.tan(hourAngle),
+      hourAngle: hourAngle,
+      displayHour: hour,
+    });
+  }
+  return lines;
+}
+
+/**
+ * Computes the time read on a polar dial from the offset of the style's shadow.
+ * @param {number[]} lightDirection - [x, y, z] sun direction vector.
+ * @param {Object} timeConversion - Instant, equation of time, longitude and zone of the reading (see `solarToCivilTime`).
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} styleHeight - Height of the style above the plate.
+ * @returns {DialReading}
+ */
+export function calculatePolarShadowTime(lightDirection, timeConversion, latitude, styleHeight) {
+  if (lightDirection[1] >= -0.01) return emptyReading(READING_STATUS.NIGHT);
 
+  const { normal, west } = polarDialFrame(latitude);
+  const sun = lightDirection.map((c) => -c);
+  const facing = dot(sun, normal);
+  if (facing <= 0.01) return emptyReading(READING_STATUS.SUN_NOT_VISIBLE);
 
-  const eot = equationOfTime(dayOfYear);
-  const civilTime = solarHour - eot / 60;
+  // Follow the ray through the style back to the plate
+  const offset = (-styleHeight * dot(sun, west)) / facing;
+  return dialReading(Math.atan2(-offset, styleHeight), timeConversion, POLAR_DIAL_HOURS);
+}
 
-  const hours = Math.floor(civilTime);
-  const minutes = Math.floor((civilTime - hours) * 60);
 
-  if (hours < 6 || hours > 17) return "Fuori orario";
+/**
+ * Solar declination at noon UTC of a given day, for placing date-dependent gnomons.
+ * @param {number} year - Calendar year.
+ * @param {number} dayOfYear - Day of the year (1–366).
+ * @param {string} [model=DEFAULT_SOLAR_MODEL] - Key of `SOLAR_MODELS`.
+ * @returns {number} Declination in radians.
+ */
+export function solarDeclinationOnDay(year, dayOfYear, model = DEFAULT_SOLAR_MODEL) {
+  return solarCoordinates(toJulianDay(new Date(Date.UTC(year, 0, dayOfYear, 12))), model).declination;
+}
 
-  return `${hours.toString().padStart(2, "0")}:${minutes
-    .toString()
-    .padStart(2, "0")}`;
+/**
+ * Ground position of an hour point on an analemmatic dial centred at the origin.
+ * The points lie on an ellipse with semi-major axis M east–west and M·sin(φ) north–south.
+ * @param {number} hourAngle - Solar hour angle in radians.
+ * @param {number} latitude - Latitude in radians.
+ * @param {number} semiMajor - Semi-major axis M of the ellipse.
+ * @returns {number[]} [x, z] world coordinates (x towards west, z towards south).
+ */
+export function analemmaticHourPoint(hourAngle, latitude, semiMajor) {
+  return [-semiMajor * Math.sin(hourAngle), -semiMajor * Math.sin(latitude) * Math.cos(hourAngle)];
 }
 
 /**
- * Computes the time based on the shadow direction.
+ * Position of the vertical gnomon on the date scale of an analemmatic dial,
+ * along the north–south minor axis: M·tan(δ)·cos(φ) towards north.
+ * @param {number} declination - Solar declination in radians.
+ * @param {number} latitude - Latitude in radians.
+ * @param {number} semiMajor - Semi-major axis M of the ellipse.
+ * @returns {number} World z coordinate of the gnomon foot.
+ */
+export function analemmaticGnomonOffset(declination, latitude, semiMajor) {
+  return -semiMajor * Math.tan(declination) * Math.cos(latitude);
+}
+
+/**
+ * Calculates the hour points of an analemmatic dial.
+ * Hours at which the sun is below the horizon all year are omitted.
+ * @param {number} latitude - Latitude in radians.
+ * @param {number} semiMajor - Semi-major axis M of the ellipse.
+ * @returns {Array<{hour: number, position: number[], hourAngle: number, displayHour: number}>}
+ */
+export function calculateAnalemmaticHourPoints(latitude, semiMajor) {
+  const points = [];
+  for (let hour = EXTENDED_DIAL_HOURS.first; hour <= EXTENDED_DIAL_HOURS.last; hour++) {
+    const hourAngle = ((hour - 12) * 15 * Math.PI) / 180;
+    if (!surfaceCanBeLit(hourAngle, latitude, [0, 1, 0])) continue;
+    const [x, z] = analemmaticHourPoint(hourAngle, latitude, semiMajor);
+    points.push({
+      hour: hour,
+      position: [x, 0, z],
+      hourAngle: hourAngle,
+      displayHour: hour,
+    });
+  }
+  return points;
+}
+
+/**
+ * Computes the time read on an analemmatic dial: the point where the shadow of the
+ * vertical gnomon, standing at its date position, crosses the ellipse of hour points.
+ * The shadow line meets the ellipse twice; when |δ| > |φ| the gnomon stands outside the
+ * ellipse and either crossing can be the hour point, so the one whose hour angle agrees
+ * with the sun's is read. On the equator the ellipse flattens into a line and nothing can be read.
  * @param {number[]} lightDirection - [x, y, z] sun direction vector.
- * @param {number} dayOfYear - Day of year (1–365).
- * @returns {string} Time string or "Night"/"Out of range".
+ * @param {Object} timeConversion - Instant, equation of time, longitude and zone of the reading (see `solarToCivilTime`).
+ * @param {number} latitude - Observer's latitude in radians.
+ * @param {number} semiMajor - Semi-major axis M of the ellipse.
+ * @param {number} gnomonOffset - World z coordinate of the gnomon foot.
+ * @returns {DialReading}
  */
-export function calculateShadowTime(lightDirection, dayOfYear) {
-  if (lightDirection[1] >= -0.01) return "Notte";
+export function calculateAnalemmaticShadowTime(lightDirection, timeConversion, latitude, semiMajor, gnomonOffset) {
+  if (lightDirection[1] >= -0.01) return emptyReading(READING_STATUS.NIGHT);
+
+  const semiMinor = semiMajor * Math.abs(Math.sin(latitude));
+  if (semiMinor < 1e-6 * semiMajor) return emptyReading(READING_STATUS.OUT_OF_RANGE);
 
- 
-  const shadowAngle = Math.atan2(lightDirection[0], -lightDirection[2]);
+  // Shadow line z(t) = z0 + t·dz, x(t) = t·dx, scaled so the ellipse becomes the unit circle
+  const dx = lightDirection[0] / semiMajor;
+  const dz = lightDirection[2] / semiMinor;
+  const z0 = gnomonOffset / semiMinor;
 
+  const a = dx * dx + dz * dz;
+  const b = 2 * z0 * dz;
+  const c = z0 * z0 - 1;
+  const discriminant = b * b - 4 * a * c;
+  if (a < 1e-12 || discriminant < 0) return emptyReading(READING_STATUS.OUT_OF_RANGE);
 
-  const hourAngles = calculateSundialHourAngles(ROME_LATITUDE);
-  let closestHour = 12;
-  let minDiff = Math.PI;
+  // Hour angle of the sun itself, from its west and equatorial-meridian components
+  const sun = lightDirection.map((c) => -c);
+  const sunHourAngle = Math.atan2(sun[0], sun[1] * Math.cos(latitude) + sun[2] * Math.sin(latitude));
+  const hourAngles = [1, -1].map((sign) => {
+    const t = (-b + sign * Math.sqrt(discriminant)) / (2 * a);
+    const x = t * lightDirection[0];
+    const z = gnomonOffset + t * lightDirection[2];
+    return Math.atan2(-x / semiMajor, -z / (semiMajor * Math.sin(latitude)));
+  });
+  const mismatch = (hourAngle) => Math.abs(Math.atan2(Math.sin(hourAngle - sunHourAngle), Math.cos(hourAngle - sunHourAngle)));
+  const hourAngle = mismatch(hourAngles[0]) <= mismatch(hourAngles[1]) ? hourAngles[0] : hourAngles[1];
+  return dialReading(hourAngle, timeConversion, EXTENDED_DIAL_HOURS);
+}
+
+/** Obliquity of the ecliptic used for the date lines, in radians. */
+const OBLIQUITY = (23.44 * Math.PI) / 180;
+
+/**
+ * Date lines engraved on dials: one per distinct declination of the sun's entry into a
+ * zodiac sign. Each sign pair shares a line (e.g. Taurus and Virgo); the solstices and the
+ * equinoxes fall on the Cancer/Capricorn and Aries/Libra entries.
+ * @returns {Array<{declination: number, signs: string[], event: string|null}>} Declinations in
+ *          radians, from the June solstice to the December solstice. `event` names the
+ *          solstice or equinox on the line ("juneSolstice", "equinoxes", "decemberSolstice").
+ */
+export function calculateDateLineDeclinations() {
+  const signs = ["♈", "♉", "♊", "♋", "♌", "♍", "♎", "♏", "♐", "♑", "♒", "♓"];
+  const events = { 0: "equinoxes", 3: "juneSolstice", 9: "decemberSolstice" };
+  const lines = [];
+  for (let sign = 3; sign >= -3; sign--) {
+    // Signs at ecliptic longitude 30°·k share their declination with 180° - 30°·k
+    const first = (sign + 12) % 12;
+    const second = (6 - sign + 12) % 12;
+    const symbols = first === second ? [signs[first]] : [signs[first], signs[second]];
+    lines.push({
+      declination: Math.asin(Math.sin(OBLIQUITY) * Math.sin((sign * Math.PI) / 6)),
+      signs: symbols,
+      event: events[first] || events[second] || null,
+    });
+  }
+  return lines;
+}
+
+/**
+ * Projects a nodus' shadow onto a dial plane.
+ * @param {number[]} nodus - Shadow-casting point (e.g. the style tip).
+ * @param {number[]} planePoint - A point of the dial plane.
+ * @param {number[]} planeNormal - Unit outward normal of the dial plane.
+ * @param {number[]} sun - Unit vector towards the sun.
+ * @returns {number[]|null} Shadow-tip position, or null when the sun is below the horizon
+ *          or behind the plane.
+ */
+export function projectShadowTip(nodus, planePoint, planeNormal, sun) {
+  const facing = dot(sun, planeNormal);
+  if (sun[1] <= 0.01 || facing <= 0.01) return null;
+  const height = dot(nodus.map((c, k) => c - planePoint[k]), planeNormal);
+  return nodus.map((c, k) => c - (sun[k] * height) / facing);
+}
 
-  hourAngles.forEach((hourData) => {
-    const diff = Math.abs(shadowAngle - hourData.angle);
-    if (diff < minDiff) {
-      minDiff = diff;
-      closestHour = hourData.hour;
+/**
+ * Projects a nodus' shadow onto a dial plane for a sequence of sun directions.
+ * Only points lit from the front of the plane, with the sun above the horizon and within
+ * `maxDistance` of the plane point are kept; the path is split where it leaves that region.
+ * @param {number[]} nodus - Shadow-casting point (e.g. the style tip).
+ * @param {number[]} planePoint - A point of the dial plane.
+ * @param {number[]} planeNormal - Unit outward normal of the dial plane.
+ * @param {Array<number[]|null>} sunDirections - Unit vectors towards the sun, in path order;
+ *        null marks a sun that does not exist (e.g. an hour that never occurs that day).
+ * @param {number} maxDistance - Clipping radius around `planePoint`.
+ * @param {boolean} [closed=false] - Whether the sequence wraps around (the last direction
+ *        is followed by the first), as over a year.
+ * @returns {number[][][]} Polylines of shadow-tip positions.
+ */
+function traceShadowTip(nodus, planePoint, planeNormal, sunDirections, maxDistance, closed = false) {
+  const curves = [];
+  let current = [];
+
+  sunDirections.forEach((sun, index) => {
+    let point = sun && projectShadowTip(nodus, planePoint, planeNormal, sun);
+    if (point) {
+      const offset = point.map((c, k) => c - planePoint[k]);
+      if (Math.sqrt(dot(offset, offset)) > maxDistance) point = null;
+    }
+    if (point) {
+      current.push(point);
+    } else if (current.length || index === 0) {
+      curves.push(current);
+      current = [];
     }
   });
 
+  if (closed && current.length === sunDirections.length) {
+    current.push(current[0]);
+  } else if (closed && current.length && curves.length && curves[0].length) {
+    // Both ends of the sequence are visible: join across the wrap-around
+    curves[0] = current.concat(curves[0]);
+    current = [];
+  }
+  if (current.length) curves.push(current);
+  return curves.filter((curve) => curve.length > 1);
+}
 
-  const exactHour = 12 - (shadowAngle * 6) / (Math.PI / 2);
+/**
+ * Traces the path of a nodus' shadow on a dial plane over one day of constant declination.
+ * @param {number[]} nodus - Shadow-casting point (e.g. the style tip).
+ * @param {number[]} planePoint - A point of the dial plane.
+ * @param {number[]} planeNormal - Unit outward normal of the dial plane.
+ * @param {number} declination - Solar declination in radians.
+ * @param {number} latitude - Latitude in radians.
+ * @param {number} maxDistance - Clipping radius around `planePoint`.
+ * @returns {number[][][]} Polylines of shadow-tip positions, in order of increasing hour angle.
+ */
+export function calculateDeclinationCurve(nodus, planePoint, planeNormal, declination, latitude, maxDistance) {
+  const suns = [];
+  for (let step = -180; step <= 180; step += 1) {
+    suns.push(sunDirection((step * Math.PI) / 180, declination, latitude));
+  }
+  return traceShadowTip(nodus, planePoint, planeNormal, suns, maxDistance);
+}
 
-  const eot = equationOfTime(dayOfYear);
-  const civilTime = exactHour - eot / 60;
+/** Year whose sun draws the analemmas; the figure shifts by seconds from one year to the next. */
+const ANALEMMA_YEAR = 2025;
 
-  const hours = Math.floor(civilTime);
-  const minutes = Math.floor((civilTime - hours) * 60);
+/**
+ * Traces the analemma of a nodus' shadow: its position at a fixed local mean time over a year.
+ * The apparent solar time differs from the mean time by the equation of time, the height of
+ * the loop follows the declination, both from the given solar model over `ANALEMMA_YEAR`.
+ * A loop that stays on the dial all year is closed.
+ * @param {number[]} nodus - Shadow-casting point (e.g. the style tip).
+ * @param {number[]} planePoint - A point of the dial plane.
+ * @param {number[]} planeNormal - Unit outward normal of the dial plane.
+ * @param {number} meanHour - Local mean time in hours (e.g. 12 for the noon figure-eight).
+ * @param {number} latitude - Latitude in radians.
+ * @param {number} maxDistance - Clipping radius around `planePoint`.
+ * @param {string} [model=DEFAULT_SOLAR_MODEL] - Key of `SOLAR_MODELS`.
+ * @returns {number[][][]} Polylines of shadow-tip positions, in order of day of year.
+ */
+export function calculateAnalemmaCurve(nodus, planePoint, planeNormal, meanHour, latitude, maxDistance, model = DEFAULT_SOLAR_MODEL) {
+  const suns = [];
+  for (let day = 1; day <= 365; day += 2) {
+    const { declination, equationOfTime } = solarCoordinates(toJulianDay(new Date(Date.UTC(ANALEMMA_YEAR, 0, day, 12))), model);
+    const apparentHour = meanHour + equationOfTime / 60;
+    suns.push(sunDirection(((apparentHour - 12) * Math.PI) / 12, declination, latitude));
+  }
+  return traceShadowTip(nodus, planePoint, planeNormal, suns, maxDistance, true);
+}
 
-  if (hours < 6 || hours > 17) return "Fuori orario"; // Estendi fino alle 20
+/**
+ * Hour systems of historical dials besides the equal hours counted from noon:
+ * - `italic`: equal hours since the last sunset (the Italian "ore italiche"),
+ * - `babylonian`: equal hours since the last sunrise,
+ * - `temporary`: unequal (planetary) hours, the daylight split into twelve parts.
+ * Sunrise and sunset are taken on the geometric horizon, as on the dials themselves.
+ */
+export const HOUR_SYSTEMS = ["italic", "babylonian", "temporary"];
+
+/**
+ * Half the length of the day as an hour angle: the sun sets at +H0 and rises at -H0.
+ * @param {number} declination - Solar declination in radians.
+ * @param {number} latitude - Latitude in radians.
+ * @returns {number|null} H0 in radians, or null when the sun does not rise or set.
+ */
+function semiDiurnalArc(declination, latitude) {
+  const cosArc = -Math.tan(latitude) * Math.tan(declination);
+  if (cosArc < -1 || cosArc > 1) return null;
+  return Math.acos(cosArc);
+}
+
+/**
+ * Hour angle at which a given hour of a historical system begins on a day of given declination.
+ * @param {string} system - One of `HOUR_SYSTEMS`.
+ * @param {number} hour - Hour of the system: 1–23 for Italic and Babylonian hours,
+ *        1–11 for the boundaries between temporary hours.
+ * @param {number} declination - Solar declination in radians.
+ * @param {number} latitude - Latitude in radians.
+ * @returns {number|null} Hour angle in radians, or null when the sun does not rise and set.
+ */
+export function hourSystemHourAngle(system, hour, declination, latitude) {
+  const arc = semiDiurnalArc(declination, latitude);
+  if (arc === null) return null;
+  const step = Math.PI / 12;
+  if (system === "italic") return hour * step - 2 * Math.PI + arc;
+  if (system === "babylonian") return hour * step - arc;
+  return arc * (hour / 6 - 1);
+}
+
+/**
+ * Traces a line of a historical hour system: the nodus' shadow at the same hour of the
+ * system through the year, from the December to the June solstice. On a plane dial the
+ * Italic and Babylonian lines are straight, the temporary ones nearly so.
+ * @param {number[]} nodus - Shadow-casting point (e.g. the style tip).
+ * @param {number[]} planePoint - A point of the dial plane.
+ * @param {number[]} planeNormal - Unit outward normal of the dial plane.
+ * @param {string} system - One of `HOUR_SYSTEMS`.
+ * @param {number} hour - Hour of the system (see `hourSystemHourAngle`).
+ * @param {number} latitude - Latitude in radians.
+ * @param {number} maxDistance - Clipping radius around `planePoint`.
+ * @returns {number[][][]} Polylines of shadow-tip positions, in order of increasing declination.
+ */
+export function calculateHourSystemCurve(nodus, planePoint, planeNormal, system, hour, latitude, maxDistance) {
+  const suns = [];
+  for (let step = -24; step <= 24; step++) {
+    const declination = (OBLIQUITY * step) / 24;
+    const hourAngle = hourSystemHourAngle(system, hour, declination, latitude);
+    suns.push(hourAngle === null ? null : sunDirection(hourAngle, declination, latitude));
+  }
+  return traceShadowTip(nodus, planePoint, planeNormal, suns, maxDistance);
+}
+
+/**
+ * Current time in each historical hour system.
+ * @param {number} solarTime - Apparent solar time in hours.
+ * @param {number} declination - Solar declination in radians.
+ * @param {number} latitude - Latitude in radians.
+ * @returns {{
+ *   italic: number|null,
+ *   babylonian: number|null,
+ *   temporary: {hour: number, daytime: boolean}|null
+ * }} Hours elapsed since sunset and since sunrise, and the temporary hour elapsed in the
+ *   current day or night (0–12); null while the sun neither rises nor sets.
+ */
+export function calculateHourSystemTimes(solarTime, declination, latitude) {
+  const arc = semiDiurnalArc(declination, latitude);
+  if (arc === null) return { italic: null, babylonian: null, temporary: null };
+
+  const halfDay = (arc * 12) / Math.PI;
+  const sinceSunrise = wrap(solarTime - (12 - halfDay), 24);
+  const sinceSunset = wrap(solarTime - (12 + halfDay), 24);
+  const daytime = sinceSunrise < 2 * halfDay;
+  return {
+    italic: sinceSunset,
+    babylonian: sinceSunrise,
+    temporary: daytime
+      ? { hour: sinceSunrise / ((2 * halfDay) / 12), daytime }
+      : { hour: sinceSunset / ((24 - 2 * halfDay) / 12), daytime },
+  };
+}
+
+/**
+ * Sun direction that casts the shadow of a horizontal dial's style tip onto a ground point,
+ * expressed as equatorial coordinates.
+ * @param {number[]} nodus - Style tip in world coordinates.
+ * @param {number[]} tip - [x, z] ground position of the shadow tip.
+ * @param {number} latitude - Latitude in radians.
+ * @returns {{hourAngle: number, declination: number}} Angles in radians.
+ */
+function equatorialFromShadowTip(nodus, tip, latitude) {
+  const toSun = [nodus[0] - tip[0], nodus[1], nodus[2] - tip[1]];
+  const length = Math.sqrt(dot(toSun, toSun));
+  const sun = toSun.map((c) => c / length);
+  return {
+    hourAngle: Math.atan2(
+      dot(sun, equatorialSunDirection(Math.PI / 2, latitude)),
+      dot(sun, equatorialSunDirection(0, latitude))
+    ),
+    declination: Math.asin(Math.max(-1, Math.min(1, dot(sun, celestialPoleDirection(latitude))))),
+  };
+}
+
+/**
+ * Inverse of the horizontal dial: finds when the tip of the polar style casts its shadow
+ * on a given ground point. The hour angle fixes the apparent solar time, the declination
+ * the two days of the year (before and after the solstice) on which the sun reaches it.
+ *
+ * Uncertainties follow from moving the tip by `tolerance` in each direction. A date is
+ * reported as the run of days whose declination stays within that range, so it widens
+ * towards the solstices. Near the equinox line the tip cannot be placed on either side
+ * of it, and the sun's hemisphere (spring/summer or autumn/winter half) is undetermined.
+ *
+ * @param {number[]} tip - [x, z] ground position of the shadow tip (x towards west, z towards south).
+ * @param {number} gnomonHeight - Height of the style tip above the dial.
+ * @param {number} latitude - Latitude in radians.
+ * @param {number} year - Calendar year of the candidate dates.
+ * @param {string} [model=DEFAULT_SOLAR_MODEL] - Key of `SOLAR_MODELS` giving the declination of each date.
+ * @param {number} [tolerance=0.05] - Uncertainty of the tip position, in world units.
+ * @returns {{
+ *   hourAngle: number,
+ *   apparentSolarTime: number,
+ *   declination: number,
+ *   timeUncertainty: number,
+ *   declinationUncertainty: number,
+ *   nearEquinox: boolean,
+ *   dates: Array<{dayOfYear: number, uncertainty: number}>
+ * }|null} Angles in radians, solar time in hours, time uncertainty in minutes, date
+ *   uncertainty in days; no dates when the point lies beyond the solstice curves,
+ *   null when the style has no height.
+ */
+export function solveShadowTip(tip, gnomonHeight, latitude, year, model = DEFAULT_SOLAR_MODEL, tolerance = 0.05) {
+  const sinLatitude = Math.abs(Math.sin(latitude));
+  if (gnomonHeight <= 0 || sinLatitude < 1e-3) return null;
+
+  const nodus = polarAxisDirection(latitude).map((c) => (c * gnomonHeight) / sinLatitude);
+  const { hourAngle, declination } = equatorialFromShadowTip(nodus, tip, latitude);
+
+  let timeUncertainty = 0;
+  let declinationUncertainty = 0;
+  [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dz]) => {
+    const moved = equatorialFromShadowTip(nodus, [tip[0] + dx * tolerance, tip[1] + dz * tolerance], latitude);
+    const hourShift = Math.abs(wrap(moved.hourAngle - hourAngle + Math.PI, 2 * Math.PI) - Math.PI);
+    timeUncertainty = Math.max(timeUncertainty, (hourShift * 720) / Math.PI);
+    declinationUncertainty = Math.max(declinationUncertainty, Math.abs(moved.declination - declination));
+  });
+
+  // Noon declinations of the year, plus 1 January of the next year to close the loop
+  const daysInYear = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 366 : 365;
+  const declinations = [];
+  for (let day = 1; day <= daysInYear + 1; day++) declinations.push(solarDeclinationOnDay(year, day, model));
+  const lowest = Math.min(...declinations);
+  const highest = Math.max(...declinations);
+  // A tip just beyond a solstice curve is read as the solstice itself
+  const target = Math.max(lowest + 1e-9, Math.min(highest - 1e-9, declination));
+
+  const dates = [];
+  if (Math.abs(target - declination) <= declinationUncertainty) {
+    for (let index = 0; index < daysInYear; index++) {
+      const from = declinations[index] - target;
+      const to = declinations[index + 1] - target;
+      if (from * to > 0 || from === to) continue;
+      const day = index + 1 + from / (from - to);
+      if (dates.length && day - dates[dates.length - 1].dayOfYear < 1.5) continue;
+
+      // Widen around the crossing while the declination stays within the uncertainty
+      const within = (i) => Math.abs(declinations[(i + daysInYear) % daysInYear] - target) <= declinationUncertainty;
+      let first = index;
+      let last = index + 1;
+      while (last - first < daysInYear && within(first - 1)) first--;
+      while (last - first < daysInYear && within(last + 1)) last++;
+      dates.push({
+        dayOfYear: ((Math.round(day) - 1) % daysInYear) + 1,
+        uncertainty: Math.max((last - first) / 2, 0.5),
+      });
+    }
+  }
 
-  return `${hours.toString().padStart(2, "0")}:${minutes
-    .toString()
-    .padStart(2, "0")}`;
+  return {
+    hourAngle,
+    apparentSolarTime: 12 + (hourAngle * 12) / Math.PI,
+    declination,
+    timeUncertainty,
+    declinationUncertainty,
+    nearEquinox: Math.abs(declination) <= declinationUncertainty,
+    dates,
+  };
 }
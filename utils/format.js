@@ -0,0 +1,87 @@
+/**
+ * Presentation of astronomical results: the astronomy and time zone modules return
+ * numbers and status codes, and this module turns them into display strings in the
+ * current language and locale.
+ */
+import { READING_STATUS } from "./astronomy.js";
+import { getLocale, translate } from "./i18n.js";
+
+/** Catalog keys of the dial reading statuses that carry no time. */
+const READING_MESSAGES = {
+  [READING_STATUS.NIGHT]: "reading.night",
+  [READING_STATUS.SUN_NOT_VISIBLE]: "reading.sunNotVisible",
+  [READING_STATUS.OUT_OF_RANGE]: "reading.outOfRange",
+};
+
+/** Intl formatters are costly to build and the displays refresh every frame. */
+const formatters = new Map();
+
+/**
+ * Cached formatter for the current locale.
+ * @param {string} kind - Cache key of the options.
+ * @param {function(string): Intl.DateTimeFormat|Intl.NumberFormat} create - Builds it for a locale.
+ */
+function formatter(kind, create) {
+  const key = `${getLocale()}|${kind}`;
+  if (!formatters.has(key)) formatters.set(key, create(getLocale()));
+  return formatters.get(key);
+}
+
+/**
+ * Formats fractional hours as a clock time of the current locale (e.g. "14:05").
+ * @param {number} hours - Time in fractional hours.
+ * @returns {string} Formatted time.
+ */
+export function formatHours(hours) {
+  const totalMinutes = Math.floor((((hours % 24) + 24) % 24) * 60 + 1e-6);
+  const time = formatter("time", (locale) =>
+    new Intl.DateTimeFormat(locale, { hour: "2-digit", minute: "2-digit", timeZone: "UTC" })
+  );
+  return time.format(new Date(Date.UTC(2001, 0, 1, 0, totalMinutes)));
+}
+
+/**
+ * Formats a number with the decimal separator of the current locale.
+ * @param {number} value - Number to format.
+ * @param {number} [digits=1] - Fraction digits.
+ * @returns {string}
+ */
+export function formatNumber(value, digits = 1) {
+  const number = formatter(`number${digits}`, (locale) =>
+    new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits })
+  );
+  return number.format(value);
+}
+
+/**
+ * Formats a dial reading as its civil clock time, or the message for its status.
+ * @param {import("./astronomy.js").DialReading} reading - Result of a dial reader.
+ * @returns {string} A clock time or a message such as "Night".
+ */
+export function formatReading(reading) {
+  if (reading.status !== READING_STATUS.TIME) return translate(READING_MESSAGES[reading.status]);
+  return formatHours(reading.civilTime);
+}
+
+/**
+ * Converts a day of the year to a readable date string in the current locale
+ * (e.g. "21 Mar", "21 mar").
+ * @param {number} day - Day of year (1–365), counted in a common year.
+ * @returns {string} Date string.
+ */
+export function dayOfYearToDateString(day) {
+  const date = formatter("date", (locale) =>
+    new Intl.DateTimeFormat(locale, { day: "numeric", month: "short", timeZone: "UTC" })
+  );
+  return date.format(new Date(Date.UTC(2001, 0, day)));
+}
+
+/**
+ * Label of a date line: its zodiac signs, followed by the solstice or equinox it marks.
+ * @param {{signs: string[], event: string|null}} dateLine - Entry of `createDateLines`.
+ * @returns {string} E.g. "♋ June solstice".
+ */
+export function formatDateLineLabel(dateLine) {
+  const signs = dateLine.signs.join(" ");
+  return dateLine.event ? `${signs} ${translate(`dateLine.${dateLine.event}`)}` : signs;
+}
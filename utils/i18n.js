@@ -0,0 +1,325 @@
+/**
+ * Message catalog and runtime language selection.
+ * Page elements carrying `data-i18n` (text) or `data-i18n-placeholder` take their text
+ * from the catalog; code looks messages up with `translate`. Dates, times and numbers are
+ * formatted for the locale of the current language by `format.js`.
+ */
+
+/** Supported languages, keyed by language code, with the locale used for formatting. */
+export const LANGUAGES = {
+  en: { name: "English", locale: "en-GB" },
+  it: { name: "Italiano", locale: "it-IT" },
+};
+
+/**
+ * Messages per language. `{name}` placeholders are filled from the parameters of `translate`.
+ * Keys missing from a language fall back to English.
+ */
+export const MESSAGES = {
+  en: {
+    "page.title": "Digital Sundial - {name}",
+    "error": "Error: {message}",
+
+    "controls.language": "Language:",
+    "controls.location": "Location:",
+    "controls.customLocation": "Custom",
+    "controls.locationName": "Name",
+    "controls.latitude": "Lat (°N)",
+    "controls.longitude": "Lon (°E)",
+    "controls.timeZone": "Zone",
+    "controls.dialType": "Dial type:",
+    "controls.wallDeclination": "Wall declination (0°=facing the equator, +west):",
+    "controls.gnomonShape": "Gnomon:",
+    "controls.gnomonTriangular": "Triangular plate",
+    "controls.gnomonRod": "Rod",
+    "controls.gnomonThickness": "Thickness",
+    "controls.gnomonStyleLength": "Style length",
+    "controls.nodusSphere": "Nodus sphere",
+    "controls.dialWidth": "Dial width (mm)",
+    "controls.exportSvg": "Export SVG",
+    "controls.exportDxf": "Export DXF",
+    "controls.customMeshes": "Custom meshes (OBJ, glTF):",
+    "controls.gnomonMesh": "Gnomon",
+    "controls.gnomonMeshClear": "Procedural gnomon",
+    "controls.dialMesh": "Dial plate",
+    "controls.dialMeshClear": "Procedural dial plate",
+    "controls.dayOfYear": "Day of year:",
+    "controls.year": "Year:",
+    "controls.solarModel": "Solar model:",
+    "solarModel.meeus": "Meeus (precise)",
+    "solarModel.simplified": "Simplified (sine formulas)",
+    "solarModel.equationOfTime": "Equation of time, simplified − Meeus (max {max} s)",
+    "solarModel.declination": "Declination, simplified − Meeus (max {max}′)",
+    "controls.clockTime": "Clock time",
+    "controls.refraction": "Atmospheric refraction",
+    "controls.pressure": "Pressure (hPa)",
+    "controls.temperature": "Temp. (°C)",
+    "controls.freeSun": "Free sun (manual azimuth/elevation)",
+    "controls.sunAzimuth": "Sun Azimuth (0°=North, 180°=South):",
+    "controls.sunElevation": "Sun Elevation:",
+    "controls.historicalHours": "Historical hour lines:",
+    "controls.italicHours": "Italic",
+    "controls.babylonianHours": "Babylonian",
+    "controls.temporaryHours": "Temporary",
+    "controls.autoRotate": "Daily Simulation",
+    "controls.shadowTrace": "Shadow-tip trace:",
+    "controls.traceInterval": "Every (min)",
+    "controls.traceFreeze": "Freeze",
+    "controls.traceOverlay": "Overlay previous days",
+    "controls.traceClear": "Clear trace",
+    "controls.shadows": "Activate Shadows",
+    "controls.shadowCascades": "Cascades",
+    "controls.shadowCascadeDebug": "Tint shadow cascades",
+    "controls.lowQuality": "Simplify terrain texture",
+    "controls.exportGlb": "Export 3D scene (glTF)",
+
+    "dial.horizontal": "Horizontal",
+    "dial.vertical": "Vertical wall",
+    "dial.equatorial": "Equatorial",
+    "dial.polar": "Polar",
+    "dial.analemmatic": "Analemmatic",
+
+    "info.sundialFor": "Sundial for",
+    "info.hourLines": "Hour lines are calculated astronomically for the latitude, with the style parallel to the Earth's axis.",
+    "info.civilTime": "Solar time is converted to civil time with the equation of time, the longitude offset from the zone meridian and daylight saving time.",
+    "info.curves": "Blue curves mark the solstices, equinoxes and zodiac entries; the red figure-eights trace the shadow tip at each mean-time hour through the year, their width being the equation of time.",
+    "info.hourSystems": "Italic hours count from sunset, Babylonian hours from sunrise; temporary hours split the daylight into twelve unequal parts.",
+    "info.query": "Click the ground of the horizontal dial to find when the style tip's shadow falls there.",
+    "info.trace": "While the daily simulation runs, the style tip's shadow is traced on the dial; overlaying several days shows how the date curves form.",
+
+    "reading.night": "Night",
+    "reading.sunNotVisible": "Sun not visible",
+    "reading.outOfRange": "Out of range",
+    "time.shadow": "Time indicated by the shadow: {time}",
+
+    "hourSystems.italic": "Italic hours: {time} since sunset",
+    "hourSystems.babylonian": "Babylonian hours: {time} since sunrise",
+    "hourSystems.temporaryDay": "Temporary hours: hour {hour} of the day ({elapsed} elapsed)",
+    "hourSystems.temporaryNight": "Temporary hours: hour {hour} of the night ({elapsed} elapsed)",
+    "hourSystems.duration": "{hours}h {minutes}m",
+    "hourSystems.none": "The sun does not rise and set today: no Italic, Babylonian or temporary hours",
+
+    "events.sunriseSunset": "Sunrise {sunrise} · Sunset {sunset}",
+    "events.polarDay": "Sun above the horizon all day",
+    "events.polarNight": "Sun below the horizon all day",
+    "events.noon": "Solar noon {time} ({elevation}°) · Day length {hours}h {minutes}m",
+    "events.civil": "Civil twilight {range}",
+    "events.nautical": "Nautical twilight {range}",
+    "events.astronomical": "Astronomical twilight {range}",
+    "events.none": "none",
+
+    "correction.apparent": "Apparent solar time: {time}",
+    "correction.equation": "Equation of time {value} → local mean time: {time}",
+    "correction.longitude": "Longitude (meridian {meridian}) {value} → {zone}: {time}",
+    "correction.daylight": "Daylight saving {value} → {zone}: {time}",
+    "compass.north": "N",
+    "compass.east": "E",
+    "compass.south": "S",
+    "compass.west": "W",
+
+    "query.tip": "Shadow tip at x {x}, z {z}",
+    "query.unsupported": "This dial type cannot be read from the shadow tip",
+    "query.noTip": "The style casts no shadow tip at this latitude",
+    "query.time": "Apparent solar time {time} ± {minutes} min · declination {declination}°",
+    "query.beyond": "Beyond the solstice curves: the sun never casts it there",
+    "query.date": "{date} ± {days} d at {time} ({zone})",
+    "query.equinox": "On the equinox line: the sun may be north or south of the equator",
+
+    "dateLine.juneSolstice": "June solstice",
+    "dateLine.equinoxes": "Equinoxes",
+    "dateLine.decemberSolstice": "December solstice",
+
+    "export.styleAngle": "Style angle {angle}° · height {height} mm",
+    "export.scaleBar": "{length} mm",
+
+    "import.loaded": "{target}: {name}, {triangles} triangles in {parts} parts",
+    "import.failed": "{target} not loaded: {message}",
+  },
+  it: {
+    "page.title": "Meridiana digitale - {name}",
+    "error": "Errore: {message}",
+
+    "controls.language": "Lingua:",
+    "controls.location": "Località:",
+    "controls.customLocation": "Personalizzata",
+    "controls.locationName": "Nome",
+    "controls.latitude": "Lat (°N)",
+    "controls.longitude": "Lon (°E)",
+    "controls.timeZone": "Fuso",
+    "controls.dialType": "Tipo di meridiana:",
+    "controls.wallDeclination": "Declinazione della parete (0°=rivolta all'equatore, +ovest):",
+    "controls.gnomonShape": "Gnomone:",
+    "controls.gnomonTriangular": "Lastra triangolare",
+    "controls.gnomonRod": "Asta",
+    "controls.gnomonThickness": "Spessore",
+    "controls.gnomonStyleLength": "Lunghezza dello stilo",
+    "controls.nodusSphere": "Sfera del nodo",
+    "controls.dialWidth": "Larghezza quadrante (mm)",
+    "controls.exportSvg": "Esporta SVG",
+    "controls.exportDxf": "Esporta DXF",
+    "controls.customMeshes": "Modelli personalizzati (OBJ, glTF):",
+    "controls.gnomonMesh": "Gnomone",
+    "controls.gnomonMeshClear": "Gnomone procedurale",
+    "controls.dialMesh": "Quadrante",
+    "controls.dialMeshClear": "Quadrante procedurale",
+    "controls.dayOfYear": "Giorno dell'anno:",
+    "controls.year": "Anno:",
+    "controls.solarModel": "Modello solare:",
+    "solarModel.meeus": "Meeus (preciso)",
+    "solarModel.simplified": "Semplificato (formule con seni)",
+    "solarModel.equationOfTime": "Equazione del tempo, semplificato − Meeus (max {max} s)",
+    "solarModel.declination": "Declinazione, semplificato − Meeus (max {max}′)",
+    "controls.clockTime": "Ora civile",
+    "controls.refraction": "Rifrazione atmosferica",
+    "controls.pressure": "Pressione (hPa)",
+    "controls.temperature": "Temp. (°C)",
+    "controls.freeSun": "Sole libero (azimut/altezza manuali)",
+    "controls.sunAzimuth": "Azimut del sole (0°=Nord, 180°=Sud):",
+    "controls.sunElevation": "Altezza del sole:",
+    "controls.historicalHours": "Linee orarie storiche:",
+    "controls.italicHours": "Italiche",
+    "controls.babylonianHours": "Babiloniche",
+    "controls.temporaryHours": "Temporarie",
+    "controls.autoRotate": "Simulazione giornaliera",
+    "controls.shadowTrace": "Traccia dell'ombra del nodo:",
+    "controls.traceInterval": "Ogni (min)",
+    "controls.traceFreeze": "Congela",
+    "controls.traceOverlay": "Sovrapponi i giorni precedenti",
+    "controls.traceClear": "Cancella la traccia",
+    "controls.shadows": "Attiva le ombre",
+    "controls.shadowCascades": "Cascate",
+    "controls.shadowCascadeDebug": "Colora le cascate delle ombre",
+    "controls.lowQuality": "Semplifica la texture del terreno",
+    "controls.exportGlb": "Esporta la scena 3D (glTF)",
+
+    "dial.horizontal": "Orizzontale",
+    "dial.vertical": "Verticale a parete",
+    "dial.equatorial": "Equatoriale",
+    "dial.polar": "Polare",
+    "dial.analemmatic": "Analemmatica",
+
+    "info.sundialFor": "Meridiana per",
+    "info.hourLines": "Le linee orarie sono calcolate astronomicamente per la latitudine, con lo stilo parallelo all'asse terrestre.",
+    "info.civilTime": "Il tempo solare è convertito in ora civile con l'equazione del tempo, la differenza di longitudine dal meridiano del fuso e l'ora legale.",
+    "info.curves": "Le curve blu segnano solstizi, equinozi e ingressi zodiacali; gli otto rossi tracciano la punta dell'ombra a ogni ora di tempo medio durante l'anno, e la loro larghezza è l'equazione del tempo.",
+    "info.hourSystems": "Le ore italiche si contano dal tramonto, le babiloniche dall'alba; le ore temporarie dividono il dì in dodici parti disuguali.",
+    "info.query": "Fai clic sul terreno della meridiana orizzontale per sapere quando vi cade l'ombra della punta dello stilo.",
+    "info.trace": "Durante la simulazione giornaliera l'ombra della punta dello stilo viene tracciata sul quadrante; sovrapponendo più giorni si vede come nascono le curve diurne.",
+
+    "reading.night": "Notte",
+    "reading.sunNotVisible": "Sole non visibile",
+    "reading.outOfRange": "Fuori orario",
+    "time.shadow": "Ora indicata dall'ombra: {time}",
+
+    "hourSystems.italic": "Ore italiche: {time} dal tramonto",
+    "hourSystems.babylonian": "Ore babiloniche: {time} dall'alba",
+    "hourSystems.temporaryDay": "Ore temporarie: ora {hour} del giorno ({elapsed} trascorse)",
+    "hourSystems.temporaryNight": "Ore temporarie: ora {hour} della notte ({elapsed} trascorse)",
+    "hourSystems.duration": "{hours}h {minutes}m",
+    "hourSystems.none": "Oggi il sole non sorge e non tramonta: niente ore italiche, babiloniche o temporarie",
+
+    "events.sunriseSunset": "Alba {sunrise} · Tramonto {sunset}",
+    "events.polarDay": "Sole sopra l'orizzonte tutto il giorno",
+    "events.polarNight": "Sole sotto l'orizzonte tutto il giorno",
+    "events.noon": "Mezzogiorno solare {time} ({elevation}°) · Durata del giorno {hours}h {minutes}m",
+    "events.civil": "Crepuscolo civile {range}",
+    "events.nautical": "Crepuscolo nautico {range}",
+    "events.astronomical": "Crepuscolo astronomico {range}",
+    "events.none": "nessuno",
+
+    "correction.apparent": "Tempo solare apparente: {time}",
+    "correction.equation": "Equazione del tempo {value} → tempo medio locale: {time}",
+    "correction.longitude": "Longitudine (meridiano {meridian}) {value} → {zone}: {time}",
+    "correction.daylight": "Ora legale {value} → {zone}: {time}",
+    "compass.north": "N",
+    "compass.east": "E",
+    "compass.south": "S",
+    "compass.west": "O",
+
+    "query.tip": "Punta dell'ombra in x {x}, z {z}",
+    "query.unsupported": "Questo tipo di meridiana non si legge dalla punta dell'ombra",
+    "query.noTip": "A questa latitudine lo stilo non proietta la punta dell'ombra",
+    "query.time": "Tempo solare apparente {time} ± {minutes} min · declinazione {declination}°",
+    "query.beyond": "Oltre le curve dei solstizi: il sole non vi porta mai l'ombra",
+    "query.date": "{date} ± {days} g alle {time} ({zone})",
+    "query.equinox": "Sulla linea equinoziale: il sole può trovarsi a nord o a sud dell'equatore",
+
+    "dateLine.juneSolstice": "Solstizio di giugno",
+    "dateLine.equinoxes": "Equinozi",
+    "dateLine.decemberSolstice": "Solstizio di dicembre",
+
+    "export.styleAngle": "Angolo dello stilo {angle}° · altezza {height} mm",
+    "export.scaleBar": "{length} mm",
+
+    "import.loaded": "{target}: {name}, {triangles} triangoli in {parts} parti",
+    "import.failed": "{target} non caricato: {message}",
+  },
+};
+
+/**
+ * Language of the browser if supported, English otherwise.
+ * @returns {string} Key of `LANGUAGES`.
+ */
+function detectLanguage() {
+  const preferred = typeof navigator !== "undefined" && navigator.language ? navigator.language : "";
+  const code = preferred.slice(0, 2).toLowerCase();
+  return code in LANGUAGES ? code : "en";
+}
+
+let currentLanguage = detectLanguage();
+/** @type {Array<function(string): void>} */
+const listeners = [];
+
+/** @returns {string} Code of the current language, a key of `LANGUAGES`. */
+export function getLanguage() {
+  return currentLanguage;
+}
+
+/** @returns {string} BCP 47 locale used to format dates, times and numbers. */
+export function getLocale() {
+  return LANGUAGES[currentLanguage].locale;
+}
+
+/**
+ * Switches the language and notifies listeners. Unknown codes are ignored.
+ * @param {string} language - Key of `LANGUAGES`.
+ */
+export function setLanguage(language) {
+  if (!(language in LANGUAGES) || language === currentLanguage) return;
+  currentLanguage = language;
+  listeners.forEach((listener) => listener(language));
+}
+
+/**
+ * Registers a callback invoked after every language change.
+ * @param {function(string): void} listener - Receives the new language code.
+ */
+export function onLanguageChange(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Looks up a message in the current language and fills its placeholders.
+ * @param {string} key - Message key, e.g. "reading.night".
+ * @param {Object<string, string|number>} [params] - Values of the `{name}` placeholders.
+ * @returns {string} The message, or the key itself when no language defines it.
+ */
+export function translate(key, params = {}) {
+  const template = MESSAGES[currentLanguage][key] ?? MESSAGES.en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Writes the current language into every element marked with `data-i18n` or
+ * `data-i18n-placeholder` below `root`.
+ * @param {Document|HTMLElement} [root=document]
+ */
+export function translateDocument(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((element) => {
+    element.textContent = translate(element.dataset.i18n);
+  });
+  root.querySelectorAll("[data-i18n-placeholder]").forEach((element) => {
+    element.placeholder = translate(element.dataset.i18nPlaceholder);
+  });
+  if (root.documentElement) root.documentElement.lang = currentLanguage;
+}
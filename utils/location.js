@@ -0,0 +1,94 @@
+import { TIME_ZONES, describeZoneOffset } from "./timezone.js";
+
+/**
+ * Built-in observer locations offered by the UI.
+ * Latitude and longitude are in degrees (north and east positive),
+ * `timeZone` is a key of the bundled `TIME_ZONES` table.
+ */
+export const LOCATION_PRESETS = [
+  { name: "Rome", latitude: 41.9, longitude: 12.5, timeZone: "Europe/Rome" },
+  { name: "Milan", latitude: 45.46, longitude: 9.19, timeZone: "Europe/Rome" },
+  { name: "Palermo", latitude: 38.12, longitude: 13.36, timeZone: "Europe/Rome" },
+  { name: "London", latitude: 51.51, longitude: -0.13, timeZone: "Europe/London" },
+  { name: "New York", latitude: 40.71, longitude: -74.01, timeZone: "America/New_York" },
+  { name: "Sydney", latitude: -33.87, longitude: 151.21, timeZone: "Australia/Sydney" },
+];
+
+/**
+ * Single source of truth for where the sundial stands.
+ * Astronomy, geometry and UI modules read it; listeners registered with
+ * `onChange` are notified whenever any field is updated.
+ */
+export class ObserverLocation {
+  /**
+   * @param {{name: string, latitude: number, longitude: number, timeZone: string}} [initial]
+   */
+  constructor(initial = LOCATION_PRESETS[0]) {
+    /** @type {string} */
+    this.name = initial.name;
+    /** @type {number} Latitude in degrees, north positive. */
+    this.latitude = initial.latitude;
+    /** @type {number} Longitude in degrees, east positive. */
+    this.longitude = initial.longitude;
+    /** @type {string} Zone identifier of the local clock, a key of `TIME_ZONES`. */
+    this.timeZone = initial.timeZone;
+    /** @type {Array<function(ObserverLocation): void>} */
+    this.listeners = [];
+  }
+
+  /** @returns {number} Latitude in radians. */
+  get latitudeRad() {
+    return (this.latitude * Math.PI) / 180;
+  }
+
+  /** @returns {number} Longitude in radians. */
+  get longitudeRad() {
+    return (this.longitude * Math.PI) / 180;
+  }
+
+  /**
+   * Applies a partial update and notifies listeners.
+   * Non-finite numbers and unknown zones are ignored; latitude is kept away from the poles
+   * (where hour lines degenerate) and longitude is wrapped into [-180, 180].
+   *
+   * @param {Partial<{name: string, latitude: number, longitude: number, timeZone: string}>} changes
+   */
+  update(changes) {
+    if (typeof changes.name === "string") this.name = changes.name;
+    if (changes.timeZone in TIME_ZONES) this.timeZone = changes.timeZone;
+    if (Number.isFinite(changes.latitude)) {
+      this.latitude = Math.max(-89.9, Math.min(89.9, changes.latitude));
+    }
+    if (Number.isFinite(changes.longitude)) {
+      this.longitude = ((((changes.longitude + 180) % 360) + 360) % 360) - 180;
+    }
+    this.listeners.forEach((listener) => listener(this));
+  }
+
+  /**
+   * Registers a callback invoked after every update.
+   * @param {function(ObserverLocation): void} listener
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Human-readable label, e.g. "Rome (41.9°N, 12.5°E)".
+   * @returns {string}
+   */
+  describe() {
+    const lat = `${Math.abs(this.latitude).toFixed(1)}°${this.latitude >= 0 ? "N" : "S"}`;
+    const lon = `${Math.abs(this.longitude).toFixed(1)}°${this.longitude >= 0 ? "E" : "W"}`;
+    return `${this.name} (${lat}, ${lon})`;
+  }
+
+  /**
+   * Label of the local clock at an instant, e.g. "CEST, UTC+2".
+   * @param {Date} date - Instant of interest (daylight saving depends on it).
+   * @returns {string}
+   */
+  describeTimeZone(date) {
+    return describeZoneOffset(this.timeZone, date);
+  }
+}
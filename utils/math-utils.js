@@ -205,3 +205,35 @@ export function createOrthographicMatrix(left, right, bottom, top, near, far) {
 
     return matrix;
 }
+
+/**
+ * Dot product of two 3D vectors.
+ * @param {number[]} a - First vector.
+ * @param {number[]} b - Second vector.
+ * @returns {number} a · b
+ */
+export function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+/**
+ * Cross product of two 3D vectors.
+ * @param {number[]} a - First vector.
+ * @param {number[]} b - Second vector.
+ * @returns {number[]} a × b
+ */
+export function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0],
+  ];
+}
+/**
+ * Returns a unit-length copy of a 3D vector (or the zero vector unchanged).
+ * @param {number[]} v - Vector to normalize.
+ * @returns {number[]} Normalized vector.
+ */
+export function normalize(v) {
+  const len = Math.sqrt(dot(v, v));
+  return len > 0 ? [v[0] / len, v[1] / len, v[2] / len] : [0, 0, 0];
+}
@@ -0,0 +1,181 @@
+/**
+ * Cascaded shadow maps: the camera frustum is cut into slices along its depth and each slice
+ * gets its own orthographic light frustum, so that the shadow map resolution follows the
+ * size of a pixel on screen: fine near the camera, coarse on the far field. The dial gets a
+ * cascade of its own, so its shadow stays sharp however far the camera is.
+ */
+import { mat4, lookAt, multiply, createOrthographicMatrix, cross, normalize } from "./math-utils.js";
+
+/** Width and height of the shadow map in texels. */
+export const SHADOW_MAP_SIZE = 4096;
+/** Most cascades the shaders sample; the shadow map holds them as tiles of a 2×2 grid. */
+export const MAX_SHADOW_CASCADES = 4;
+/** Width and height of the tile of one cascade in texels. */
+export const SHADOW_CASCADE_TILE_SIZE = SHADOW_MAP_SIZE / 2;
+
+/** Radius around the origin holding everything that casts or receives a shadow (the ±12 ground). */
+const SCENE_RADIUS = 17;
+/** Box holding every shadow receiver: the ±12 ground up to the top of the 11-unit wall. */
+const SCENE_BOUNDS = { min: [-12, 0, -12], max: [12, 11.5, 12] };
+/** Step the radius of a clipped slice is rounded up to, so that it changes rarely as the camera moves. */
+const RADIUS_STEP = 0.25;
+/** Distance towards the sun beyond a slice within which objects still cast shadows into it. */
+const CASTER_MARGIN = 20;
+/** Weight of the logarithmic split distances against the uniform ones ("practical" splits). */
+const SPLIT_LAMBDA = 0.6;
+
+/**
+ * @typedef {Object} ShadowCascade
+ * @property {Float32Array} lightViewProjectionMatrix - World to light clip space of the cascade.
+ * @property {number[]} center - Centre of the sphere of receivers the cascade covers.
+ * @property {number} radius - Radius of that sphere.
+ * @property {number} texelWorld - World size of one shadow map texel.
+ * @property {number} depthRange - World depth covered by the light frustum.
+ */
+
+/**
+ * Depths at which the camera frustum is cut, blending logarithmic and uniform splits.
+ * @param {number} near - Nearest depth that needs shadows.
+ * @param {number} far - Farthest depth that needs shadows.
+ * @param {number} count - Number of slices.
+ * @returns {number[]} `count + 1` increasing depths from `near` to `far`.
+ */
+export function cascadeSplits(near, far, count) {
+  return Array.from({ length: count + 1 }, (_, i) => {
+    const logarithmic = near * Math.pow(far / near, i / count);
+    const uniform = near + ((far - near) * i) / count;
+    return SPLIT_LAMBDA * logarithmic + (1 - SPLIT_LAMBDA) * uniform;
+  });
+}
+
+/**
+ * Sphere around the positions of WebGL-ready vertex arrays (position, normal, texCoord).
+ * @param {Float32Array[]} vertexArrays - Interleaved vertices, 8 floats each.
+ * @returns {{center: number[], radius: number}|null} Null when there are no vertices.
+ */
+export function vertexBoundingSphere(vertexArrays) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  vertexArrays.forEach((vertices) => {
+    for (let i = 0; i < vertices.length; i += 8) {
+      for (let k = 0; k < 3; k++) {
+        min[k] = Math.min(min[k], vertices[i + k]);
+        max[k] = Math.max(max[k], vertices[i + k]);
+      }
+    }
+  });
+  if (min[0] > max[0]) return null;
+
+  const center = min.map((c, k) => (c + max[k]) / 2);
+  let radius = 0;
+  vertexArrays.forEach((vertices) => {
+    for (let i = 0; i < vertices.length; i += 8) {
+      radius = Math.max(radius, Math.hypot(vertices[i] - center[0], vertices[i + 1] - center[1], vertices[i + 2] - center[2]));
+    }
+  });
+  return { center, radius };
+}
+
+/**
+ * Smallest of two spheres around the receivers of a camera frustum slice: the sphere of the slice
+ * itself, which keeps its size while the camera turns, or the sphere of the part of the slice's
+ * bounding box inside `SCENE_BOUNDS`, which drops the sky and the empty ground beyond the scene.
+ * @param {number[][]} corners - The eight corners of the slice.
+ * @param {number[]} middle - Point on the view axis halfway through the slice.
+ * @returns {{center: number[], radius: number}}
+ */
+function sliceSphere(corners, middle) {
+  const sphere = {
+    center: middle,
+    radius: Math.max(...corners.map((corner) => Math.hypot(...corner.map((c, k) => c - middle[k])))),
+  };
+
+  const min = [0, 1, 2].map((k) => Math.max(SCENE_BOUNDS.min[k], Math.min(...corners.map((corner) => corner[k]))));
+  const max = [0, 1, 2].map((k) => Math.min(SCENE_BOUNDS.max[k], Math.max(...corners.map((corner) => corner[k]))));
+  // A slice that misses the scene has nothing to shade; any sphere will do
+  if (min.some((c, k) => c > max[k])) return { center: [0, 0, 0], radius: SCENE_RADIUS };
+  const clipped = {
+    center: min.map((c, k) => (c + max[k]) / 2),
+    radius: Math.ceil(Math.hypot(...min.map((c, k) => max[k] - c)) / 2 / RADIUS_STEP) * RADIUS_STEP,
+  };
+  return clipped.radius < sphere.radius ? clipped : sphere;
+}
+
+/**
+ * Fits one orthographic light frustum per sphere of receivers. The frustum's centre is snapped
+ * to whole texels of a light view shared by all cascades, so that shadow edges do not shimmer.
+ * @param {{center: number[], radius: number}} sphere
+ * @param {Float32Array} lightView - World to light view matrix.
+ * @returns {ShadowCascade}
+ */
+function fitCascade({ center, radius }, lightView) {
+  const texelWorld = (2 * radius) / SHADOW_CASCADE_TILE_SIZE;
+  const [x, y, z] = [0, 1, 2].map((row) =>
+    lightView[row] * center[0] + lightView[4 + row] * center[1] + lightView[8 + row] * center[2] + lightView[12 + row]);
+  const snappedX = Math.round(x / texelWorld) * texelWorld;
+  const snappedY = Math.round(y / texelWorld) * texelWorld;
+  const depthNear = -z - radius - CASTER_MARGIN;
+  const depthFar = -z + radius;
+  const projection = createOrthographicMatrix(
+    snappedX - radius, snappedX + radius, snappedY - radius, snappedY + radius, depthNear, depthFar);
+
+  return {
+    lightViewProjectionMatrix: multiply(mat4(), projection, lightView),
+    center,
+    radius,
+    texelWorld,
+    depthRange: depthFar - depthNear,
+  };
+}
+
+/**
+ * Computes the shadow cascades: one around the dial, the others over slices of the camera
+ * frustum. Every sphere larger than the scene is replaced by the scene's own. The shaders shade
+ * a fragment with the first cascade that holds it, so the cascades come from the finest to the
+ * coarsest.
+ * @param {Object} camera
+ * @param {number[]} camera.position - Eye position.
+ * @param {number[]} camera.target - Point looked at.
+ * @param {number} camera.fieldOfView - Vertical field of view in radians.
+ * @param {number} camera.aspect - Width over height of the viewport.
+ * @param {number} camera.near - Near clipping distance.
+ * @param {number} camera.far - Far clipping distance.
+ * @param {number[]} lightDirection - Unit direction the light travels in.
+ * @param {number} count - Number of cascades, 2 to `MAX_SHADOW_CASCADES`.
+ * @param {{center: number[], radius: number}|null} focus - Sphere around the dial, see
+ *        `vertexBoundingSphere`; null to slice the frustum into all the cascades.
+ * @returns {ShadowCascade[]} Cascades from the finest to the coarsest.
+ */
+export function calculateShadowCascades(camera, lightDirection, count, focus) {
+  const offset = camera.target.map((c, k) => c - camera.position[k]);
+  const forward = normalize(offset);
+  const right = normalize(cross(forward, [0, 1, 0]));
+  const up = cross(right, forward);
+  const distance = Math.hypot(...camera.position);
+  const sliceCount = focus ? count - 1 : count;
+  const splits = cascadeSplits(
+    Math.max(camera.near, distance - SCENE_RADIUS),
+    Math.min(camera.far, distance + SCENE_RADIUS),
+    sliceCount
+  );
+  const halfHeight = Math.tan(camera.fieldOfView / 2);
+  const halfWidth = halfHeight * camera.aspect;
+
+  const spheres = splits.slice(0, sliceCount).map((near, i) => {
+    const far = splits[i + 1];
+    const corners = [near, far].flatMap((depth) => [[-1, -1], [1, -1], [-1, 1], [1, 1]].map(([sx, sy]) =>
+      [0, 1, 2].map((k) => camera.position[k] +
+        (forward[k] + right[k] * sx * halfWidth + up[k] * sy * halfHeight) * depth)));
+    return sliceSphere(corners, camera.position.map((c, k) => c + forward[k] * ((near + far) / 2)));
+  });
+  if (focus) spheres.push(focus);
+
+  // Light view looking along the light, fixed for all cascades
+  const lightUp = Math.abs(lightDirection[1]) > 0.99 ? [0, 0, 1] : [0, 1, 0];
+  const lightView = lookAt(mat4(), lightDirection.map((c) => -c), [0, 0, 0], lightUp);
+
+  return spheres
+    .map((sphere) => (sphere.radius > SCENE_RADIUS ? { center: [0, 0, 0], radius: SCENE_RADIUS } : sphere))
+    .sort((a, b) => a.radius - b.radius)
+    .map((sphere) => fitCascade(sphere, lightView));
+}
@@ -0,0 +1,90 @@
+/**
+ * Recording of the shadow-tip path during the daily simulation. Samples are taken at
+ * whole multiples of the sampling interval of clock time, whatever the frame rate, and
+ * grouped into one trace per simulated day so that several days can be compared.
+ */
+
+/** Most days kept side by side when overlaying traces. */
+export const MAX_TRACE_DAYS = 8;
+
+/**
+ * @typedef {Object} ShadowTraceSample
+ * @property {number} time - Clock time in minutes since midnight.
+ * @property {number[]|null} position - Shadow-tip position, or null when the shadow is
+ *           missing or off the dial.
+ */
+
+/**
+ * @typedef {Object} ShadowTraceDay
+ * @property {string} key - Identifies the day (and atmosphere) the samples belong to.
+ * @property {number} dayOfYear - Day of the year of the samples.
+ * @property {ShadowTraceSample[]} samples - Samples in time order, one per sampling time.
+ */
+
+/**
+ * Collects shadow-tip samples of one dial setup; the owner clears it when the dial or location
+ * changes. Changing the day starts a new trace, keeping the previous ones only when overlaying.
+ */
+export class ShadowTraceRecorder {
+  constructor() {
+    /** @type {ShadowTraceDay[]} Oldest first; the last one is being recorded. */
+    this.days = [];
+    /** @type {number|null} Clock time in minutes of the previous update. */
+    this.lastTime = null;
+    /** Incremented whenever the traces change, so that their geometry can be rebuilt. */
+    this.revision = 0;
+  }
+
+  /**
+   * Removes every trace.
+   */
+  clear() {
+    this.days = [];
+    this.lastTime = null;
+    this.revision++;
+  }
+
+  /**
+   * Records the samples due since the previous update.
+   *
+   * @param {Object} state - Current simulation state.
+   * @param {string} state.dayKey - Identifies the simulated day.
+   * @param {number} state.dayOfYear - Day of the year.
+   * @param {number} state.clockTime - Clock time in fractional hours.
+   * @param {number} state.interval - Sampling interval in minutes.
+   * @param {boolean} state.overlay - Whether traces of previous days are kept.
+   * @param {function(number): (number[]|null)} sample - Shadow-tip position at a clock time
+   *        in fractional hours, or null.
+   */
+  record({ dayKey, dayOfYear, clockTime, interval, overlay }, sample) {
+    let day = this.days.find((candidate) => candidate.key === dayKey);
+    if (!day) {
+      day = { key: dayKey, dayOfYear, samples: [] };
+      this.days = overlay ? this.days.concat(day).slice(-MAX_TRACE_DAYS) : [day];
+      this.lastTime = null;
+      this.revision++;
+    } else if (day !== this.days[this.days.length - 1]) {
+      // Back to a day already traced: it becomes the current one again
+      this.days = this.days.filter((candidate) => candidate !== day).concat(day);
+      this.lastTime = null;
+      this.revision++;
+    }
+    if (!overlay && this.days.length > 1) {
+      this.days = [day];
+      this.revision++;
+    }
+
+    const time = clockTime * 60;
+    // The simulation restarts at sunrise after sunset: sample from there on
+    const from = this.lastTime === null || time < this.lastTime ? time - 1e-6 : this.lastTime;
+    this.lastTime = time;
+
+    for (let step = Math.floor(from / interval) + 1; step * interval <= time; step++) {
+      const sampleTime = step * interval;
+      if (day.samples.some((existing) => existing.time === sampleTime)) continue;
+      day.samples.push({ time: sampleTime, position: sample(sampleTime / 60) });
+      day.samples.sort((a, b) => a.time - b.time);
+      this.revision++;
+    }
+  }
+}
@@ -0,0 +1,197 @@
+const MS_PER_HOUR = 3600000;
+
+/**
+ * Daylight saving rules referenced by the zone table.
+ * Each transition falls on the `sunday`-th Sunday of `month` (0-based; -1 = last Sunday)
+ * at `time` hours, given in UTC when `utc` is set and in local standard time otherwise.
+ * `save` is the clock shift in hours while the rule is active.
+ */
+export const DST_RULES = {
+  EU: {
+    save: 1,
+    start: { month: 2, sunday: -1, time: 1, utc: true },
+    end: { month: 9, sunday: -1, time: 1, utc: true },
+  },
+  US: {
+    save: 1,
+    start: { month: 2, sunday: 2, time: 2 },
+    end: { month: 10, sunday: 1, time: 1 },
+  },
+  AU: {
+    save: 1,
+    start: { month: 9, sunday: 1, time: 2 },
+    end: { month: 3, sunday: 1, time: 2 },
+  },
+};
+
+/**
+ * Offline, IANA-style time zone table keyed by zone identifier.
+ * `utcOffset` is the standard offset in hours, `dstRule` a key of `DST_RULES` or null.
+ * Entries can be added at runtime; the location panel lists every key.
+ */
+export const TIME_ZONES = {
+  UTC: { abbreviation: "UTC", daylightAbbreviation: "UTC", utcOffset: 0, dstRule: null },
+  "Europe/London": { abbreviation: "GMT", daylightAbbreviation: "BST", utcOffset: 0, dstRule: "EU" },
+  "Europe/Rome": { abbreviation: "CET", daylightAbbreviation: "CEST", utcOffset: 1, dstRule: "EU" },
+  "Europe/Berlin": { abbreviation: "CET", daylightAbbreviation: "CEST", utcOffset: 1, dstRule: "EU" },
+  "Europe/Athens": { abbreviation: "EET", daylightAbbreviation: "EEST", utcOffset: 2, dstRule: "EU" },
+  "America/New_York": { abbreviation: "EST", daylightAbbreviation: "EDT", utcOffset: -5, dstRule: "US" },
+  "America/Chicago": { abbreviation: "CST", daylightAbbreviation: "CDT", utcOffset: -6, dstRule: "US" },
+  "America/Denver": { abbreviation: "MST", daylightAbbreviation: "MDT", utcOffset: -7, dstRule: "US" },
+  "America/Phoenix": { abbreviation: "MST", daylightAbbreviation: "MST", utcOffset: -7, dstRule: null },
+  "America/Los_Angeles": { abbreviation: "PST", daylightAbbreviation: "PDT", utcOffset: -8, dstRule: "US" },
+  "Asia/Kolkata": { abbreviation: "IST", daylightAbbreviation: "IST", utcOffset: 5.5, dstRule: null },
+  "Asia/Tokyo": { abbreviation: "JST", daylightAbbreviation: "JST", utcOffset: 9, dstRule: null },
+  "Australia/Brisbane": { abbreviation: "AEST", daylightAbbreviation: "AEST", utcOffset: 10, dstRule: null },
+  "Australia/Sydney": { abbreviation: "AEST", daylightAbbreviation: "AEDT", utcOffset: 10, dstRule: "AU" },
+};
+
+/**
+ * Looks up a zone, falling back to UTC for unknown identifiers.
+ * @param {string} zoneId - Key of `TIME_ZONES`.
+ * @returns {{abbreviation: string, daylightAbbreviation: string, utcOffset: number, dstRule: string|null}}
+ */
+export function getTimeZone(zoneId) {
+  return TIME_ZONES[zoneId] || TIME_ZONES.UTC;
+}
+
+/**
+ * Instant of a daylight saving transition in a given year.
+ * @param {{month: number, sunday: number, time: number, utc?: boolean}} transition
+ * @param {number} year - Calendar year.
+ * @param {number} utcOffset - Standard offset of the zone in hours.
+ * @returns {number} Milliseconds since the Unix epoch.
+ */
+function transitionInstant(transition, year, utcOffset) {
+  let day;
+  if (transition.sunday < 0) {
+    const last = new Date(Date.UTC(year, transition.month + 1, 0));
+    day = last.getUTCDate() - last.getUTCDay();
+  } else {
+    const first = new Date(Date.UTC(year, transition.month, 1)).getUTCDay();
+    day = 1 + ((7 - first) % 7) + (transition.sunday - 1) * 7;
+  }
+  const local = Date.UTC(year, transition.month, day) + transition.time * MS_PER_HOUR;
+  return transition.utc ? local : local - utcOffset * MS_PER_HOUR;
+}
+
+/**
+ * Whether daylight saving time is in force in a zone at an instant.
+ * @param {string} zoneId - Key of `TIME_ZONES`.
+ * @param {Date} date - Instant to test.
+ * @returns {boolean}
+ */
+export function isDaylightSavingTime(zoneId, date) {
+  const zone = getTimeZone(zoneId);
+  const rule = DST_RULES[zone.dstRule];
+  if (!rule) return false;
+
+  const time = date.getTime();
+  const year = new Date(time + zone.utcOffset * MS_PER_HOUR).getUTCFullYear();
+  const start = transitionInstant(rule.start, year, zone.utcOffset);
+  const end = transitionInstant(rule.end, year, zone.utcOffset);
+  // Southern hemisphere rules span the turn of the year
+  return start < end ? time >= start && time < end : time >= start || time < end;
+}
+
+/**
+ * Offset of the civil clock from UTC at an instant, including daylight saving.
+ * @param {string} zoneId - Key of `TIME_ZONES`.
+ * @param {Date} date - Instant of interest.
+ * @returns {number} Offset in hours.
+ */
+export function zoneOffsetAt(zoneId, date) {
+  const zone = getTimeZone(zoneId);
+  return zone.utcOffset + (isDaylightSavingTime(zoneId, date) ? DST_RULES[zone.dstRule].save : 0);
+}
+
+/**
+ * Builds the instant shown by a civil clock in a zone on a given day of the year.
+ * Clock times skipped by the spring transition resolve to the daylight reading one hour later;
+ * repeated autumn times resolve to their first occurrence.
+ * @param {number} year - Calendar year.
+ * @param {number} dayOfYear - Day of the year (1–366).
+ * @param {number} clockHours - Civil clock time in fractional hours (0–24).
+ * @param {string} zoneId - Key of `TIME_ZONES`.
+ * @returns {Date} The corresponding instant.
+ */
+export function zonedDate(year, dayOfYear, clockHours, zoneId) {
+  const zone = getTimeZone(zoneId);
+  const at = (offset) => new Date(Date.UTC(year, 0, dayOfYear, 0, Math.round((clockHours - offset) * 60)));
+  const rule = DST_RULES[zone.dstRule];
+  if (rule) {
+    const daylight = at(zone.utcOffset + rule.save);
+    if (isDaylightSavingTime(zoneId, daylight)) return daylight;
+  }
+  return at(zone.utcOffset);
+}
+
+/**
+ * Civil clock time shown in a zone at an instant.
+ * @param {Date} date - Instant of interest.
+ * @param {string} zoneId - Key of `TIME_ZONES`.
+ * @returns {number} Clock time in fractional hours (0–24).
+ */
+export function zoneClockTime(date, zoneId) {
+  const hours = date.getTime() / MS_PER_HOUR + zoneOffsetAt(zoneId, date);
+  return ((hours % 24) + 24) % 24;
+}
+
+/**
+ * Label of a zone's clock at an instant, e.g. "CEST, UTC+2".
+ * @param {string} zoneId - Key of `TIME_ZONES`.
+ * @param {Date} date - Instant of interest.
+ * @returns {string}
+ */
+export function describeZoneOffset(zoneId, date) {
+  const zone = getTimeZone(zoneId);
+  const daylight = isDaylightSavingTime(zoneId, date);
+  const offset = zoneOffsetAt(zoneId, date);
+  const sign = offset >= 0 ? "+" : "-";
+  return `${daylight ? zone.daylightAbbreviation : zone.abbreviation}, UTC${sign}${Math.abs(offset)}`;
+}
+
+/**
+ * Converts apparent solar time into civil clock time, keeping every intermediate step:
+ * apparent solar → local mean (equation of time) → zone time (longitude vs. the zone
+ * meridian) → civil time (daylight saving).
+ *
+ * @param {number} apparentSolarTime - Apparent solar time in fractional hours.
+ * @param {{date: Date, equationOfTime: number, longitude: number, timeZone: string}} conversion -
+ *        Instant of the reading, equation of time in minutes (apparent − mean),
+ *        observer longitude in degrees (east positive) and zone identifier.
+ * @returns {{
+ *   apparentSolarTime: number,
+ *   equationOfTime: number,
+ *   localMeanTime: number,
+ *   zoneMeridian: number,
+ *   longitudeCorrection: number,
+ *   zoneTime: number,
+ *   daylightSaving: number,
+ *   civilTime: number,
+ *   abbreviation: string,
+ *   daylightAbbreviation: string
+ * }} Times in hours, corrections in minutes (daylight saving in hours), zone meridian in degrees.
+ */
+export function solarToCivilTime(apparentSolarTime, conversion) {
+  const zone = getTimeZone(conversion.timeZone);
+  const zoneMeridian = zone.utcOffset * 15;
+  const longitudeCorrection = (zoneMeridian - conversion.longitude) * 4;
+  const daylightSaving = zoneOffsetAt(conversion.timeZone, conversion.date) - zone.utcOffset;
+
+  const localMeanTime = apparentSolarTime - conversion.equationOfTime / 60;
+  const zoneTime = localMeanTime + longitudeCorrection / 60;
+
+  return {
+    apparentSolarTime,
+    equationOfTime: conversion.equationOfTime,
+    localMeanTime,
+    zoneMeridian,
+    longitudeCorrection,
+    zoneTime,
+    daylightSaving,
+    civilTime: zoneTime + daylightSaving,
+    abbreviation: zone.abbreviation,
+    daylightAbbreviation: zone.daylightAbbreviation,
+  };
+}
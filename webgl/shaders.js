@@ -1,10 +1,12 @@
+import { MAX_SHADOW_CASCADES, SHADOW_MAP_SIZE } from '../utils/shadowCascades.js';
+
 /**
  * Vertex shader (main scene):
  * - Applies model, view, and projection transformations
  * - Computes normals and world positions for lighting
  * - Passes attributes to the fragment shader (normals, texture coords, view direction)
  * - Implements wind-based vertex animation for grass blades
- * - Outputs coordinates for shadow mapping
+ * - Outputs world positions for the shadow map cascades
  */
 export const vertexShaderSource = `
     precision mediump float;
@@ -18,7 +20,6 @@ export const vertexShaderSource = `
     uniform mat4 u_modelViewProjectionMatrix;
     uniform mat4 u_modelMatrix;
     uniform mat4 u_normalMatrix;
-    uniform mat4 u_lightViewProjectionMatrix;
     uniform vec3 u_cameraPosition;
     
     // Lighting
@@ -36,7 +37,6 @@ export const vertexShaderSource = `
     varying vec2 v_texCoord;
     varying vec3 v_lightDirection;
     varying vec3 v_worldPos;
-    varying vec4 v_shadowCoord;
     varying vec3 v_lightPosition;
     varying vec3 v_viewDirection;
     
@@ -72,9 +72,6 @@ export const vertexShaderSource = `
         v_lightDirection = normalize(u_lightDirection);
         v_lightPosition = u_lightPosition;
         v_viewDirection = normalize(u_cameraPosition - v_worldPos);
-        
-        // Shadow mapping coordinates
-        v_shadowCoord = u_lightViewProjectionMatrix * vec4(pos, 1.0);
     }
 `;
 
@@ -87,6 +84,14 @@ export const vertexShaderSource = `
  */
 export const fragmentShaderSource = `
     precision mediump float;
+
+    // Depths of the shadow map need more than the 10 bits of a mediump mantissa
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+        #define DEPTH_PRECISION highp
+    #else
+        #define DEPTH_PRECISION mediump
+    #endif
+    #define MAX_SHADOW_CASCADES ${MAX_SHADOW_CASCADES}
     
     // Material flags
     uniform float u_isGrass;
@@ -106,8 +111,15 @@ export const fragmentShaderSource = `
     uniform vec3 u_lightPosition;
     uniform float u_lightIntensity;
     uniform float u_lightRadius;
-    uniform sampler2D u_shadowMap;
+    uniform sampler2D u_shadowMap;      // cascades as tiles of a 2×2 grid, row by row
+    uniform float u_shadowDepthPacked;  // 1 when the depth is packed in RGBA, 0 for a depth texture
     uniform float u_enableShadows;
+    uniform float u_sunAngularRadius;   // radians
+    uniform int u_shadowCascadeCount;
+    uniform DEPTH_PRECISION mat4 u_cascadeMatrices[MAX_SHADOW_CASCADES];  // world to light clip space
+    uniform float u_cascadeTexelWorld[MAX_SHADOW_CASCADES];  // world size of a texel of each cascade
+    uniform float u_cascadeDepthRange[MAX_SHADOW_CASCADES];  // world depth covered by each cascade
+    uniform float u_showCascades;       // 1 to tint each cascade's area
     
     // Atmosphere and time
     uniform float u_sunElevation;
@@ -125,8 +137,7 @@ export const fragmentShaderSource = `
     varying vec3 v_normal;
     varying vec2 v_texCoord;
     varying vec3 v_lightDirection;
-    varying vec3 v_worldPos;
-    varying vec4 v_shadowCoord;
+    varying DEPTH_PRECISION vec3 v_worldPos;
     varying vec3 v_lightPosition;
     varying vec3 v_viewDirection;
     
@@ -185,43 +196,99 @@ export const fragmentShaderSource = `
     return fract(sin(dot(co.xy, vec2(12.9898, 78.233))) * 43758.5453);
 }
 
+    // Depth stored in the shadow map, the inverse of packDepth in the shadow shader
+    DEPTH_PRECISION float shadowMapDepth(vec2 coord) {
+        DEPTH_PRECISION vec4 texel = texture2D(u_shadowMap, coord);
+        if (u_shadowDepthPacked < 0.5) return texel.r;
+        return dot(texel, vec4(1.0, 1.0 / 255.0, 1.0 / 65025.0, 1.0 / 16581375.0));
+    }
+
+    // Cascade holding this fragment: the first whose light frustum contains it with room for
+    // the filter kernel, or -1 past the last one. Returns the fragment's position in the
+    // shadow map (depth in z) and the cascade's texel size and depth range.
+    int selectShadowCascade(out DEPTH_PRECISION vec3 coord, out float texelWorld, out float depthRange) {
+        for (int i = 0; i < MAX_SHADOW_CASCADES; i++) {
+            if (i >= u_shadowCascadeCount) break;
+            DEPTH_PRECISION vec4 clip = u_cascadeMatrices[i] * vec4(v_worldPos, 1.0);
+            DEPTH_PRECISION vec3 tile = clip.xyz / clip.w * 0.5 + 0.5;
+            if (tile.z <= 1.0 && all(greaterThan(tile.xy, vec2(0.01))) && all(lessThan(tile.xy, vec2(0.99)))) {
+                vec2 origin = vec2(mod(float(i), 2.0), floor(float(i) / 2.0)) * 0.5;
+                coord = vec3(origin + tile.xy * 0.5, tile.z);
+                texelWorld = u_cascadeTexelWorld[i];
+                depthRange = u_cascadeDepthRange[i];
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    // Debug colour of the cascade shading this fragment: red, green, blue, yellow
+    vec3 cascadeTint() {
+        DEPTH_PRECISION vec3 coord;
+        float texelWorld;
+        float depthRange;
+        int cascade = selectShadowCascade(coord, texelWorld, depthRange);
+        if (cascade == 0) return vec3(1.0, 0.55, 0.55);
+        if (cascade == 1) return vec3(0.55, 1.0, 0.55);
+        if (cascade == 2) return vec3(0.55, 0.65, 1.0);
+        if (cascade == 3) return vec3(1.0, 1.0, 0.5);
+        return vec3(1.0);
+    }
+
     float calculateShadowPCF() {
      if (u_enableShadows < 0.5) return 1.0;
     
-    vec3 projCoords = v_shadowCoord.xyz / v_shadowCoord.w;
-    projCoords = projCoords * 0.5 + 0.5;
-    
-    if (projCoords.z > 1.0 || 
-        projCoords.x < 0.01 || projCoords.x > 0.99 ||
-        projCoords.y < 0.01 || projCoords.y > 0.99) {
-        return 1.0;
-    }
+    DEPTH_PRECISION vec3 projCoords;
+    float texelWorld;
+    float depthRange;
+    if (selectShadowCascade(projCoords, texelWorld, depthRange) < 0) return 1.0;
     
-    float currentDepth = projCoords.z;
+    DEPTH_PRECISION float currentDepth = projCoords.z;
     
-    // Bias semplificato ma efficace
+    // Slope-scaled bias: the receiver's depth change across a texel, plus a millimetre-sized floor
     vec3 normal = normalize(v_normal);
     vec3 lightDir = normalize(-u_lightDirection);
-    float bias = 0.001 / max(dot(normal, lightDir), 0.1);
-    
-    vec2 texelSize = vec2(1.0 / 4096.0, 1.0 / 4096.0);
+    float cosTheta = clamp(abs(dot(normal, lightDir)), 0.1, 1.0);
+    float slope = sqrt(1.0 - cosTheta * cosTheta) / cosTheta;
+    DEPTH_PRECISION float bias = (0.003 + 1.5 * texelWorld * slope) / depthRange;
+    
+    // One texel of a cascade tile, in shadow map coordinates
+    vec2 texelSize = vec2(1.0 / ${SHADOW_MAP_SIZE}.0, 1.0 / ${SHADOW_MAP_SIZE}.0);
+
+    // Blocker search: average depth of the occluders around this point
+    DEPTH_PRECISION float blockerDepth = 0.0;
+    float blockerCount = 0.0;
+    for (int x = -2; x <= 2; x++) {
+        for (int y = -2; y <= 2; y++) {
+            DEPTH_PRECISION float sampleDepth = shadowMapDepth(projCoords.xy + vec2(float(x), float(y)) * texelSize * 2.0);
+            if (sampleDepth < currentDepth - bias) {
+                blockerDepth += sampleDepth;
+                blockerCount += 1.0;
+            }
+        }
+    }
+    if (blockerCount < 0.5) return 1.0;
+
+    // Penumbra cast by the sun's disc at the occluder distance, in shadow map texels
+    float blockerDistance = (currentDepth - blockerDepth / blockerCount) * depthRange;
+    float penumbra = 2.0 * blockerDistance * tan(u_sunAngularRadius);
+    float spread = clamp(0.5 * penumbra / texelWorld, 1.0, 6.0);
+
     float shadow = 0.0;
-    
-    // Pattern ottimizzato 3x3 con soft comparison
-    for (int x = -1; x <= 1; x++) {
-        for (int y = -1; y <= 1; y++) {
-            vec2 offset = vec2(float(x), float(y)) * texelSize;
+    for (int x = -2; x <= 2; x++) {
+        for (int y = -2; y <= 2; y++) {
+            vec2 offset = vec2(float(x), float(y)) * texelSize * spread * 0.5;
             vec2 sampleCoord = projCoords.xy + offset;
             
-            float pcfDepth = texture2D(u_shadowMap, sampleCoord).r;
+            DEPTH_PRECISION float pcfDepth = shadowMapDepth(sampleCoord);
             
             // Soft shadow transition
-            float depthDiff = currentDepth - pcfDepth - bias;
-            shadow += 1.0 - smoothstep(-0.0005, 0.0005, depthDiff);
+            DEPTH_PRECISION float depthDiff = currentDepth - pcfDepth - bias;
+            shadow += 1.0 - smoothstep(-bias, bias, depthDiff);
         }
     }
     
-    shadow /= 9.0;
+    shadow /= 25.0;
     return mix(0.25, 1.0, shadow);
 }
     vec3 calculateLighting(vec3 baseColor, vec3 normal, vec3 worldPos) {
@@ -302,7 +369,7 @@ export const fragmentShaderSource = `
     
     // ===== MAIN SHADER =====
     
-    void main() {
+    void shadeFragment() {
         vec3 normal = normalize(v_normal);
         
         // SKY DOME
@@ -547,6 +614,13 @@ export const fragmentShaderSource = `
         vec3 finalColor = calculateLighting(u_color, normal, v_worldPos) * shadow;
         gl_FragColor = vec4(finalColor, 1.0);
     }
+
+    void main() {
+        shadeFragment();
+        if (u_showCascades > 0.5 && u_enableShadows > 0.5) {
+            gl_FragColor.rgb *= cascadeTint();
+        }
+    }
 `;
 
 /**
@@ -597,14 +671,26 @@ export const shadowVertexShaderSource = `
 
 /**
  * Fragment shader for shadow mapping:
- * - Outputs only depth information encoded in red channel
+ * - Packs the depth into the four 8-bit channels, about 32 bits of precision
+ *   (unused when the shadow map is a depth texture)
  * - Used to compare depths during shadow calculation
  */
 export const shadowFragmentShaderSource = `
-    precision mediump float;
-    
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+        precision highp float;
+    #else
+        precision mediump float;
+    #endif
+
+    // Base-255 digits of the depth, most significant in red; the carry of each digit is
+    // removed from the previous one so that unpacking sums them back exactly
+    vec4 packDepth(float depth) {
+        vec4 packed = fract(depth * vec4(1.0, 255.0, 65025.0, 16581375.0));
+        return packed - packed.yzww * vec4(1.0 / 255.0, 1.0 / 255.0, 1.0 / 255.0, 0.0);
+    }
+
     void main() {
-        gl_FragColor = vec4(gl_FragCoord.z, 0.0, 0.0, 1.0);
+        gl_FragColor = packDepth(gl_FragCoord.z);
     }
 `;
 
@@ -1,5 +1,6 @@
 
 import { shadowVertexShaderSource, shadowFragmentShaderSource, skyVertexShaderSource, skyFragmentShaderSource } from './shaders.js';
+import { SHADOW_MAP_SIZE } from '../utils/shadowCascades.js';
 /**
  * Compiles a WebGL shader from source code.
  * @param {WebGLRenderingContext} gl - The WebGL context.
@@ -98,48 +99,74 @@ export function setupWebGLState(gl) {
     gl.enable(gl.DEPTH_TEST);// enable Z-buffer
     gl.disable(gl.CULL_FACE);// draw both triangle faces
 }
+/**
+ * Creates a square texture sampled texel by texel: neither packed nor depth texels can be
+ * interpolated.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {number} format - Texel format, e.g. `gl.RGBA` or `gl.DEPTH_COMPONENT`.
+ * @param {number} type - Component type, e.g. `gl.UNSIGNED_BYTE`.
+ * @returns {WebGLTexture}
+ */
+function createShadowTexture(gl, format, type) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, format, SHADOW_MAP_SIZE, SHADOW_MAP_SIZE, 0, format, type, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+}
 /**
  * Initializes a shadow map framebuffer, texture, and associated shaders.
+ *
+ * With `WEBGL_depth_texture` the depth buffer itself is the shadow map, read back at full
+ * precision from the red channel. Otherwise, or when the driver rejects a depth-only
+ * framebuffer, the shadow shader packs the depth into the four 8-bit channels of a colour
+ * texture (`packedDepth`), to be unpacked by `calculateShadowPCF`.
  * @param {WebGLRenderingContext} gl - The WebGL context.
  * @returns {{
  *   shadowFramebuffer: WebGLFramebuffer,
  *   shadowTexture: WebGLTexture,
- *   shadowProgram: WebGLProgram
- * }} An object containing the framebuffer, shadow texture, and compiled shader program for shadow rendering.
+ *   shadowProgram: WebGLProgram,
+ *   packedDepth: boolean
+ * }} An object containing the framebuffer, shadow texture, and compiled shader program for shadow rendering,
+ *    and whether the texture holds packed depth.
  */
 export function initShadowMap(gl) {
-    const shadowMapSize = 4096; // resolution setting
-    
-    // Create shadow map texture 
-    const shadowTexture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, shadowTexture);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, shadowMapSize, shadowMapSize, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-    
-    // filtering for shadow maps
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    
-    // Create framebuffer
     const shadowFramebuffer = gl.createFramebuffer();
     gl.bindFramebuffer(gl.FRAMEBUFFER, shadowFramebuffer);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, shadowTexture, 0);
-    
-    // Create depth buffer
-    const depthBuffer = gl.createRenderbuffer();
-    gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
-    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, shadowMapSize, shadowMapSize);
-    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthBuffer);
-    
+
+    let shadowTexture = null;
+    if (gl.getExtension('WEBGL_depth_texture')) {
+        shadowTexture = createShadowTexture(gl, gl.DEPTH_COMPONENT, gl.UNSIGNED_INT);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, shadowTexture, 0);
+        if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, null, 0);
+            gl.deleteTexture(shadowTexture);
+            shadowTexture = null;
+        }
+    }
+    const packedDepth = !shadowTexture;
+    if (packedDepth) {
+        shadowTexture = createShadowTexture(gl, gl.RGBA, gl.UNSIGNED_BYTE);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, shadowTexture, 0);
+
+        // Depth test of the shadow pass itself
+        const depthBuffer = gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, SHADOW_MAP_SIZE, SHADOW_MAP_SIZE);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthBuffer);
+    }
+
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-    
+
     // Create shadow program
     const shadowVertexShader = createShader(gl, gl.VERTEX_SHADER, shadowVertexShaderSource);
     const shadowFragmentShader = createShader(gl, gl.FRAGMENT_SHADER, shadowFragmentShaderSource);
     const shadowProgram = createProgram(gl, shadowVertexShader, shadowFragmentShader);
-    
-    return { shadowFramebuffer, shadowTexture, shadowProgram };
+
+    return { shadowFramebuffer, shadowTexture, shadowProgram, packedDepth };
 }
 /**
  * Compiles and links the vertex and fragment shaders for the sky dome.